@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { postOpeningBalances, verifyLedger } from "./utils/ledger.js";
+
+// Load environment variables
+dotenv.config();
+
+const backfillLedger = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI, {});
+    console.log("✅ Connected to MongoDB");
+
+    // Post opening balances for wallets the journal does not explain yet
+    const { wallets, cash } = await postOpeningBalances();
+    console.log("📒 Wallets brought into the ledger:", wallets);
+    console.log("💵 Rider cash brought into the ledger:", cash);
+
+    const report = await verifyLedger();
+    console.log(
+      report.balanced
+        ? "✅ Ledger matches the wallet balances"
+        : "❌ Ledger does not match the wallet balances"
+    );
+
+    // Close database connection
+    await mongoose.connection.close();
+    console.log("\n✅ Database connection closed");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+  }
+};
+
+backfillLedger();
@@ -5,6 +5,16 @@ const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {});
 
+    // Wallet writes run in transactions (utils/ledger.js), which a
+    // standalone mongod does not support
+    const hello = await conn.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      throw new Error(
+        "MongoDB must run as a replica set for wallet transactions; " +
+          "start mongod with --replSet and add ?replicaSet=<name> to MONGODB_URI",
+      );
+    }
+
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
   } catch (error) {
     logger.error(`Error: ${error.message}`);
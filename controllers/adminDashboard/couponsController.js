@@ -0,0 +1,293 @@
+import Coupon from "../../models/Coupon.js";
+import Order from "../../models/Order.js";
+import { cleanObject, getPagination } from "../../utils/helpers.js";
+import logger from "../../config/logger.js";
+
+const EDITABLE_FIELDS = [
+  "description",
+  "discountType",
+  "value",
+  "maxDiscount",
+  "minimumOrder",
+  "vendor",
+  "startsAt",
+  "expiresAt",
+  "usageLimit",
+  "perUserLimit",
+  "isActive",
+];
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+// Redemption figures for one or more coupons, from non-cancelled orders
+const getRedemptionStats = (match) =>
+  Order.aggregate([
+    { $match: { ...match, status: { $ne: "cancelled" } } },
+    {
+      $group: {
+        _id: "$coupon.id",
+        redemptions: { $sum: 1 },
+        totalDiscount: { $sum: "$pricing.discount" },
+        totalRevenue: { $sum: "$pricing.total" },
+        customers: { $addToSet: "$customer" },
+      },
+    },
+    {
+      $project: {
+        redemptions: 1,
+        totalDiscount: 1,
+        totalRevenue: 1,
+        uniqueCustomers: { $size: "$customers" },
+      },
+    },
+  ]);
+
+// @desc    Get all coupons
+// @route   GET /api/admin/dashboard/coupons
+// @access  Private/Admin
+export const getAllCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive, vendorId, search } = req.query;
+    const { skip, limit: pageLimit } = getPagination(page, limit);
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (vendorId) filter.vendor = vendorId === "platform" ? null : vendorId;
+    if (search) filter.code = { $regex: search, $options: "i" };
+
+    const coupons = await Coupon.find(filter)
+      .populate("vendor", "businessName")
+      .populate("createdBy", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await Coupon.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          page: parseInt(page),
+          limit: pageLimit,
+          total,
+          pages: Math.ceil(total / pageLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get coupons error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch coupons",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get coupon details with redemption stats
+// @route   GET /api/admin/dashboard/coupons/:couponId
+// @access  Private/Admin
+export const getCouponDetails = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId)
+      .populate("vendor", "businessName")
+      .populate("createdBy", "firstName lastName");
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    const [stats] = await getRedemptionStats({ "coupon.id": coupon._id });
+
+    const recentRedemptions = await Order.find({ "coupon.id": coupon._id })
+      .populate({
+        path: "customer",
+        populate: { path: "user", select: "firstName lastName email" },
+      })
+      .select(
+        "orderNumber customer pricing.discount pricing.total status createdAt"
+      )
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: {
+        coupon,
+        stats: {
+          redemptions: stats?.redemptions || 0,
+          totalDiscount: stats?.totalDiscount || 0,
+          totalRevenue: stats?.totalRevenue || 0,
+          uniqueCustomers: stats?.uniqueCustomers || 0,
+        },
+        recentRedemptions,
+      },
+    });
+  } catch (error) {
+    logger.error("Get coupon details error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch coupon",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create coupon
+// @route   POST /api/admin/dashboard/coupons
+// @access  Private/Admin
+export const createCoupon = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const data = cleanObject(pickEditableFields(req.body));
+
+    if (!code || !data.discountType || data.value === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Code, discountType and value are required",
+      });
+    }
+
+    if (data.discountType === "percentage" && data.value > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Percentage discount cannot exceed 100",
+      });
+    }
+
+    const existing = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "Coupon code already exists",
+      });
+    }
+
+    const coupon = await Coupon.create({
+      ...data,
+      code,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      data: coupon,
+    });
+  } catch (error) {
+    logger.error("Create coupon error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to create coupon",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/admin/dashboard/coupons/:couponId
+// @access  Private/Admin
+export const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    Object.assign(coupon, pickEditableFields(req.body));
+
+    if (coupon.discountType === "percentage" && coupon.value > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Percentage discount cannot exceed 100",
+      });
+    }
+
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: "Coupon updated successfully",
+      data: coupon,
+    });
+  } catch (error) {
+    logger.error("Update coupon error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to update coupon",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get redemption statistics across all coupons
+// @route   GET /api/admin/dashboard/coupons/stats
+// @access  Private/Admin
+export const getCouponStatistics = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = { "coupon.id": { $ne: null } };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const perCoupon = await getRedemptionStats(match);
+    const coupons = await Coupon.find({
+      _id: { $in: perCoupon.map((stat) => stat._id) },
+    }).select("code discountType value vendor isActive");
+
+    const couponsById = new Map(
+      coupons.map((coupon) => [coupon._id.toString(), coupon])
+    );
+    const topCoupons = perCoupon
+      .sort((a, b) => b.redemptions - a.redemptions)
+      .slice(0, 10)
+      .map((stat) => ({
+        ...stat,
+        coupon: couponsById.get(stat._id.toString()),
+      }));
+
+    const totals = perCoupon.reduce(
+      (acc, stat) => ({
+        redemptions: acc.redemptions + stat.redemptions,
+        totalDiscount: acc.totalDiscount + stat.totalDiscount,
+        totalRevenue: acc.totalRevenue + stat.totalRevenue,
+      }),
+      { redemptions: 0, totalDiscount: 0, totalRevenue: 0 }
+    );
+
+    const activeCoupons = await Coupon.countDocuments({ isActive: true });
+
+    res.json({
+      success: true,
+      data: {
+        activeCoupons,
+        ...totals,
+        topCoupons,
+      },
+    });
+  } catch (error) {
+    logger.error("Get coupon statistics error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch coupon statistics",
+      error: error.message,
+    });
+  }
+};
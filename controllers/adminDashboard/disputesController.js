@@ -0,0 +1,210 @@
+import Dispute from "../../models/Dispute.js";
+import Transaction from "../../models/Transaction.js";
+import { getPagination } from "../../utils/helpers.js";
+import {
+  OPEN_DISPUTE_STATUSES,
+  NEEDS_RESPONSE_STATUSES,
+  submitDisputeEvidence,
+} from "../../utils/disputes.js";
+import logger from "../../config/logger.js";
+
+// @desc    Get all payment disputes
+// @route   GET /api/admin/dashboard/disputes
+// @access  Private/Admin
+export const getAllDisputes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, vendorId } = req.query;
+    const { skip, limit: pageLimit } = getPagination(page, limit);
+
+    const filter = {};
+    if (status === "open") filter.status = { $in: OPEN_DISPUTE_STATUSES };
+    else if (status) filter.status = status;
+    if (vendorId) filter.vendor = vendorId;
+
+    const disputes = await Dispute.find(filter)
+      .populate("order", "orderNumber status pricing.total")
+      .populate("vendor", "businessName")
+      .select("-evidenceSubmissions")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await Dispute.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        disputes,
+        pagination: {
+          page: parseInt(page),
+          limit: pageLimit,
+          total,
+          pages: Math.ceil(total / pageLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get disputes error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch disputes",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get dispute details with its wallet holds
+// @route   GET /api/admin/dashboard/disputes/:disputeId
+// @access  Private/Admin
+export const getDisputeDetails = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.disputeId)
+      .populate("order", "orderNumber status items pricing timeline createdAt")
+      .populate({
+        path: "customer",
+        populate: { path: "user", select: "firstName lastName email phone" },
+      })
+      .populate("vendor", "businessName")
+      .populate("evidenceSubmissions.submittedBy", "firstName lastName");
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+      });
+    }
+
+    const walletTransactions = await Transaction.find({
+      "metadata.disputeId": dispute._id,
+    }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        dispute,
+        walletTransactions,
+      },
+    });
+  } catch (error) {
+    logger.error("Get dispute details error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch dispute details",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Upload evidence for a dispute, optionally submitting it
+// @route   POST /api/admin/dashboard/disputes/:disputeId/evidence
+// @access  Private/Admin
+export const submitEvidence = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.disputeId);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+      });
+    }
+
+    if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Evidence can no longer be submitted for this dispute",
+      });
+    }
+
+    // Multipart bodies send every field as a string
+    const { submit, ...evidence } = req.body;
+    const files = Object.values(req.files || {}).flat();
+
+    const updated = await submitDisputeEvidence(dispute, evidence, files, {
+      submit: submit === true || submit === "true",
+      userId: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: updated.evidenceSubmissions.at(-1).submitted
+        ? "Evidence submitted"
+        : "Evidence saved",
+      data: updated,
+    });
+  } catch (error) {
+    logger.error("Submit dispute evidence error", { error: error.message });
+    // Stripe rejects evidence past the due date or in the wrong format
+    if (error.type === "StripeInvalidRequestError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit dispute evidence",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get dispute statistics
+// @route   GET /api/admin/dashboard/disputes/stats
+// @access  Private/Admin
+export const getDisputeStatistics = async (req, res) => {
+  try {
+    const byStatus = await Dispute.aggregate([
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          amount: { $sum: "$amount" },
+          heldAmount: { $sum: "$hold.amount" },
+        },
+      },
+    ]);
+
+    const sumStatuses = (statuses) =>
+      byStatus
+        .filter((stat) => statuses.includes(stat._id))
+        .reduce(
+          (acc, stat) => ({
+            count: acc.count + stat.count,
+            amount: acc.amount + stat.amount,
+            heldAmount: acc.heldAmount + stat.heldAmount,
+          }),
+          { count: 0, amount: 0, heldAmount: 0 }
+        );
+
+    const won = sumStatuses(["won", "warning_closed"]);
+    const lost = sumStatuses(["lost"]);
+    const dueSoon = await Dispute.countDocuments({
+      status: { $in: NEEDS_RESPONSE_STATUSES },
+      evidenceDueBy: { $lte: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000) },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        open: sumStatuses(OPEN_DISPUTE_STATUSES),
+        needsResponse: sumStatuses(NEEDS_RESPONSE_STATUSES),
+        dueWithin3Days: dueSoon,
+        won,
+        lost,
+        winRate:
+          won.count + lost.count > 0
+            ? ((won.count / (won.count + lost.count)) * 100).toFixed(2)
+            : 0,
+        byStatus,
+      },
+    });
+  } catch (error) {
+    logger.error("Get dispute statistics error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch dispute statistics",
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,8 @@
+import mongoose from "mongoose";
 import User from "../../models/User.js";
 import Rider from "../../models/Rider.js";
 import Order from "../../models/Order.js";
+import Zone from "../../models/Zone.js";
 import { getPagination } from "../../utils/helpers.js";
 import logger from "../../config/logger.js";
 import { sendNotification } from "../../utils/helpers.js";
@@ -51,6 +53,7 @@ export const getAllDrivers = async (req, res) => {
         "user",
         "firstName lastName email phone profileImage isActive isVerified"
       )
+      .populate("deliveryZones", "name code")
       .sort(sortOptions)
       .skip(skip)
       .limit(pageLimit);
@@ -136,7 +139,9 @@ export const getDriverDetails = async (req, res) => {
   try {
     const { driverId } = req.params;
 
-    const rider = await Rider.findById(driverId).populate("user", "-password");
+    const rider = await Rider.findById(driverId)
+      .populate("user", "-password")
+      .populate("deliveryZones", "name code");
 
     if (!rider) {
       return res.status(404).json({
@@ -382,7 +387,7 @@ export const updateDriverStatus = async (req, res) => {
 export const assignDeliveryZones = async (req, res) => {
   try {
     const { driverId } = req.params;
-    const { zones } = req.body; // zones: array of zone names or IDs
+    const { zones } = req.body; // zones: array of zone codes or IDs
 
     if (!Array.isArray(zones)) {
       return res.status(400).json({
@@ -400,7 +405,29 @@ export const assignDeliveryZones = async (req, res) => {
       });
     }
 
-    rider.deliveryZones = zones;
+    const ids = zones.filter((zone) => mongoose.isValidObjectId(zone));
+    const codes = zones.map((zone) => String(zone).trim().toLowerCase());
+    const found = await Zone.find({
+      isActive: true,
+      $or: [{ _id: { $in: ids } }, { code: { $in: codes } }],
+    });
+
+    const unknown = zones.filter(
+      (zone) =>
+        !found.some(
+          (match) =>
+            match._id.toString() === String(zone) ||
+            match.code === String(zone).trim().toLowerCase()
+        )
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown or inactive zones: ${unknown.join(", ")}`,
+      });
+    }
+
+    rider.deliveryZones = found.map((zone) => zone._id);
 
     if (!rider.adminNotes) {
       rider.adminNotes = [];
@@ -409,11 +436,14 @@ export const assignDeliveryZones = async (req, res) => {
     rider.adminNotes.push({
       admin: req.user._id,
       action: "Delivery zones updated",
-      details: `Zones: ${zones.join(", ")}`,
+      details: found.length
+        ? `Zones: ${found.map((zone) => zone.name).join(", ")}`
+        : "Zones cleared",
       timestamp: new Date(),
     });
 
     await rider.save();
+    await rider.populate("deliveryZones", "name code");
 
     res.json({
       success: true,
@@ -0,0 +1,264 @@
+import FeeRule from "../../models/FeeRule.js";
+import { cleanObject, getPagination } from "../../utils/helpers.js";
+import logger from "../../config/logger.js";
+
+const EDITABLE_FIELDS = [
+  "name",
+  "zone",
+  "city",
+  "state",
+  "baseDeliveryFee",
+  "perKmRate",
+  "minimumDeliveryFee",
+  "freeDeliveryThreshold",
+  "serviceFeePercentage",
+  "taxPercentage",
+  "commissionPercentage",
+  "isActive",
+];
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+// Bad input that Mongoose rejected, worded like errorMiddleware does;
+// null for any other error
+const getInputError = (error) => {
+  if (error.name === "ValidationError") {
+    return Object.values(error.errors)
+      .map((val) => val.message)
+      .join(", ");
+  }
+  if (error.name === "CastError") {
+    return `Invalid ${error.path}: ${error.value}`;
+  }
+  return null;
+};
+
+// Find another active rule covering exactly the same region
+const findConflictingRule = ({ zone, city, state }, excludeId = null) => {
+  const normalize = (value) => (value ? value.trim().toLowerCase() : null);
+  const filter = {
+    zone: normalize(zone),
+    city: normalize(city),
+    state: normalize(state),
+    isActive: true,
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return FeeRule.findOne(filter);
+};
+
+// @desc    Get all fee rules
+// @route   GET /api/admin/dashboard/fee-rules
+// @access  Private/Admin
+export const getAllFeeRules = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive, city, state, zone } = req.query;
+    const { skip, limit: pageLimit } = getPagination(page, limit);
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (city) filter.city = city.toLowerCase();
+    if (state) filter.state = state.toLowerCase();
+    if (zone) filter.zone = zone.toLowerCase();
+
+    const feeRules = await FeeRule.find(filter)
+      .populate("createdBy", "firstName lastName")
+      .populate("updatedBy", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await FeeRule.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        feeRules,
+        pagination: {
+          page: parseInt(page),
+          limit: pageLimit,
+          total,
+          pages: Math.ceil(total / pageLimit),
+        },
+      },
+    });
+  } catch (error) {
+    const inputError = getInputError(error);
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    logger.error("Get fee rules error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch fee rules",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get fee rule details
+// @route   GET /api/admin/dashboard/fee-rules/:ruleId
+// @access  Private/Admin
+export const getFeeRuleDetails = async (req, res) => {
+  try {
+    const feeRule = await FeeRule.findById(req.params.ruleId)
+      .populate("createdBy", "firstName lastName")
+      .populate("updatedBy", "firstName lastName");
+
+    if (!feeRule) {
+      return res.status(404).json({
+        success: false,
+        message: "Fee rule not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: feeRule,
+    });
+  } catch (error) {
+    const inputError = getInputError(error);
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    logger.error("Get fee rule details error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch fee rule",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create fee rule
+// @route   POST /api/admin/dashboard/fee-rules
+// @access  Private/Admin
+export const createFeeRule = async (req, res) => {
+  try {
+    const data = cleanObject(pickEditableFields(req.body));
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        message: "Rule name is required",
+      });
+    }
+
+    if (data.isActive !== false && (await findConflictingRule(data))) {
+      return res.status(400).json({
+        success: false,
+        message: "An active fee rule already exists for this region",
+      });
+    }
+
+    const feeRule = await FeeRule.create({
+      ...data,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Fee rule created successfully",
+      data: feeRule,
+    });
+  } catch (error) {
+    const inputError = getInputError(error);
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    logger.error("Create fee rule error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to create fee rule",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update fee rule
+// @route   PUT /api/admin/dashboard/fee-rules/:ruleId
+// @access  Private/Admin
+export const updateFeeRule = async (req, res) => {
+  try {
+    const feeRule = await FeeRule.findById(req.params.ruleId);
+
+    if (!feeRule) {
+      return res.status(404).json({
+        success: false,
+        message: "Fee rule not found",
+      });
+    }
+
+    Object.assign(feeRule, pickEditableFields(req.body));
+
+    if (
+      feeRule.isActive &&
+      (await findConflictingRule(feeRule, feeRule._id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "An active fee rule already exists for this region",
+      });
+    }
+
+    feeRule.updatedBy = req.user._id;
+    await feeRule.save();
+
+    res.json({
+      success: true,
+      message: "Fee rule updated successfully",
+      data: feeRule,
+    });
+  } catch (error) {
+    const inputError = getInputError(error);
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    logger.error("Update fee rule error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to update fee rule",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete fee rule
+// @route   DELETE /api/admin/dashboard/fee-rules/:ruleId
+// @access  Private/Admin
+export const deleteFeeRule = async (req, res) => {
+  try {
+    const feeRule = await FeeRule.findByIdAndDelete(req.params.ruleId);
+
+    if (!feeRule) {
+      return res.status(404).json({
+        success: false,
+        message: "Fee rule not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Fee rule deleted successfully",
+    });
+  } catch (error) {
+    const inputError = getInputError(error);
+    if (inputError) {
+      return res.status(400).json({ success: false, message: inputError });
+    }
+
+    logger.error("Delete fee rule error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete fee rule",
+      error: error.message,
+    });
+  }
+};
@@ -1,7 +1,9 @@
 import Notification from "../../models/Notification.js";
 import User from "../../models/User.js";
 import Order from "../../models/Order.js";
+import Dispute from "../../models/Dispute.js";
 import { getPagination } from "../../utils/helpers.js";
+import { NEEDS_RESPONSE_STATUSES } from "../../utils/disputes.js";
 import logger from "../../config/logger.js";
 import { Expo } from "expo-server-sdk";
 
@@ -300,6 +302,30 @@ export const getSystemAlerts = async (req, res) => {
       });
     }
 
+    // Check for ready orders no rider accepted from dispatch
+    const undispatchedFilter = {
+      status: "ready",
+      rider: null,
+      "dispatch.status": "unassigned",
+    };
+    const undispatchedOrders = await Order.find(undispatchedFilter)
+      .populate("vendor", "businessName")
+      .select("orderNumber vendor deliveryAddress dispatch.offers")
+      .sort({ updatedAt: 1 })
+      .limit(10);
+
+    const undispatchedCount = await Order.countDocuments(undispatchedFilter);
+
+    if (undispatchedCount > 0) {
+      alerts.push({
+        type: "dispatch_failed",
+        severity: "high",
+        count: undispatchedCount,
+        message: `${undispatchedCount} ready orders no rider accepted`,
+        data: undispatchedOrders,
+      });
+    }
+
     // Check for cancelled orders today
     const startOfDay = new Date();
     startOfDay.setHours(0, 0, 0, 0);
@@ -320,6 +346,27 @@ export const getSystemAlerts = async (req, res) => {
       });
     }
 
+    // Check for payment disputes waiting on evidence
+    const disputeFilter = { status: { $in: NEEDS_RESPONSE_STATUSES } };
+    const disputes = await Dispute.find(disputeFilter)
+      .populate("order", "orderNumber")
+      .populate("vendor", "businessName")
+      .select("order vendor amount reason status evidenceDueBy")
+      .sort({ evidenceDueBy: 1 })
+      .limit(10);
+
+    const disputesCount = await Dispute.countDocuments(disputeFilter);
+
+    if (disputesCount > 0) {
+      alerts.push({
+        type: "payment_disputes",
+        severity: "high",
+        count: disputesCount,
+        message: `${disputesCount} payment disputes need evidence`,
+        data: disputes,
+      });
+    }
+
     res.json({
       success: true,
       data: {
@@ -2,7 +2,17 @@ import Order from "../../models/Order.js";
 import Rider from "../../models/Rider.js";
 import { getPagination } from "../../utils/helpers.js";
 import logger from "../../config/logger.js";
+import {
+  getTransitionError,
+  transitionOrder,
+} from "../../utils/orderLifecycle.js";
+import {
+  getRefundableAmount,
+  getRefundDestination,
+  refundPaidOrder,
+} from "../../utils/refunds.js";
 import { sendNotification } from "../../utils/helpers.js";
+import { leaveBatch } from "../../utils/batches.js";
 
 // @desc    Get all orders with filters and search
 // @route   GET /api/admin/dashboard/orders
@@ -185,32 +195,7 @@ export const updateOrderStatus = async (req, res) => {
     const { orderId } = req.params;
     const { status, reason } = req.body;
 
-    const validStatuses = [
-      "pending",
-      "confirmed",
-      "preparing",
-      "ready",
-      "accepted",
-      "picked_up",
-      "on_the_way",
-      "arrived",
-      "delivered",
-      "cancelled",
-    ];
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid order status",
-      });
-    }
-
-    const order = await Order.findById(orderId)
-      .populate("customer", "user")
-      .populate({
-        path: "customer",
-        populate: { path: "user", select: "expoToken" },
-      });
+    const order = await Order.findById(orderId);
 
     if (!order) {
       return res.status(404).json({
@@ -219,37 +204,29 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    const oldStatus = order.status;
-    order.status = status;
-
-    // Add admin note
-    if (!order.adminNotes) {
-      order.adminNotes = [];
+    // Cancelling goes through the cancel endpoint, which refunds
+    if (status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Use PUT /api/admin/dashboard/orders/:orderId/cancel to cancel an order",
+      });
     }
-    order.adminNotes.push({
-      admin: req.user._id,
-      action: `Status changed from ${oldStatus} to ${status}`,
-      reason: reason || "Admin override",
-      timestamp: new Date(),
-    });
 
-    // Update delivery time if delivered
-    if (status === "delivered") {
-      order.deliveryInfo.actualDeliveryTime = new Date();
-      order.paymentStatus = "completed";
+    const transitionError = getTransitionError(order, status, req.user.role);
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError,
+      });
     }
 
-    await order.save();
-
-    // Send notification to customer
-    if (order.customer?.user?.expoToken) {
-      await sendNotification(
-        order.customer.user.expoToken,
-        "Order Status Updated",
-        `Your order #${order.orderNumber} is now ${status}`,
-        { orderId: order._id, type: "order_status" }
-      );
-    }
+    await transitionOrder(order, status, {
+      role: req.user.role,
+      userId: req.user._id,
+      notes: reason || "Admin override",
+      io: req.io,
+    });
 
     res.json({
       success: true,
@@ -303,6 +280,23 @@ export const assignDriverToOrder = async (req, res) => {
     const previousRider = order.rider;
     order.rider = riderId;
 
+    // The order is no longer carried with the rest of its batch
+    await leaveBatch(order);
+
+    // Stop dispatch offering the order to riders
+    const dispatchOpen = ["searching", "offering", "unassigned"];
+    if (dispatchOpen.includes(order.dispatch?.status)) {
+      order.dispatch.status = "assigned";
+      order.dispatch.rider = null;
+      order.dispatch.expiresAt = null;
+      order.dispatch.offers
+        .filter((offer) => offer.outcome === "pending")
+        .forEach((offer) => {
+          offer.outcome = "expired";
+          offer.respondedAt = new Date();
+        });
+    }
+
     // Add admin note
     if (!order.adminNotes) {
       order.adminNotes = [];
@@ -441,10 +435,7 @@ export const cancelOrder = async (req, res) => {
     const { orderId } = req.params;
     const { reason } = req.body;
 
-    const order = await Order.findById(orderId).populate({
-      path: "customer",
-      populate: { path: "user", select: "expoToken" },
-    });
+    const order = await Order.findById(orderId);
 
     if (!order) {
       return res.status(404).json({
@@ -453,45 +444,37 @@ export const cancelOrder = async (req, res) => {
       });
     }
 
-    if (order.status === "delivered" || order.status === "cancelled") {
+    const transitionError = getTransitionError(
+      order,
+      "cancelled",
+      req.user.role
+    );
+    if (transitionError) {
       return res.status(400).json({
         success: false,
         message: `Cannot cancel order with status: ${order.status}`,
       });
     }
 
-    order.status = "cancelled";
-    order.cancelledBy = "admin";
     order.cancellationReason = reason || "Cancelled by admin";
-    order.cancellationDate = new Date();
-
-    // Add admin note
-    if (!order.adminNotes) {
-      order.adminNotes = [];
-    }
-    order.adminNotes.push({
-      admin: req.user._id,
-      action: "Order cancelled",
-      reason: reason || "Admin cancellation",
-      timestamp: new Date(),
+    await transitionOrder(order, "cancelled", {
+      role: req.user.role,
+      userId: req.user._id,
+      notes: reason || "Admin cancellation",
+      io: req.io,
     });
 
-    await order.save();
-
-    // Send notification to customer
-    if (order.customer?.user?.expoToken) {
-      await sendNotification(
-        order.customer.user.expoToken,
-        "Order Cancelled",
-        `Your order #${order.orderNumber} has been cancelled. ${reason || ""}`,
-        { orderId: order._id, type: "order_cancelled" }
-      );
-    }
+    const refund = await refundPaidOrder(order, {
+      reason: order.cancellationReason,
+    });
 
     res.json({
       success: true,
       message: "Order cancelled successfully",
-      data: order,
+      data: {
+        order: await Order.findById(order._id),
+        refund,
+      },
     });
   } catch (error) {
     logger.error("Cancel order error", { error: error.message });
@@ -502,3 +485,84 @@ export const cancelOrder = async (req, res) => {
     });
   }
 };
+
+// @desc    Refund part or all of an order payment
+// @route   POST /api/admin/dashboard/orders/:orderId/refund
+// @access  Private/Admin
+export const refundOrderPayment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { amount, reason, refundTo } = req.body;
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const destination = getRefundDestination(order, refundTo);
+    if (!destination) {
+      return res.status(400).json({
+        success: false,
+        message: "This order can only be refunded to the wallet",
+      });
+    }
+
+    if (!["completed", "partially_refunded"].includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot refund order with payment status: ${order.paymentStatus}`,
+      });
+    }
+
+    const refundable = await getRefundableAmount(order);
+    const refundAmount = amount === undefined ? refundable : Number(amount);
+
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0 and ${refundable}`,
+      });
+    }
+
+    const refund = await refundPaidOrder(order, {
+      amount: refundAmount,
+      reason: reason || "Refunded by admin",
+      destination,
+    });
+
+    // The refund updates the stored order, so append rather than re-save
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $push: {
+          timeline: {
+            status: order.status,
+            timestamp: new Date(),
+            updatedBy: req.user._id,
+            notes: `Admin refund of ${refund.amount}${reason ? `: ${reason}` : ""}`,
+          },
+        },
+      }
+    );
+
+    res.json({
+      success: true,
+      message:
+        refund.status === "completed"
+          ? "Refund processed successfully"
+          : "Refund failed and has been queued for retry",
+      data: refund,
+    });
+  } catch (error) {
+    logger.error("Refund order payment error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to refund order",
+      error: error.message,
+    });
+  }
+};
@@ -3,7 +3,20 @@ import Order from "../../models/Order.js";
 import Vendor from "../../models/Vendor.js";
 import Rider from "../../models/Rider.js";
 import User from "../../models/User.js";
+import CashLedgerEntry from "../../models/CashLedgerEntry.js";
+import JournalEntry from "../../models/JournalEntry.js";
 import { getPagination } from "../../utils/helpers.js";
+import { processRefund } from "../../utils/refunds.js";
+import { settleCashOwed } from "../../utils/cashLedger.js";
+import { getLedgerBalances, verifyLedger } from "../../utils/ledger.js";
+import {
+  approveWithdrawal,
+  buildPayoutCsv,
+  createPayoutBatch,
+  getPayoutBatch,
+  markWithdrawalsPaid,
+  rejectWithdrawal,
+} from "../../utils/withdrawals.js";
 import logger from "../../config/logger.js";
 
 // @desc    Get all transactions with filters
@@ -229,118 +242,77 @@ export const getEarningsOverview = async (req, res) => {
   }
 };
 
-// @desc    Get pending settlements (vendors & riders)
+// @desc    Get pending settlements (vendors & riders): withdrawals waiting
+//          for review or for payout, per user
 // @route   GET /api/admin/dashboard/payments/settlements/pending
 // @access  Private/Admin
 export const getPendingSettlements = async (req, res) => {
   try {
     const { userType } = req.query; // vendor or rider
 
-    let settlements = [];
+    const roles = userType ? [userType] : ["vendor", "rider"];
 
-    if (!userType || userType === "vendor") {
-      // Get vendors with pending settlements
-      const vendorData = await Order.aggregate([
-        {
-          $match: {
-            status: "delivered",
-            paymentStatus: "completed",
-            "items.withdrawn": { $ne: true },
-          },
-        },
-        {
-          $group: {
-            _id: "$vendor",
-            pendingAmount: { $sum: "$pricing.subtotal" },
-            orderCount: { $sum: 1 },
-          },
-        },
-        {
-          $lookup: {
-            from: "vendors",
-            localField: "_id",
-            foreignField: "_id",
-            as: "vendorInfo",
-          },
-        },
-        { $unwind: "$vendorInfo" },
-        {
-          $lookup: {
-            from: "users",
-            localField: "vendorInfo.user",
-            foreignField: "_id",
-            as: "userInfo",
-          },
-        },
-        { $unwind: "$userInfo" },
-        {
-          $project: {
-            type: { $literal: "vendor" },
-            userId: "$userInfo._id",
-            vendorId: "$_id",
-            name: "$vendorInfo.businessName",
-            email: "$userInfo.email",
-            pendingAmount: 1,
-            orderCount: 1,
-          },
+    const settlements = await Transaction.aggregate([
+      {
+        $match: {
+          type: "withdrawal",
+          status: { $in: ["pending", "approved"] },
         },
-      ]);
-
-      settlements = [...settlements, ...vendorData];
-    }
-
-    if (!userType || userType === "rider") {
-      // Get riders with pending settlements
-      const riderData = await Order.aggregate([
-        {
-          $match: {
-            status: "delivered",
-            paymentStatus: "completed",
-            "items.riderWithdrawn": { $ne: true },
+      },
+      {
+        $group: {
+          _id: "$user",
+          awaitingReview: {
+            $sum: { $cond: [{ $eq: ["$status", "pending"] }, "$amount", 0] },
           },
-        },
-        {
-          $group: {
-            _id: "$rider",
-            pendingAmount: { $sum: "$pricing.deliveryFee" },
-            deliveryCount: { $sum: 1 },
+          awaitingPayout: {
+            $sum: { $cond: [{ $eq: ["$status", "approved"] }, "$amount", 0] },
           },
+          pendingAmount: { $sum: "$amount" },
+          withdrawalCount: { $sum: 1 },
+          oldestRequestAt: { $min: "$createdAt" },
         },
-        {
-          $lookup: {
-            from: "riders",
-            localField: "_id",
-            foreignField: "_id",
-            as: "riderInfo",
-          },
+      },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "userInfo",
         },
-        { $unwind: "$riderInfo" },
-        {
-          $lookup: {
-            from: "users",
-            localField: "riderInfo.user",
-            foreignField: "_id",
-            as: "userInfo",
-          },
+      },
+      { $unwind: "$userInfo" },
+      { $match: { "userInfo.role": { $in: roles } } },
+      {
+        $lookup: {
+          from: "vendors",
+          localField: "_id",
+          foreignField: "user",
+          as: "vendorInfo",
         },
-        { $unwind: "$userInfo" },
-        {
-          $project: {
-            type: { $literal: "rider" },
-            userId: "$userInfo._id",
-            riderId: "$_id",
-            name: {
-              $concat: ["$userInfo.firstName", " ", "$userInfo.lastName"],
-            },
-            email: "$userInfo.email",
-            pendingAmount: 1,
-            deliveryCount: 1,
+      },
+      {
+        $project: {
+          type: "$userInfo.role",
+          userId: "$_id",
+          name: {
+            $ifNull: [
+              { $arrayElemAt: ["$vendorInfo.businessName", 0] },
+              { $concat: ["$userInfo.firstName", " ", "$userInfo.lastName"] },
+            ],
           },
+          email: "$userInfo.email",
+          walletBalance: "$userInfo.wallet.balance",
+          pendingBalance: "$userInfo.wallet.pendingBalance",
+          awaitingReview: 1,
+          awaitingPayout: 1,
+          pendingAmount: 1,
+          withdrawalCount: 1,
+          oldestRequestAt: 1,
         },
-      ]);
-
-      settlements = [...settlements, ...riderData];
-    }
+      },
+      { $sort: { oldestRequestAt: 1 } },
+    ]);
 
     res.json({
       success: true,
@@ -356,65 +328,54 @@ export const getPendingSettlements = async (req, res) => {
   }
 };
 
-// @desc    Mark settlement as paid
+// @desc    Mark approved withdrawals as paid, by payout batch or by id
 // @route   POST /api/admin/dashboard/payments/settlements/mark-paid
 // @access  Private/Admin
 export const markSettlementPaid = async (req, res) => {
   try {
-    const { userId, userType, amount, reference } = req.body;
+    const { batchId, transactionIds, reference } = req.body;
 
-    if (!userId || !userType || !amount) {
+    // Before payout batches, admins settled a user directly with
+    // { userId, userType, amount }; that money now goes through withdrawals
+    if (req.body.userId && !batchId && !transactionIds) {
       return res.status(400).json({
         success: false,
-        message: "userId, userType, and amount are required",
+        message:
+          "Settling by userId is no longer supported: approve the user's withdrawals and pass batchId or transactionIds",
       });
     }
 
-    // Create settlement transaction
-    const transaction = await Transaction.create({
-      user: userId,
-      type: "withdrawal",
-      amount,
-      status: "completed",
-      description: `Settlement payment for ${userType}`,
-      reference: reference || `SETTLEMENT-${Date.now()}`,
-      metadata: {
-        settledBy: req.user._id,
-        userType,
-      },
+    if (!batchId && !transactionIds?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "batchId or transactionIds is required",
+      });
+    }
+
+    const filter = batchId
+      ? { "metadata.withdrawalDetails.payoutBatchId": batchId }
+      : { _id: { $in: transactionIds } };
+
+    const paid = await markWithdrawalsPaid(filter, {
+      adminId: req.user._id,
+      reference: reference || batchId,
     });
 
-    // Update orders to mark as withdrawn
-    if (userType === "vendor") {
-      await Order.updateMany(
-        {
-          vendor: userId,
-          status: "delivered",
-          paymentStatus: "completed",
-          "items.withdrawn": { $ne: true },
-        },
-        {
-          $set: { "items.$[].withdrawn": true },
-        }
-      );
-    } else if (userType === "rider") {
-      await Order.updateMany(
-        {
-          rider: userId,
-          status: "delivered",
-          paymentStatus: "completed",
-          "items.riderWithdrawn": { $ne: true },
-        },
-        {
-          $set: { "items.$[].riderWithdrawn": true },
-        }
-      );
+    if (paid.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No approved withdrawals to mark as paid",
+      });
     }
 
     res.json({
       success: true,
       message: "Settlement marked as paid successfully",
-      data: transaction,
+      data: {
+        count: paid.length,
+        totalAmount: paid.reduce((sum, t) => sum + t.amount, 0),
+        transactions: paid,
+      },
     });
   } catch (error) {
     logger.error("Mark settlement paid error", { error: error.message });
@@ -426,6 +387,201 @@ export const markSettlementPaid = async (req, res) => {
   }
 };
 
+// @desc    Get withdrawal requests (the review queue by default)
+// @route   GET /api/admin/dashboard/payments/withdrawals
+// @access  Private/Admin
+export const getWithdrawalRequests = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = "pending", batchId } = req.query;
+
+    const { skip, limit: pageLimit } = getPagination(page, limit);
+
+    const filter = { type: "withdrawal" };
+    if (status !== "all") filter.status = status;
+    if (batchId) filter["metadata.withdrawalDetails.payoutBatchId"] = batchId;
+
+    const withdrawals = await Transaction.find(filter)
+      .populate("user", "firstName lastName email role wallet.balance")
+      .populate("metadata.withdrawalDetails.reviewedBy", "firstName lastName")
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await Transaction.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        withdrawals,
+        pagination: {
+          page: parseInt(page),
+          limit: pageLimit,
+          total,
+          pages: Math.ceil(total / pageLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get withdrawal requests error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch withdrawal requests",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve a withdrawal request
+// @route   PUT /api/admin/dashboard/payments/withdrawals/:transactionId/approve
+// @access  Private/Admin
+export const approveWithdrawalRequest = async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.transactionId,
+      type: "withdrawal",
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: "Withdrawal not found",
+      });
+    }
+
+    const result = await approveWithdrawal(transaction, req.user._id);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error.message,
+        errors: [result.error],
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Withdrawal approved",
+      data: result.transaction,
+    });
+  } catch (error) {
+    logger.error("Approve withdrawal error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to approve withdrawal",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reject a withdrawal request
+// @route   PUT /api/admin/dashboard/payments/withdrawals/:transactionId/reject
+// @access  Private/Admin
+export const rejectWithdrawalRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const transaction = await Transaction.findOne({
+      _id: req.params.transactionId,
+      type: "withdrawal",
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: "Withdrawal not found",
+      });
+    }
+
+    const result = await rejectWithdrawal(transaction, req.user._id, reason);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error.message,
+        errors: [result.error],
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Withdrawal rejected",
+      data: result.transaction,
+    });
+  } catch (error) {
+    logger.error("Reject withdrawal error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject withdrawal",
+      error: error.message,
+    });
+  }
+};
+
+const sendPayoutCsv = (res, batchId, withdrawals) => {
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=${batchId.toLowerCase()}.csv`
+  );
+  res.send(buildPayoutCsv(batchId, withdrawals));
+};
+
+// @desc    Put approved withdrawals in a payout batch and download it as CSV
+// @route   POST /api/admin/dashboard/payments/payout-batches
+// @access  Private/Admin
+export const createPayoutBatchFile = async (req, res) => {
+  try {
+    const { batchId, withdrawals } = await createPayoutBatch();
+
+    if (withdrawals.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No approved withdrawals waiting for payout",
+      });
+    }
+
+    logger.info("Payout batch created", {
+      batchId,
+      count: withdrawals.length,
+      createdBy: req.user._id,
+    });
+
+    sendPayoutCsv(res, batchId, withdrawals);
+  } catch (error) {
+    logger.error("Create payout batch error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to create payout batch",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Download an existing payout batch as CSV again
+// @route   GET /api/admin/dashboard/payments/payout-batches/:batchId
+// @access  Private/Admin
+export const exportPayoutBatch = async (req, res) => {
+  try {
+    const withdrawals = await getPayoutBatch(req.params.batchId);
+
+    if (withdrawals.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout batch not found",
+      });
+    }
+
+    sendPayoutCsv(res, req.params.batchId, withdrawals);
+  } catch (error) {
+    logger.error("Export payout batch error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to export payout batch",
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Export transactions report (CSV/PDF)
 // @route   GET /api/admin/dashboard/payments/export
 // @access  Private/Admin
@@ -614,3 +770,376 @@ export const flagTransaction = async (req, res) => {
     });
   }
 };
+
+// @desc    Get refunds that failed and are queued for retry
+// @route   GET /api/admin/dashboard/payments/refunds/failed
+// @access  Private/Admin
+export const getFailedRefunds = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const { skip, limit: pageLimit } = getPagination(page, limit);
+
+    const filter = { type: "refund", status: "failed" };
+
+    const refunds = await Transaction.find(filter)
+      .populate("user", "firstName lastName email")
+      .populate("metadata.orderId", "orderNumber pricing.total refundAmount")
+      .sort({ nextRetryAt: 1, createdAt: -1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await Transaction.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        pagination: {
+          page: parseInt(page),
+          limit: pageLimit,
+          total,
+          pages: Math.ceil(total / pageLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get failed refunds error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch failed refunds",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Retry a failed refund now
+// @route   POST /api/admin/dashboard/payments/refunds/:transactionId/retry
+// @access  Private/Admin
+export const retryRefund = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+
+    const transaction = await Transaction.findOne({
+      _id: transactionId,
+      type: "refund",
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: "Refund not found",
+      });
+    }
+
+    if (transaction.status !== "failed") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot retry refund with status: ${transaction.status}`,
+      });
+    }
+
+    const succeeded = await processRefund(transaction);
+
+    res.status(succeeded ? 200 : 502).json({
+      success: succeeded,
+      message: succeeded
+        ? "Refund processed successfully"
+        : `Refund failed again: ${transaction.failureReason}`,
+      data: transaction,
+    });
+  } catch (error) {
+    logger.error("Retry refund error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to retry refund",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cash-on-delivery reconciliation: what riders owe and how it was settled
+// @route   GET /api/admin/dashboard/payments/cash-reconciliation
+// @access  Private/Admin
+export const getCashReconciliation = async (req, res) => {
+  try {
+    const { startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const { skip, limit: pageLimit } = getPagination(page, limit);
+
+    const dateFilter = {};
+    if (startDate || endDate) {
+      dateFilter.createdAt = {};
+      if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
+      if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
+    }
+
+    // Ledger movements in the period, overall and per rider
+    const movements = await CashLedgerEntry.aggregate([
+      { $match: dateFilter },
+      {
+        $group: {
+          _id: { rider: "$rider", type: "$type" },
+          amount: { $sum: "$amount" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const emptyTotals = () => ({
+      collected: 0,
+      offsetAgainstWallet: 0,
+      settled: 0,
+    });
+    const totalKey = {
+      collection: "collected",
+      wallet_offset: "offsetAgainstWallet",
+      settlement: "settled",
+    };
+    const periodTotals = emptyTotals();
+    const riderTotals = new Map();
+    movements.forEach(({ _id, amount }) => {
+      const key = totalKey[_id.type];
+      const riderId = _id.rider.toString();
+      if (!riderTotals.has(riderId)) riderTotals.set(riderId, emptyTotals());
+      riderTotals.get(riderId)[key] += Math.abs(amount);
+      periodTotals[key] += Math.abs(amount);
+    });
+
+    // Riders still holding cash, most owed first
+    const riderFilter = { cashOwed: { $gt: 0 } };
+    const riders = await Rider.find(riderFilter)
+      .populate("user", "firstName lastName email phone")
+      .select("user cashOwed")
+      .sort({ cashOwed: -1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await Rider.countDocuments(riderFilter);
+    const [outstanding] = await Rider.aggregate([
+      { $match: riderFilter },
+      { $group: { _id: null, amount: { $sum: "$cashOwed" } } },
+    ]);
+
+    // Cash orders marked delivered without the rider confirming the cash,
+    // e.g. closed out by an admin
+    const unconfirmedCashOrders = await Order.countDocuments({
+      "paymentInfo.paymentMethod": "cash",
+      status: "delivered",
+      paymentStatus: { $ne: "completed" },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          totalOutstanding: outstanding?.amount || 0,
+          ridersOwing: total,
+          unconfirmedCashOrders,
+          period: periodTotals,
+        },
+        riders: riders.map((rider) => ({
+          riderId: rider._id,
+          user: rider.user,
+          cashOwed: rider.cashOwed,
+          period: riderTotals.get(rider._id.toString()) || emptyTotals(),
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: pageLimit,
+          total,
+          pages: Math.ceil(total / pageLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get cash reconciliation error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch cash reconciliation",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a rider's cash ledger
+// @route   GET /api/admin/dashboard/payments/cash-reconciliation/:riderId
+// @access  Private/Admin
+export const getRiderCashLedger = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const { skip, limit: pageLimit } = getPagination(page, limit);
+
+    const rider = await Rider.findById(req.params.riderId)
+      .populate("user", "firstName lastName email phone")
+      .select("user cashOwed");
+
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: "Rider not found",
+      });
+    }
+
+    const entries = await CashLedgerEntry.find({ rider: rider._id })
+      .populate("order", "orderNumber pricing.total")
+      .populate("recordedBy", "firstName lastName")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await CashLedgerEntry.countDocuments({ rider: rider._id });
+
+    res.json({
+      success: true,
+      data: {
+        rider,
+        entries,
+        pagination: {
+          page: parseInt(page),
+          limit: pageLimit,
+          total,
+          pages: Math.ceil(total / pageLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get rider cash ledger error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch rider cash ledger",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Record cash a rider handed in
+// @route   POST /api/admin/dashboard/payments/cash-reconciliation/:riderId/settle
+// @access  Private/Admin
+export const settleRiderCash = async (req, res) => {
+  try {
+    const { notes } = req.body;
+    const amount = Number(req.body.amount);
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount must be a positive number",
+      });
+    }
+
+    const rider = await Rider.findById(req.params.riderId);
+
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: "Rider not found",
+      });
+    }
+
+    const entry = await settleCashOwed(rider, amount, {
+      userId: req.user._id,
+      notes,
+    });
+
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount is more than the ${rider.cashOwed} the rider owes`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Cash settlement recorded",
+      data: {
+        entry,
+        cashOwed: entry.balanceAfter,
+      },
+    });
+  } catch (error) {
+    logger.error("Settle rider cash error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to record cash settlement",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get journal entries of the wallet ledger
+// @route   GET /api/admin/dashboard/payments/ledger
+// @access  Private/Admin
+export const getLedgerEntries = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, userId, account, type, orderId } = req.query;
+
+    const { skip, limit: pageLimit } = getPagination(page, limit);
+
+    const filter = {};
+    if (userId) filter["lines.user"] = userId;
+    if (account) filter["lines.account"] = account;
+    if (type) filter.type = type;
+    if (orderId) filter.order = orderId;
+
+    const entries = await JournalEntry.find(filter)
+      .populate("lines.user", "firstName lastName email role")
+      .populate("order", "orderNumber")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await JournalEntry.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        balances: userId ? await getLedgerBalances(userId) : undefined,
+        pagination: {
+          page: parseInt(page),
+          limit: pageLimit,
+          total,
+          pages: Math.ceil(total / pageLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get ledger entries error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch ledger entries",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Verify the ledger against the cached wallet balances
+// @route   GET /api/admin/dashboard/payments/ledger/verify
+// @access  Private/Admin
+export const verifyLedgerBalances = async (req, res) => {
+  try {
+    const report = await verifyLedger();
+
+    if (!report.balanced) {
+      logger.warn("Ledger verification found mismatches", {
+        unbalancedEntries: report.unbalancedEntries.length,
+        walletMismatches: report.walletMismatches.length,
+        cash: report.cash,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    logger.error("Verify ledger error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify ledger",
+      error: error.message,
+    });
+  }
+};
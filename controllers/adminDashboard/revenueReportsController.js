@@ -391,6 +391,10 @@ export const getDriverPerformanceReport = async (req, res) => {
           totalDeliveries: { $sum: 1 },
           totalEarnings: { $sum: "$pricing.deliveryFee" },
           averageDeliveryFee: { $avg: "$pricing.deliveryFee" },
+          totalTips: { $sum: { $ifNull: ["$pricing.tip", 0] } },
+          tippedDeliveries: {
+            $sum: { $cond: [{ $gt: ["$pricing.tip", 0] }, 1, 0] },
+          },
         },
       },
       {
@@ -421,6 +425,14 @@ export const getDriverPerformanceReport = async (req, res) => {
           totalDeliveries: 1,
           totalEarnings: 1,
           averageDeliveryFee: 1,
+          totalTips: 1,
+          averageTip: {
+            $cond: [
+              { $gt: ["$tippedDeliveries", 0] },
+              { $divide: ["$totalTips", "$tippedDeliveries"] },
+              0,
+            ],
+          },
         },
       },
       { $sort: { totalDeliveries: -1 } },
@@ -0,0 +1,303 @@
+import Zone from "../../models/Zone.js";
+import Rider from "../../models/Rider.js";
+import { cleanObject, getPagination } from "../../utils/helpers.js";
+import {
+  findZonesForPoint,
+  getZoneMembers,
+  validateBoundary,
+} from "../../utils/zones.js";
+import logger from "../../config/logger.js";
+
+const EDITABLE_FIELDS = ["name", "code", "description", "boundary", "isActive"];
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+// MongoDB refuses polygons it cannot index ("Can't extract geo keys"),
+// e.g. self-intersecting ones
+const isGeometryError = (error) => error.code === 16755;
+
+// @desc    Get all delivery zones
+// @route   GET /api/admin/dashboard/zones
+// @access  Private/Admin
+export const getAllZones = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive, search } = req.query;
+    const { skip, limit: pageLimit } = getPagination(page, limit);
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: "i" } },
+        { code: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const zones = await Zone.find(filter)
+      .populate("createdBy", "firstName lastName")
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(pageLimit);
+
+    const total = await Zone.countDocuments(filter);
+
+    // Riders assigned to each zone on this page
+    const riderCounts = await Rider.aggregate([
+      { $match: { deliveryZones: { $in: zones.map((zone) => zone._id) } } },
+      { $unwind: "$deliveryZones" },
+      { $group: { _id: "$deliveryZones", count: { $sum: 1 } } },
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        zones: zones.map((zone) => ({
+          ...zone.toObject(),
+          assignedRiders:
+            riderCounts.find((count) => count._id.equals(zone._id))?.count ||
+            0,
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: pageLimit,
+          total,
+          pages: Math.ceil(total / pageLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get zones error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch zones",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Find the zones containing a point
+// @route   GET /api/admin/dashboard/zones/resolve?lng=&lat=
+// @access  Private/Admin
+export const resolveZones = async (req, res) => {
+  try {
+    const lng = Number(req.query.lng);
+    const lat = Number(req.query.lat);
+
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+      return res.status(400).json({
+        success: false,
+        message: "lng and lat are required",
+      });
+    }
+
+    const zones = await findZonesForPoint([lng, lat]);
+
+    res.json({
+      success: true,
+      data: zones,
+    });
+  } catch (error) {
+    logger.error("Resolve zones error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to resolve zones",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get zone details with the riders, vendors and addresses in it
+// @route   GET /api/admin/dashboard/zones/:zoneId
+// @access  Private/Admin
+export const getZoneDetails = async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.zoneId)
+      .populate("createdBy", "firstName lastName")
+      .populate("updatedBy", "firstName lastName");
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Zone not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        zone,
+        ...(await getZoneMembers(zone)),
+      },
+    });
+  } catch (error) {
+    logger.error("Get zone details error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch zone",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create delivery zone
+// @route   POST /api/admin/dashboard/zones
+// @access  Private/Admin
+export const createZone = async (req, res) => {
+  try {
+    const data = cleanObject(pickEditableFields(req.body));
+
+    if (!data.name || !data.code) {
+      return res.status(400).json({
+        success: false,
+        message: "Zone name and code are required",
+      });
+    }
+
+    const { boundary, error } = validateBoundary(data.boundary);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: [error],
+      });
+    }
+
+    if (await Zone.exists({ code: data.code.trim().toLowerCase() })) {
+      return res.status(400).json({
+        success: false,
+        message: "A zone with this code already exists",
+      });
+    }
+
+    const zone = await Zone.create({
+      ...data,
+      boundary,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Zone created successfully",
+      data: zone,
+    });
+  } catch (error) {
+    logger.error("Create zone error", { error: error.message });
+    if (isGeometryError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: "Zone boundary is not a valid polygon",
+        error: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create zone",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update delivery zone
+// @route   PUT /api/admin/dashboard/zones/:zoneId
+// @access  Private/Admin
+export const updateZone = async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.zoneId);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Zone not found",
+      });
+    }
+
+    const data = pickEditableFields(req.body);
+
+    if (data.boundary !== undefined) {
+      const { boundary, error } = validateBoundary(data.boundary);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          errors: [error],
+        });
+      }
+      data.boundary = boundary;
+    }
+
+    if (
+      data.code &&
+      (await Zone.exists({
+        code: data.code.trim().toLowerCase(),
+        _id: { $ne: zone._id },
+      }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "A zone with this code already exists",
+      });
+    }
+
+    Object.assign(zone, data);
+    zone.updatedBy = req.user._id;
+    await zone.save();
+
+    res.json({
+      success: true,
+      message: "Zone updated successfully",
+      data: zone,
+    });
+  } catch (error) {
+    logger.error("Update zone error", { error: error.message });
+    if (isGeometryError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: "Zone boundary is not a valid polygon",
+        error: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update zone",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete delivery zone, unassigning it from riders
+// @route   DELETE /api/admin/dashboard/zones/:zoneId
+// @access  Private/Admin
+export const deleteZone = async (req, res) => {
+  try {
+    const zone = await Zone.findByIdAndDelete(req.params.zoneId);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Zone not found",
+      });
+    }
+
+    const { modifiedCount } = await Rider.updateMany(
+      { deliveryZones: zone._id },
+      { $pull: { deliveryZones: zone._id } }
+    );
+
+    res.json({
+      success: true,
+      message: "Zone deleted successfully",
+      data: { ridersUnassigned: modifiedCount },
+    });
+  } catch (error) {
+    logger.error("Delete zone error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete zone",
+      error: error.message,
+    });
+  }
+};
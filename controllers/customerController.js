@@ -3,12 +3,31 @@ import Vendor from "../models/Vendor.js";
 import { Meal } from "../models/Meal.js";
 import Order from "../models/Order.js";
 import User from "../models/User.js";
+import Subscription from "../models/Subscription.js";
 import {
   formatResponse,
   getPagination,
   cleanObject,
   calculateDistance,
 } from "../utils/helpers.js";
+import {
+  calculateDeliveryFee,
+  calculateOrderQuote,
+  getDeliveryDistance,
+  getDeliveryViolations,
+  getFeeRules,
+} from "../utils/pricing.js";
+import { validateCoupon } from "../utils/coupons.js";
+import { getDeliverySlots, getSlotViolation } from "../utils/deliverySlots.js";
+import {
+  cancelPendingOrder,
+  createSubscription,
+  getIntervalChangeError,
+  pauseSubscription,
+  resumeSubscription,
+  skipDelivery,
+  SUBSCRIPTION_INTERVALS,
+} from "../utils/subscriptions.js";
 import stripe from "../config/stripe.js";
 import logger from "../config/logger.js";
 
@@ -641,6 +660,85 @@ export const getMealDetails = async (req, res) => {
   }
 };
 
+// Parse ?from=&days= for the delivery slot endpoints
+const getSlotRange = (query) => {
+  const from = query.from ? new Date(query.from) : new Date();
+  const days = Math.min(Math.max(parseInt(query.days) || 14, 1), 60);
+  return { from: Number.isNaN(from.getTime()) ? new Date() : from, days };
+};
+
+// @desc    Get delivery slots for a vendor's meals
+// @route   GET /api/customer/vendors/:id/delivery-slots
+// @access  Private (Customer)
+export const getVendorDeliverySlots = async (req, res) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: "Vendor not found",
+      });
+    }
+
+    const meals = await Meal.find({
+      vendor: vendor._id,
+      status: "active",
+    }).select("name availability");
+
+    const slots = await getDeliverySlots(meals, getSlotRange(req.query));
+
+    // A day is open when at least one meal can still be ordered for it
+    res.json({
+      success: true,
+      data: {
+        slots: slots.map((slot) => ({
+          date: slot.date,
+          available: slot.meals.some((meal) => meal.available),
+          meals: slot.meals,
+        })),
+      },
+    });
+  } catch (error) {
+    logger.error("Get vendor delivery slots error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Get delivery slots for a meal
+// @route   GET /api/customer/meals/:id/delivery-slots
+// @access  Private (Customer)
+export const getMealDeliverySlots = async (req, res) => {
+  try {
+    const meal = await Meal.findById(req.params.id).select(
+      "name availability"
+    );
+    if (!meal) {
+      return res.status(404).json({
+        success: false,
+        message: "Meal not found",
+      });
+    }
+
+    const slots = await getDeliverySlots([meal], getSlotRange(req.query));
+
+    res.json({
+      success: true,
+      data: {
+        slots: slots.map((slot) => ({ date: slot.date, ...slot.meals[0] })),
+      },
+    });
+  } catch (error) {
+    logger.error("Get meal delivery slots error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
 // @desc    Add to cart
 // @route   POST /api/customer/cart
 // @access  Private (Customer)
@@ -665,6 +763,15 @@ export const addToCart = async (req, res) => {
       });
     }
 
+    const slotViolation = await getSlotViolation(meal, deliveryDate);
+    if (slotViolation) {
+      return res.status(400).json({
+        success: false,
+        message: slotViolation.message,
+        errors: [slotViolation],
+      });
+    }
+
     // Check if item already exists in cart
     const existingItemIndex = customer.cart.findIndex(
       (item) =>
@@ -814,6 +921,105 @@ export const removeFromCart = async (req, res) => {
   }
 };
 
+// @desc    Validate a coupon against the cart for a vendor
+// @route   POST /api/customer/cart/apply-coupon
+// @access  Private (Customer)
+export const applyCoupon = async (req, res) => {
+  try {
+    const { code, vendorId } = req.body;
+
+    if (!code || !vendorId) {
+      return res.status(400).json({
+        success: false,
+        message: "Coupon code and vendorId are required",
+      });
+    }
+
+    const customer = await Customer.findOne({ user: req.user.id }).populate({
+      path: "cart.meal",
+      select: "name price vendor",
+    });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer profile not found",
+      });
+    }
+
+    const cartItems = customer.cart.filter(
+      (item) => item.meal && item.meal.vendor?.toString() === vendorId
+    );
+    if (cartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No items from this vendor in cart",
+      });
+    }
+
+    const vendor = await Vendor.findById(vendorId);
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: "Vendor not found",
+      });
+    }
+
+    const address =
+      customer.addresses.find((addr) => addr.isDefault) ||
+      customer.addresses[0];
+    const feeRules = await getFeeRules(address);
+    const baseQuote = await calculateOrderQuote({
+      items: cartItems,
+      vendor,
+      address,
+      rules: feeRules,
+    });
+
+    const result = await validateCoupon({
+      code,
+      customer,
+      vendor,
+      subtotal: baseQuote.subtotal,
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error.message,
+        errors: [result.error],
+      });
+    }
+
+    const quote = await calculateOrderQuote({
+      items: cartItems,
+      vendor,
+      address,
+      rules: feeRules,
+      discount: result.discount,
+    });
+
+    res.json({
+      success: true,
+      message: "Coupon applied",
+      data: {
+        coupon: {
+          code: result.coupon.code,
+          description: result.coupon.description,
+          discountType: result.coupon.discountType,
+          value: result.coupon.value,
+        },
+        discount: result.discount,
+        pricing: quote,
+      },
+    });
+  } catch (error) {
+    logger.error("Apply coupon error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
 // @desc    Toggle favorite vendor
 // @route   POST /api/customer/favorites/vendors/:id
 // @access  Private (Customer)
@@ -1030,12 +1236,19 @@ export const getCustomerOrders = async (req, res) => {
   }
 };
 
-// @desc    Subscribe to package
+// @desc    Subscribe to recurring meal deliveries
 // @route   POST /api/customer/subscribe
 // @access  Private (Customer)
 export const subscribeToPackage = async (req, res) => {
   try {
-    const { meals, deliveryAddress, startDate, frequency } = req.body;
+    const {
+      items,
+      interval,
+      startDate,
+      deliveryAddress,
+      paymentMethodId,
+      specialInstructions,
+    } = req.body;
 
     const customer = await Customer.findOne({ user: req.user.id });
     if (!customer) {
@@ -1045,23 +1258,29 @@ export const subscribeToPackage = async (req, res) => {
       });
     }
 
-    // Create subscription object
-    const subscription = {
-      meals,
-      deliveryAddress,
-      startDate: new Date(startDate),
-      frequency,
-      status: "active",
-      createdAt: new Date(),
-    };
-
-    customer.subscriptions.push(subscription);
-    await customer.save();
+    const { subscription, pricing, error } = await createSubscription(
+      customer,
+      {
+        items,
+        interval,
+        startDate,
+        deliveryAddress,
+        paymentMethodId,
+        specialInstructions,
+      }
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: [error],
+      });
+    }
 
     res.status(201).json({
       success: true,
       message: "Subscription created successfully",
-      data: { subscription },
+      data: { subscription, pricing },
     });
   } catch (error) {
     logger.error("Subscribe to package error", { error: error.message });
@@ -1077,10 +1296,7 @@ export const subscribeToPackage = async (req, res) => {
 // @access  Private (Customer)
 export const getSubscriptions = async (req, res) => {
   try {
-    const customer = await Customer.findOne({ user: req.user.id }).populate(
-      "subscriptions.meals",
-      "name price images"
-    );
+    const customer = await Customer.findOne({ user: req.user.id });
 
     if (!customer) {
       return res.status(404).json({
@@ -1089,9 +1305,14 @@ export const getSubscriptions = async (req, res) => {
       });
     }
 
+    const subscriptions = await Subscription.find({ customer: customer._id })
+      .populate("items.meal", "name price images")
+      .populate("vendor", "businessName")
+      .sort({ createdAt: -1 });
+
     res.json({
       success: true,
-      data: { subscriptions: customer.subscriptions },
+      data: { subscriptions },
     });
   } catch (error) {
     logger.error("Get subscriptions error", { error: error.message });
@@ -1102,13 +1323,22 @@ export const getSubscriptions = async (req, res) => {
   }
 };
 
-// @desc    Update subscription
+// @desc    Update subscription, or skip, pause or resume deliveries
 // @route   PUT /api/customer/subscriptions/:subscriptionId
 // @access  Private (Customer)
 export const updateSubscription = async (req, res) => {
   try {
     const { subscriptionId } = req.params;
-    const { meals, frequency } = req.body;
+    const {
+      action,
+      date,
+      from,
+      until,
+      interval,
+      deliveryAddress,
+      paymentMethodId,
+      specialInstructions,
+    } = req.body;
 
     const customer = await Customer.findOne({ user: req.user.id });
     if (!customer) {
@@ -1118,7 +1348,10 @@ export const updateSubscription = async (req, res) => {
       });
     }
 
-    const subscription = customer.subscriptions.id(subscriptionId);
+    const subscription = await Subscription.findOne({
+      _id: subscriptionId,
+      customer: customer._id,
+    });
     if (!subscription) {
       return res.status(404).json({
         success: false,
@@ -1126,11 +1359,81 @@ export const updateSubscription = async (req, res) => {
       });
     }
 
-    if (meals) subscription.meals = meals;
-    if (frequency) subscription.frequency = frequency;
-    subscription.updatedAt = new Date();
+    if (subscription.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot update a cancelled subscription",
+      });
+    }
 
-    await customer.save();
+    if (action) {
+      const actor = { role: "customer", userId: req.user.id, io: req.io };
+      const actions = {
+        skip: {
+          run: () => skipDelivery(subscription, date, actor),
+          message: "Delivery skipped successfully",
+        },
+        pause: {
+          run: () => pauseSubscription(subscription, { from, until }, actor),
+          message: "Subscription paused successfully",
+        },
+        resume: {
+          run: () => resumeSubscription(subscription),
+          message: "Subscription resumed successfully",
+        },
+      };
+
+      if (!actions[action]) {
+        return res.status(400).json({
+          success: false,
+          message: "Action must be one of: skip, pause, resume",
+        });
+      }
+
+      const { error } = await actions[action].run();
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          errors: [error],
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: actions[action].message,
+        data: { subscription },
+      });
+    }
+
+    if (interval) {
+      if (!SUBSCRIPTION_INTERVALS.includes(interval)) {
+        return res.status(400).json({
+          success: false,
+          message: `Interval must be one of: ${SUBSCRIPTION_INTERVALS.join(", ")}`,
+        });
+      }
+
+      const intervalError = await getIntervalChangeError(
+        subscription,
+        interval
+      );
+      if (intervalError) {
+        return res.status(400).json({
+          success: false,
+          message: intervalError.message,
+          errors: [intervalError],
+        });
+      }
+      subscription.interval = interval;
+    }
+    if (deliveryAddress) subscription.deliveryAddress = deliveryAddress;
+    if (paymentMethodId) subscription.paymentMethodId = paymentMethodId;
+    if (specialInstructions !== undefined) {
+      subscription.specialInstructions = specialInstructions;
+    }
+
+    await subscription.save();
 
     res.json({
       success: true,
@@ -1161,7 +1464,10 @@ export const cancelSubscription = async (req, res) => {
       });
     }
 
-    const subscription = customer.subscriptions.id(subscriptionId);
+    const subscription = await Subscription.findOne({
+      _id: subscriptionId,
+      customer: customer._id,
+    });
     if (!subscription) {
       return res.status(404).json({
         success: false,
@@ -1169,13 +1475,35 @@ export const cancelSubscription = async (req, res) => {
       });
     }
 
+    if (subscription.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Subscription is already cancelled",
+      });
+    }
+
+    // Drop the upcoming order if it has not been paid for yet
+    await cancelPendingOrder(subscription, {
+      role: "customer",
+      userId: req.user.id,
+      reason: "Subscription cancelled",
+      io: req.io,
+    });
+
     subscription.status = "cancelled";
     subscription.cancelledAt = new Date();
-    await customer.save();
+    subscription.nextChargeAt = null;
+    // Skips and pauses no longer apply
+    subscription.skippedDates = [];
+    subscription.pausedFrom = null;
+    subscription.pausedUntil = null;
+    subscription.pauseReason = null;
+    await subscription.save();
 
     res.json({
       success: true,
       message: "Subscription cancelled successfully",
+      data: { subscription },
     });
   } catch (error) {
     logger.error("Cancel subscription error", { error: error.message });
@@ -1292,25 +1620,16 @@ export const getDeliveryFee = async (req, res) => {
       });
     }
 
-    // Get coordinates
-    const [customerLng, customerLat] = address.coordinates;
-    const [vendorLng, vendorLat] = vendor.location?.coordinates || [0, 0];
-
-    // Calculate distance
-    const distance = getDistanceFromLatLonInKm(
-      customerLat,
-      customerLng,
-      vendorLat,
-      vendorLng
-    );
-
-    // Delivery fee: 5 pounds minimum, +2 pounds per km
-    let deliveryFee = 5 + Math.ceil(distance) * 2;
-    if (deliveryFee < 5) deliveryFee = 5;
+    const distance = await getDeliveryDistance(vendor, address);
+    const feeRules = await getFeeRules(address);
+    const deliveryFee = calculateDeliveryFee(distance, feeRules);
 
     res.json({
       success: true,
-      data: { deliveryFee, distance: Number(distance.toFixed(2)) },
+      data: {
+        deliveryFee,
+        distance: distance === null ? null : Number(distance.toFixed(2)),
+      },
     });
   } catch (error) {
     logger.error("Get delivery fee error", { error: error.message });
@@ -1350,16 +1669,6 @@ export const getCheckout = async (req, res) => {
       });
     }
 
-    // Calculate item amount
-    const itemAmount = cartItems.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0
-    );
-
-    // Service charge and VAT
-    const serviceCharge = 1;
-    const vat = 1;
-
     // Get default address
     const address =
       customer.addresses.find((addr) => addr.isDefault) ||
@@ -1371,7 +1680,6 @@ export const getCheckout = async (req, res) => {
       });
     }
 
-    // Calculate delivery fee
     const vendor = await Vendor.findById(vendorId);
     if (!vendor) {
       return res.status(404).json({
@@ -1379,19 +1687,52 @@ export const getCheckout = async (req, res) => {
         message: "Vendor not found",
       });
     }
-    const [customerLng, customerLat] = address.coordinates;
-    const [vendorLng, vendorLat] = vendor.location?.coordinates || [0, 0];
-    const distance = getDistanceFromLatLonInKm(
-      customerLat,
-      customerLng,
-      vendorLat,
-      vendorLng
-    );
-    let deliveryFee = 5 + Math.ceil(distance) * 2;
-    if (deliveryFee < 5) deliveryFee = 5;
 
-    // Total amount
-    const totalAmount = itemAmount + serviceCharge + vat + deliveryFee;
+    const feeRules = await getFeeRules(address);
+    let quote = await calculateOrderQuote({
+      items: cartItems,
+      vendor,
+      address,
+      rules: feeRules,
+    });
+
+    const violations = getDeliveryViolations(vendor, quote);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: violations[0].message,
+        errors: violations,
+        data: { pricing: quote },
+      });
+    }
+
+    // Optional coupon preview, the same check createOrder runs
+    let coupon = null;
+    if (req.query.couponCode) {
+      const result = await validateCoupon({
+        code: req.query.couponCode,
+        customer,
+        vendor,
+        subtotal: quote.subtotal,
+      });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error.message,
+          errors: [result.error],
+          data: { pricing: quote },
+        });
+      }
+
+      coupon = result.coupon;
+      quote = await calculateOrderQuote({
+        items: cartItems,
+        vendor,
+        address,
+        rules: feeRules,
+        discount: result.discount,
+      });
+    }
 
     res.json({
       success: true,
@@ -1403,12 +1744,15 @@ export const getCheckout = async (req, res) => {
           price: item.price,
           deliveryDate: item.deliveryDate,
         })),
-        itemAmount,
-        serviceCharge,
-        vat,
-        deliveryFee,
-        totalAmount,
-        distance: Number(distance.toFixed(2)),
+        pricing: quote,
+        coupon: coupon && { code: coupon.code, description: coupon.description },
+        // Flat fields kept for older app builds
+        itemAmount: quote.subtotal,
+        serviceCharge: quote.serviceFee,
+        vat: quote.tax,
+        deliveryFee: quote.deliveryFee,
+        totalAmount: quote.total,
+        distance: quote.distance,
         address,
         vendor: {
           id: vendor._id,
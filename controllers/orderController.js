@@ -1,3 +1,4 @@
+import { v4 as uuidv4 } from "uuid";
 import Order from "../models/Order.js";
 import Customer from "../models/Customer.js";
 import Vendor from "../models/Vendor.js";
@@ -5,15 +6,118 @@ import Rider from "../models/Rider.js";
 import User from "../models/User.js";
 import { Meal } from "../models/Meal.js";
 import Notification from "../models/Notification.js";
-import { calculateOrderTotal, generateDeliveryCode } from "../utils/helpers.js";
+import { generateDeliveryCode } from "../utils/helpers.js";
 import { sendOrderNotificationEmail } from "../utils/email.js";
 import {
   sendPushToUser,
   OrderNotifications,
 } from "../utils/pushNotification.js";
 import stripe from "../config/stripe.js";
+import { stripeIdempotency } from "../middleware/idempotencyMiddleware.js";
+import {
+  getSlotViolation,
+  releaseSlots,
+  reserveSlots,
+} from "../utils/deliverySlots.js";
+import { createSubscription } from "../utils/subscriptions.js";
+import {
+  calculateItemRefund,
+  getRefundDestination,
+  refundPaidOrder,
+} from "../utils/refunds.js";
 import logger from "../config/logger.js";
-import { getDistanceFromLatLonInKm } from "./customerController.js";
+import {
+  calculateOrderQuote,
+  getDeliveryViolations,
+  getFeeRules,
+  ORDER_CURRENCY,
+  roundAmount,
+} from "../utils/pricing.js";
+import {
+  findCouponByCode,
+  redeemCoupon,
+  releaseCoupon,
+  validateCoupon,
+} from "../utils/coupons.js";
+import { chargeTip, validateTip } from "../utils/tips.js";
+import { CASH_PAYMENT_METHOD } from "../utils/cashLedger.js";
+import {
+  RIDER_STATUSES,
+  getTransitionError,
+  transitionOrder,
+} from "../utils/orderLifecycle.js";
+import { getOrderRoute } from "../utils/riderLocation.js";
+
+// Generate unique order reference (e.g., ORD-YYYYMMDD-XXXX)
+const generateOrderReference = (prefix) => {
+  const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  const randomPart = Math.floor(1000 + Math.random() * 9000);
+  return `${prefix}-${datePart}-${randomPart}`;
+};
+
+// Customers and vendors can manage their own orders, admins any order
+const canManageOrder = async (order, user) => {
+  if (user.role === "admin") return true;
+
+  const customer = await Customer.findOne({ user: user.id });
+  const vendor = await Vendor.findOne({ user: user.id });
+
+  return Boolean(
+    (customer && order.customer._id.toString() === customer._id.toString()) ||
+      (vendor && order.vendor._id.toString() === vendor._id.toString()),
+  );
+};
+
+// Distinct meals in a set of cart items
+const getCartMeals = (cartItems) => [
+  ...new Map(
+    cartItems.map((item) => [item.meal._id.toString(), item.meal]),
+  ).values(),
+];
+
+// Check each meal in the order against its delivery slot for the date
+const getOrderSlotViolations = async (cartItems, deliveryDate) => {
+  const violations = [];
+  for (const meal of getCartMeals(cartItems)) {
+    const violation = await getSlotViolation(meal, deliveryDate);
+    if (violation) violations.push(violation);
+  }
+  return violations;
+};
+
+// Roll back an order or checkout that could not be saved after its
+// payment was made: remove the orders already created, refund or cancel
+// the payment and give the coupon use and delivery slots back
+const undoOrderCreation = async (
+  req,
+  { orders, paymentIntent, coupon, reservedSlots, deliveryDate },
+) => {
+  try {
+    await Order.deleteMany({
+      _id: { $in: orders.map((order) => order._id) },
+    });
+
+    if (paymentIntent?.status === "succeeded") {
+      await stripe.refunds.create(
+        {
+          payment_intent: paymentIntent.id,
+          metadata: { reason: "order_creation_failed" },
+        },
+        stripeIdempotency(req, "order_creation_refund"),
+      );
+    } else if (paymentIntent && paymentIntent.status !== "canceled") {
+      await stripe.paymentIntents.cancel(paymentIntent.id);
+    }
+
+    if (coupon) await releaseCoupon(coupon._id);
+    await releaseSlots(reservedSlots, deliveryDate);
+  } catch (error) {
+    logger.error("Undo order creation error", {
+      error: error.message,
+      paymentIntentId: paymentIntent?.id,
+    });
+  }
+};
 
 // @desc    Create order from cart
 // @route   POST /api/orders/create
@@ -25,16 +129,36 @@ export const createOrder = async (req, res) => {
       vendorId,
       deliveryAddress,
       deliveryDate,
+      paymentMethod = "card",
       paymentMethodId,
       specialInstructions,
+      couponCode,
+      tip: requestedTip = 0,
       type = "one_time",
     } = req.body;
     const userId = req.user.id;
 
+    if (!["card", CASH_PAYMENT_METHOD].includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment method must be card or cash",
+      });
+    }
+    const payInCash = paymentMethod === CASH_PAYMENT_METHOD;
+
+    const { tip, error: tipError } = validateTip(requestedTip);
+    if (tipError) {
+      return res.status(400).json({
+        success: false,
+        message: tipError.message,
+        errors: [tipError],
+      });
+    }
+
     // Fetch customer and cart
     const customer = await Customer.findOne({ user: userId }).populate({
       path: "cart.meal",
-      select: "name price images vendor",
+      select: "name price images vendor availability",
     });
     if (!customer) {
       return res
@@ -52,14 +176,6 @@ export const createOrder = async (req, res) => {
         .json({ success: false, message: "No items from this vendor in cart" });
     }
 
-    // Calculate item amount
-    const itemAmount = cartItems.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0,
-    );
-    const serviceCharge = 1;
-    const vat = 1;
-
     // Get default address if not provided
     let address = deliveryAddress;
     if (!address) {
@@ -73,26 +189,89 @@ export const createOrder = async (req, res) => {
       }
     }
 
-    // Calculate delivery fee
     const vendor = await Vendor.findById(vendorId);
     if (!vendor) {
       return res
         .status(404)
         .json({ success: false, message: "Vendor not found" });
     }
-    const [customerLng, customerLat] = address.coordinates;
-    const [vendorLng, vendorLat] = vendor.location?.coordinates || [0, 0];
-    const distance = getDistanceFromLatLonInKm(
-      customerLat,
-      customerLng,
-      vendorLat,
-      vendorLng,
+
+    // Price the order with the same engine used at checkout
+    const feeRules = await getFeeRules(address);
+    let quote = await calculateOrderQuote({
+      items: cartItems,
+      vendor,
+      address,
+      rules: feeRules,
+    });
+
+    const violations = [
+      ...getDeliveryViolations(vendor, quote),
+      ...(await getOrderSlotViolations(cartItems, deliveryDate)),
+    ];
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: violations[0].message,
+        errors: violations,
+      });
+    }
+
+    let coupon = null;
+    if (couponCode) {
+      const result = await validateCoupon({
+        code: couponCode,
+        customer,
+        vendor,
+        subtotal: quote.subtotal,
+      });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error.message,
+          errors: [result.error],
+        });
+      }
+
+      coupon = result.coupon;
+      quote = await calculateOrderQuote({
+        items: cartItems,
+        vendor,
+        address,
+        rules: feeRules,
+        discount: result.discount,
+      });
+
+      if (!(await redeemCoupon(coupon))) {
+        return res.status(400).json({
+          success: false,
+          message: "Coupon has reached its usage limit",
+          errors: [
+            {
+              code: "COUPON_USAGE_LIMIT_REACHED",
+              message: "Coupon has reached its usage limit",
+            },
+          ],
+        });
+      }
+    }
+
+    // Hold places in capped delivery slots before charging
+    const { reserved: reservedSlots, error: slotError } = await reserveSlots(
+      getCartMeals(cartItems),
+      deliveryDate,
     );
-    let deliveryFee = 5 + Math.ceil(distance) * 2;
-    if (deliveryFee < 5) deliveryFee = 5;
+    if (slotError) {
+      if (coupon) await releaseCoupon(coupon._id);
+      return res.status(400).json({
+        success: false,
+        message: slotError.message,
+        errors: [slotError],
+      });
+    }
 
-    // Total amount
-    const totalAmount = itemAmount + serviceCharge + vat + deliveryFee;
+    // The tip rides on the order payment and is paid to the rider on delivery
+    const totalAmount = roundAmount(quote.total + tip);
 
     // Prepare order items
     const orderItems = cartItems.map((item) => ({
@@ -102,107 +281,158 @@ export const createOrder = async (req, res) => {
       totalPrice: item.price * item.quantity,
     }));
 
-    // Create Stripe Payment Intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(totalAmount * 100), // Convert to cents
-      currency: "usd",
-      payment_method: paymentMethodId,
-      customer: customer.stripeCustomerId, // Fix: include Stripe customer
-      confirmation_method: "manual",
-      confirm: true,
-      return_url: `${process.env.FRONTEND_URL}/orders`,
-      metadata: {
-        customerId: customer._id.toString(),
-        vendorId: vendor._id.toString(),
-        type,
-      },
-    });
+    // Create Stripe Payment Intent; cash orders are paid to the rider
+    let paymentIntent = null;
+    if (!payInCash) {
+      try {
+        paymentIntent = await stripe.paymentIntents.create(
+          {
+            amount: Math.round(totalAmount * 100), // Convert to cents
+            currency: ORDER_CURRENCY,
+            payment_method: paymentMethodId,
+            customer: customer.stripeCustomerId, // Fix: include Stripe customer
+            confirmation_method: "manual",
+            confirm: true,
+            return_url: `${process.env.FRONTEND_URL}/orders`,
+            metadata: {
+              customerId: customer._id.toString(),
+              vendorId: vendor._id.toString(),
+              type,
+            },
+          },
+          stripeIdempotency(req, "order_payment"),
+        );
+      } catch (stripeError) {
+        // The order was never created, so hand the coupon use and slots back
+        if (coupon) await releaseCoupon(coupon._id);
+        await releaseSlots(reservedSlots, deliveryDate);
+        throw stripeError;
+      }
+    }
 
-    // Generate unique order reference (e.g., ORD-YYYYMMDD-XXXX)
-    const today = new Date();
-    const datePart = today.toISOString().slice(0, 10).replace(/-/g, "");
-    const randomPart = Math.floor(1000 + Math.random() * 9000);
-    const orderReference = `ORD-${datePart}-${randomPart}`;
+    const orderReference = generateOrderReference("ORD");
     const deliveryCode = generateDeliveryCode();
     const pickupCode = generateDeliveryCode();
-    // Create order
-    const order = await Order.create({
-      orderNumber: orderReference,
-      customer: customer._id,
-      vendor: vendor._id,
-      items: orderItems,
-      type,
-      totalItemsPrice: itemAmount,
-      pricing: {
-        itemAmount,
-        serviceCharge,
-        vat,
-        deliveryFee,
-        total: totalAmount,
-        subtotal: totalAmount,
-      },
-      deliveryAddress: address,
-      deliveryInfo: {
-        scheduledDate: new Date(deliveryDate),
-        estimatedTime: new Date(
-          Date.now() +
-            (vendor.deliveryInfo?.estimatedDeliveryTime || 30) * 60000,
-        ),
-      },
-      paymentInfo: {
-        stripePaymentIntentId: paymentIntent.id,
-        paymentMethod: paymentMethodId,
-      },
-      specialInstructions,
-      timeline: [
-        {
-          status: "pending",
-          timestamp: new Date(),
-          updatedBy: req.user.id,
-          notes: "Order created",
+    // Create order; if it cannot be saved, undo the payment
+    let order;
+    try {
+      order = await Order.create({
+        orderNumber: orderReference,
+        customer: customer._id,
+        vendor: vendor._id,
+        items: orderItems,
+        type,
+        totalItemsPrice: quote.subtotal,
+        pricing: {
+          subtotal: quote.subtotal,
+          deliveryFee: quote.deliveryFee,
+          serviceFee: quote.serviceFee,
+          tax: quote.tax,
+          discount: quote.discount,
+          tip,
+          total: totalAmount,
+          commissionPercentage: feeRules.commissionPercentage,
+          feeRule: feeRules.feeRule,
         },
-      ],
-      deliveryCode: deliveryCode,
-      pickupCode: pickupCode,
-    });
+        coupon: coupon
+          ? {
+              id: coupon._id,
+              code: coupon.code,
+              fundedBy: coupon.vendor ? "vendor" : "platform",
+            }
+          : undefined,
+        deliveryAddress: address,
+        deliveryZone: feeRules.zone,
+        deliveryInfo: {
+          scheduledDate: new Date(deliveryDate),
+          estimatedTime: new Date(
+            Date.now() +
+              (vendor.deliveryInfo?.estimatedDeliveryTime || 30) * 60000,
+          ),
+          reservedSlots,
+        },
+        paymentInfo: payInCash
+          ? { paymentMethod: CASH_PAYMENT_METHOD }
+          : {
+              stripePaymentIntentId: paymentIntent.id,
+              paymentMethod: paymentMethodId,
+            },
+        specialInstructions,
+        timeline: [
+          {
+            status: "pending",
+            timestamp: new Date(),
+            updatedBy: req.user.id,
+            notes: "Order created",
+          },
+        ],
+        deliveryCode: deliveryCode,
+        pickupCode: pickupCode,
+      });
 
-    // Update payment status based on payment intent
-    if (paymentIntent.status === "succeeded") {
-      order.paymentStatus = "completed";
-      order.status = "confirmed";
-      order.timeline.push({
-        status: "confirmed",
-        timestamp: new Date(),
-        notes: "Payment completed, order confirmed",
+      // Update payment status based on payment intent
+      if (payInCash) {
+        order.paymentStatus = "pending";
+        order.status = "confirmed";
+        order.timeline.push({
+          status: "confirmed",
+          timestamp: new Date(),
+          notes: "Cash on delivery, order confirmed",
+        });
+      } else if (paymentIntent.status === "succeeded") {
+        order.paymentStatus = "completed";
+        order.status = "confirmed";
+        order.timeline.push({
+          status: "confirmed",
+          timestamp: new Date(),
+          notes: "Payment completed, order confirmed",
+        });
+      } else {
+        order.paymentStatus = "processing";
+      }
+      await order.save();
+    } catch (createError) {
+      await undoOrderCreation(req, {
+        orders: order ? [order] : [],
+        paymentIntent,
+        coupon,
+        reservedSlots,
+        deliveryDate,
       });
-    } else {
-      order.paymentStatus = "processing";
+      throw createError;
     }
-    await order.save();
 
-    // Clear cart items that were ordered
-    cartItems.forEach((item) => {
-      customer.cart.pull(item._id);
-    });
-    await customer.save();
-
-    // Update customer order history
-    if (customer.orderHistory) {
-      customer.orderHistory.totalOrders += 1;
-      customer.orderHistory.totalSpent += totalAmount;
+    // The order is placed and paid; bookkeeping failures must not undo it
+    try {
+      // Clear cart items that were ordered
+      cartItems.forEach((item) => {
+        customer.cart.pull(item._id);
+      });
       await customer.save();
-    }
 
-    // Update vendor metrics
-    if (vendor.metrics) {
-      vendor.metrics.totalOrders += 1;
-      await vendor.save();
-    }
+      // Update customer order history
+      if (customer.orderHistory) {
+        customer.orderHistory.totalOrders += 1;
+        customer.orderHistory.totalSpent += totalAmount;
+        await customer.save();
+      }
 
-    // Update meal metrics
-    for (const item of orderItems) {
-      await Meal.findByIdAndUpdate(item.meal, {
-        $inc: { "metrics.totalOrders": item.quantity },
+      // Update vendor metrics
+      if (vendor.metrics) {
+        vendor.metrics.totalOrders += 1;
+        await vendor.save();
+      }
+
+      // Update meal metrics
+      for (const item of orderItems) {
+        await Meal.findByIdAndUpdate(item.meal, {
+          $inc: { "metrics.totalOrders": item.quantity },
+        });
+      }
+    } catch (error) {
+      logger.error("Failed to update order bookkeeping", {
+        error: error.message,
+        orderId: order._id,
       });
     }
 
@@ -239,7 +469,7 @@ export const createOrder = async (req, res) => {
       });
 
       // Push notification to customer: order confirmed (if payment succeeded)
-      if (order.paymentStatus === "completed") {
+      if (order.status === "confirmed") {
         const customerNotif = OrderNotifications.orderConfirmed(order);
         await sendPushToUser(req.user.id, {
           title: customerNotif.title,
@@ -273,7 +503,7 @@ export const createOrder = async (req, res) => {
       message: "Order created successfully",
       data: {
         order: populatedOrder,
-        paymentIntent: {
+        paymentIntent: paymentIntent && {
           id: paymentIntent.id,
           status: paymentIntent.status,
           clientSecret: paymentIntent.client_secret,
@@ -293,99 +523,433 @@ export const createOrder = async (req, res) => {
   }
 };
 
-// @desc    Create subscription order
-// @route   POST /api/orders/subscription
+// @desc    Check out the whole cart: one payment, one order per vendor
+// @route   POST /api/orders/checkout
 // @access  Private (Customer)
-export const createSubscriptionOrder = async (req, res) => {
+export const createCheckout = async (req, res) => {
   try {
     const {
-      mealId,
-      quantity,
-      interval,
       deliveryAddress,
+      deliveryDate,
       paymentMethodId,
-      startDate,
+      specialInstructions,
+      couponCode,
+      paymentMethod = "card",
+      tip,
     } = req.body;
 
-    const customer = await Customer.findOne({ user: req.user.id });
-    if (!customer) {
-      return res.status(404).json({
+    // One card charge covers every vendor; cash and tips stay per order
+    if (paymentMethod !== "card") {
+      return res.status(400).json({
         success: false,
-        message: "Customer profile not found",
+        message: "Checkout can only be paid by card",
+      });
+    }
+    if (tip) {
+      return res.status(400).json({
+        success: false,
+        message: "Tips cannot be added at checkout; tip after delivery",
       });
     }
 
-    const meal = await Meal.findById(mealId).populate("vendor");
-    if (!meal || !meal.subscription.isAvailable) {
-      return res.status(404).json({
+    const customer = await Customer.findOne({ user: req.user.id }).populate({
+      path: "cart.meal",
+      select: "name price images vendor availability",
+    });
+    if (!customer) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Customer profile not found" });
+    }
+
+    const cartItems = customer.cart.filter((item) => item.meal);
+    if (cartItems.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Your cart is empty" });
+    }
+
+    const address =
+      deliveryAddress ||
+      customer.addresses.find((addr) => addr.isDefault) ||
+      customer.addresses[0];
+    if (!address) {
+      return res
+        .status(400)
+        .json({ success: false, message: "No delivery address found" });
+    }
+
+    // Group cart items by vendor
+    const itemsByVendor = new Map();
+    cartItems.forEach((item) => {
+      const vendorId = item.meal.vendor.toString();
+      if (!itemsByVendor.has(vendorId)) itemsByVendor.set(vendorId, []);
+      itemsByVendor.get(vendorId).push(item);
+    });
+
+    const vendors = await Vendor.find({
+      _id: { $in: [...itemsByVendor.keys()] },
+    });
+    if (vendors.length !== itemsByVendor.size) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Vendor not found" });
+    }
+
+    // Price each vendor's part with the same engine as single-vendor orders
+    const feeRules = await getFeeRules(address);
+    const groups = [];
+    const violations = [];
+    for (const vendor of vendors) {
+      const items = itemsByVendor.get(vendor._id.toString());
+      const quote = await calculateOrderQuote({
+        items,
+        vendor,
+        address,
+        rules: feeRules,
+      });
+      getDeliveryViolations(vendor, quote).forEach((violation) =>
+        violations.push({ ...violation, vendorId: vendor._id }),
+      );
+      groups.push({ vendor, items, quote });
+    }
+
+    violations.push(...(await getOrderSlotViolations(cartItems, deliveryDate)));
+
+    if (violations.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: "Meal not available for subscription",
+        message: violations[0].message,
+        errors: violations,
       });
     }
 
-    // Calculate subscription pricing with discount
-    const basePrice = meal.price * quantity;
-    const discountPercentage = meal.subscription.discountPercentage || 0;
-    const discountAmount = basePrice * (discountPercentage / 100);
-    const subscriptionPrice = basePrice - discountAmount;
+    // A coupon applies to one child order: its own vendor's for vendor
+    // coupons, otherwise the largest order in the checkout
+    let coupon = null;
+    let couponGroup = null;
+    if (couponCode) {
+      const couponDoc = await findCouponByCode(couponCode);
+      couponGroup = couponDoc?.vendor
+        ? groups.find((group) => group.vendor._id.equals(couponDoc.vendor))
+        : [...groups].sort((a, b) => b.quote.subtotal - a.quote.subtotal)[0];
+
+      const result = await validateCoupon({
+        code: couponCode,
+        customer,
+        vendor: couponGroup?.vendor || groups[0].vendor,
+        subtotal: couponGroup?.quote.subtotal || 0,
+      });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error.message,
+          errors: [result.error],
+        });
+      }
+
+      coupon = result.coupon;
+      couponGroup.quote = await calculateOrderQuote({
+        items: couponGroup.items,
+        vendor: couponGroup.vendor,
+        address,
+        rules: feeRules,
+        discount: result.discount,
+      });
+
+      if (!(await redeemCoupon(coupon))) {
+        return res.status(400).json({
+          success: false,
+          message: "Coupon has reached its usage limit",
+          errors: [
+            {
+              code: "COUPON_USAGE_LIMIT_REACHED",
+              message: "Coupon has reached its usage limit",
+            },
+          ],
+        });
+      }
+    }
 
-    // Calculate delivery fee
-    const deliveryFee = meal.vendor.deliveryInfo.deliveryFee || 0;
-    const pricing = calculateOrderTotal(
-      [{ price: subscriptionPrice / quantity, quantity }],
-      deliveryFee,
+    // Hold places in capped delivery slots before charging
+    const { reserved: reservedSlots, error: slotError } = await reserveSlots(
+      getCartMeals(cartItems),
+      deliveryDate,
+    );
+    if (slotError) {
+      if (coupon) await releaseCoupon(coupon._id);
+      return res.status(400).json({
+        success: false,
+        message: slotError.message,
+        errors: [slotError],
+      });
+    }
+
+    // Random, so no two checkouts can share a group
+    const checkoutGroup = `CHK-${uuidv4()}`;
+    const totalAmount = roundAmount(
+      groups.reduce((sum, group) => sum + group.quote.total, 0),
     );
 
-    // Create Stripe subscription
-    const subscription = await stripe.subscriptions.create({
-      customer: customer.stripeCustomerId, // Assume this exists
-      items: [
+    // One charge for the whole cart
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create(
         {
-          price_data: {
-            currency: "usd",
-            unit_amount: Math.round(pricing.total * 100),
-            recurring: {
-              interval: interval === "biweekly" ? "week" : interval,
-              interval_count: interval === "biweekly" ? 2 : 1,
-            },
-            product_data: {
-              name: `${meal.name} - ${selectedPackage.title}`,
-              description: `Subscription for ${meal.name}`,
-            },
+          amount: Math.round(totalAmount * 100), // Convert to cents
+          currency: ORDER_CURRENCY,
+          payment_method: paymentMethodId,
+          customer: customer.stripeCustomerId,
+          confirmation_method: "manual",
+          confirm: true,
+          return_url: `${process.env.FRONTEND_URL}/orders`,
+          metadata: {
+            customerId: customer._id.toString(),
+            checkoutGroup,
+            type: "one_time",
           },
-          quantity: 1,
         },
-      ],
-      default_payment_method: paymentMethodId,
-      metadata: {
-        customerId: customer._id.toString(),
-        vendorId: meal.vendor._id.toString(),
-        mealId: meal._id.toString(),
-        packageId: packageId,
+        stripeIdempotency(req, "checkout_payment"),
+      );
+    } catch (stripeError) {
+      if (coupon) await releaseCoupon(coupon._id);
+      await releaseSlots(reservedSlots, deliveryDate);
+      throw stripeError;
+    }
+
+    const paid = paymentIntent.status === "succeeded";
+    const orders = [];
+    try {
+      for (const { vendor, items, quote } of groups) {
+        const orderItems = items.map((item) => ({
+          meal: item.meal._id,
+          quantity: item.quantity,
+          unitPrice: item.price,
+          totalPrice: item.price * item.quantity,
+        }));
+
+        const timeline = [
+          {
+            status: "pending",
+            timestamp: new Date(),
+            updatedBy: req.user.id,
+            notes: `Order created (checkout ${checkoutGroup})`,
+          },
+        ];
+        if (paid) {
+          timeline.push({
+            status: "confirmed",
+            timestamp: new Date(),
+            notes: "Payment completed, order confirmed",
+          });
+        }
+
+        const order = await Order.create({
+          orderNumber: generateOrderReference("ORD"),
+          checkoutGroup,
+          customer: customer._id,
+          vendor: vendor._id,
+          items: orderItems,
+          type: "one_time",
+          totalItemsPrice: quote.subtotal,
+          pricing: {
+            subtotal: quote.subtotal,
+            deliveryFee: quote.deliveryFee,
+            serviceFee: quote.serviceFee,
+            tax: quote.tax,
+            discount: quote.discount,
+            total: quote.total,
+            commissionPercentage: feeRules.commissionPercentage,
+            feeRule: feeRules.feeRule,
+          },
+          coupon:
+            coupon && vendor === couponGroup.vendor
+              ? {
+                  id: coupon._id,
+                  code: coupon.code,
+                  fundedBy: coupon.vendor ? "vendor" : "platform",
+                }
+              : undefined,
+          deliveryAddress: address,
+          deliveryZone: feeRules.zone,
+          deliveryInfo: {
+            scheduledDate: new Date(deliveryDate),
+            estimatedTime: new Date(
+              Date.now() +
+                (vendor.deliveryInfo?.estimatedDeliveryTime || 30) * 60000,
+            ),
+            // This vendor's share of the checkout's slot places
+            reservedSlots: reservedSlots.filter((mealId) =>
+              items.some((item) => item.meal._id.equals(mealId)),
+            ),
+          },
+          paymentInfo: {
+            stripePaymentIntentId: paymentIntent.id,
+            paymentMethod: paymentMethodId,
+          },
+          status: paid ? "confirmed" : "pending",
+          paymentStatus: paid ? "completed" : "processing",
+          specialInstructions,
+          timeline,
+          deliveryCode: generateDeliveryCode(),
+          pickupCode: generateDeliveryCode(),
+        });
+        orders.push({ order, vendor, quote, orderItems });
+      }
+    } catch (createError) {
+      await undoOrderCreation(req, {
+        orders: orders.map(({ order }) => order),
+        paymentIntent,
+        coupon,
+        reservedSlots,
+        deliveryDate,
+      });
+      throw createError;
+    }
+
+    for (const { order, vendor, quote, orderItems } of orders) {
+      // Update vendor and meal metrics
+      if (vendor.metrics) {
+        vendor.metrics.totalOrders += 1;
+        await vendor.save();
+      }
+      for (const item of orderItems) {
+        await Meal.findByIdAndUpdate(item.meal, {
+          $inc: { "metrics.totalOrders": item.quantity },
+        });
+      }
+
+      req.io.to(`vendor_${vendor._id}`).emit("newOrder", {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        total: quote.total,
+        customer: {
+          name: `${req.user.firstName} ${req.user.lastName}`,
+        },
+      });
+    }
+
+    // Clear the checked-out items and update order history
+    cartItems.forEach((item) => {
+      customer.cart.pull(item._id);
+    });
+    if (customer.orderHistory) {
+      customer.orderHistory.totalOrders += orders.length;
+      customer.orderHistory.totalSpent += totalAmount;
+    }
+    await customer.save();
+
+    // Send notifications
+    try {
+      for (const { order, vendor } of orders) {
+        const vendorNotif = OrderNotifications.newOrderForVendor(order);
+        await sendPushToUser(vendor.user, {
+          title: vendorNotif.title,
+          body: vendorNotif.body,
+          data: vendorNotif.data,
+          type: "order_status",
+          priority: "high",
+        });
+
+        if (paid) {
+          const customerNotif = OrderNotifications.orderConfirmed(order);
+          await sendPushToUser(req.user.id, {
+            title: customerNotif.title,
+            body: customerNotif.body,
+            data: customerNotif.data,
+            type: "order_status",
+          });
+        }
+      }
+    } catch (error) {
+      logger.error("Failed to send checkout notifications", {
+        error: error.message,
+      });
+    }
+
+    const populatedOrders = await Order.find({
+      _id: { $in: orders.map(({ order }) => order._id) },
+      customer: customer._id,
+    })
+      .populate("vendor", "businessName")
+      .populate("items.meal", "name images");
+
+    res.status(201).json({
+      success: true,
+      message: "Checkout completed successfully",
+      data: {
+        checkout: {
+          reference: checkoutGroup,
+          total: totalAmount,
+          orders: populatedOrders,
+        },
+        paymentIntent: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          clientSecret: paymentIntent.client_secret,
+        },
       },
     });
+  } catch (error) {
+    logger.error("Create checkout error", { error: error.message });
+    if (error.type === "StripeCardError") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Payment failed: " + error.message });
+    }
+    res
+      .status(500)
+      .json({ success: false, message: "Server error during checkout" });
+  }
+};
 
-    // Add subscription to customer
-    customer.subscriptions.push({
-      meal: mealId,
-      package: packageId,
-      quantity,
+// @desc    Create subscription order
+// @route   POST /api/orders/subscription
+// @access  Private (Customer)
+export const createSubscriptionOrder = async (req, res) => {
+  try {
+    const {
+      mealId,
+      quantity = 1,
       interval,
-      nextDelivery: new Date(startDate),
-      isActive: true,
-      startDate: new Date(startDate),
-    });
+      deliveryAddress,
+      paymentMethodId,
+      startDate,
+      specialInstructions,
+    } = req.body;
 
-    await customer.save();
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer profile not found",
+      });
+    }
+
+    // Orders are generated and charged by the subscription job
+    const { subscription, pricing, error } = await createSubscription(
+      customer,
+      {
+        items: [{ mealId, quantity }],
+        interval,
+        startDate,
+        deliveryAddress,
+        paymentMethodId,
+        specialInstructions,
+      },
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: [error],
+      });
+    }
 
     res.status(201).json({
       success: true,
       message: "Subscription created successfully",
-      data: {
-        subscription: subscription,
-        subscriptionDetails:
-          customer.subscriptions[customer.subscriptions.length - 1],
-      },
+      data: { subscription, pricing },
     });
   } catch (error) {
     logger.error("Create subscription error", { error: error.message });
@@ -452,7 +1016,7 @@ export const getOrderDetails = async (req, res) => {
 // @access  Private
 export const cancelOrder = async (req, res) => {
   try {
-    const { reason } = req.body;
+    const { reason, refundTo } = req.body;
 
     const order = await Order.findById(req.params.id)
       .populate("customer", "user")
@@ -465,124 +1029,162 @@ export const cancelOrder = async (req, res) => {
       });
     }
 
-    // Check if user can cancel this order
-    const customer = await Customer.findOne({ user: req.user.id });
-    const vendor = await Vendor.findOne({ user: req.user.id });
-
-    const canCancel =
-      req.user.role === "admin" ||
-      (customer && order.customer._id.toString() === customer._id.toString()) ||
-      (vendor && order.vendor._id.toString() === vendor._id.toString());
-
-    if (!canCancel) {
+    if (!(await canManageOrder(order, req.user))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to cancel this order",
       });
     }
 
+    const destination = getRefundDestination(order, refundTo);
+    if (!destination) {
+      return res.status(400).json({
+        success: false,
+        message: "This order can only be refunded to the wallet",
+      });
+    }
+
     // Check if order can be cancelled
-    if (!["pending", "confirmed", "preparing"].includes(order.status)) {
+    if (getTransitionError(order, "cancelled", req.user.role)) {
       return res.status(400).json({
         success: false,
         message: "Order cannot be cancelled at this stage",
       });
     }
 
-    // Process refund if payment was completed
+    order.cancellationReason = reason;
+    await transitionOrder(order, "cancelled", {
+      role: req.user.role,
+      userId: req.user.id,
+      notes: reason,
+      io: req.io,
+    });
+
+    // Refund whatever has not been refunded yet; failures are queued for retry
+    const refund = await refundPaidOrder(order, {
+      reason: reason || "Order cancelled",
+      destination,
+    });
+
+    res.json({
+      success: true,
+      message: "Order cancelled successfully",
+      data: { order: await Order.findById(order._id), refund },
+    });
+  } catch (error) {
+    logger.error("Cancel order error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Cancel some or all units of one order item
+// @route   PUT /api/orders/:id/items/:itemId/cancel
+// @access  Private
+export const cancelOrderItem = async (req, res) => {
+  try {
+    const { quantity, reason, refundTo } = req.body;
+
+    const order = await Order.findById(req.params.id)
+      .populate("customer", "user")
+      .populate("vendor", "user");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!(await canManageOrder(order, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to cancel this order",
+      });
+    }
+
+    const destination = getRefundDestination(order, refundTo);
+    if (!destination) {
+      return res.status(400).json({
+        success: false,
+        message: "This order can only be refunded to the wallet",
+      });
+    }
+
+    if (getTransitionError(order, "cancelled", req.user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Order items cannot be cancelled at this stage",
+      });
+    }
+
+    const item = order.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Order item not found",
+      });
+    }
+
+    const remaining = item.quantity - (item.refundedQuantity || 0);
+    const cancelQuantity = quantity === undefined ? remaining : Number(quantity);
     if (
-      order.paymentStatus === "completed" &&
-      order.paymentInfo.stripePaymentIntentId
+      !Number.isInteger(cancelQuantity) ||
+      cancelQuantity < 1 ||
+      cancelQuantity > remaining
     ) {
-      try {
-        const refund = await stripe.refunds.create({
-          payment_intent: order.paymentInfo.stripePaymentIntentId,
-          amount: Math.round(order.pricing.total * 100),
-        });
-
-        order.refundAmount = order.pricing.total;
-        order.paymentStatus = "refunded";
-      } catch (stripeError) {
-        logger.error("Refund failed", {
-          error: stripeError.message,
-          orderId: order._id,
-        });
-        // Continue with cancellation even if refund fails
-      }
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be between 1 and ${remaining}`,
+      });
     }
 
-    // Update order status
-    order.status = "cancelled";
-    order.cancellationReason = reason;
+    item.refundedQuantity = (item.refundedQuantity || 0) + cancelQuantity;
     order.timeline.push({
-      status: "cancelled",
+      status: order.status,
       timestamp: new Date(),
       updatedBy: req.user.id,
-      notes: reason,
+      notes: reason || `Cancelled ${cancelQuantity} unit(s) of an item`,
     });
-
     await order.save();
 
-    // Emit real-time update
-    req.io.to(`order_${order._id}`).emit("orderStatusUpdate", {
-      orderId: order._id,
-      status: "cancelled",
-      timestamp: new Date(),
-    });
-
-    // Send push notifications for cancellation
-    try {
-      const cancelledBy =
-        req.user.role === "vendor"
-          ? "the vendor"
-          : req.user.role === "admin"
-            ? "admin"
-            : "the customer";
-      const cancelNotif = OrderNotifications.orderCancelled(order, cancelledBy);
-
-      // Notify customer (if vendor/admin cancelled)
-      if (req.user.role !== "customer" && order.customer?.user) {
-        const customerUser = await Customer.findById(
-          order.customer._id || order.customer,
-        );
-        if (customerUser) {
-          await sendPushToUser(customerUser.user, {
-            title: cancelNotif.title,
-            body: cancelNotif.body,
-            data: cancelNotif.data,
-            type: "order_status",
-            priority: "high",
-          });
-        }
-      }
-
-      // Notify vendor (if customer/admin cancelled)
-      if (req.user.role !== "vendor" && order.vendor?.user) {
-        const vendorDoc = await Vendor.findById(
-          order.vendor._id || order.vendor,
-        );
-        if (vendorDoc) {
-          await sendPushToUser(vendorDoc.user, {
-            title: cancelNotif.title,
-            body: cancelNotif.body,
-            data: cancelNotif.data,
-            type: "order_status",
-          });
-        }
-      }
-    } catch (notifError) {
-      logger.error("Failed to send cancellation notifications", {
-        error: notifError.message,
+    // Nothing left to deliver: cancel the whole order, delivery fee included
+    const allCancelled = order.items.every(
+      (orderItem) => orderItem.refundedQuantity >= orderItem.quantity,
+    );
+    let refund;
+    if (allCancelled) {
+      order.cancellationReason = reason || "All items cancelled";
+      await transitionOrder(order, "cancelled", {
+        role: req.user.role,
+        userId: req.user.id,
+        notes: order.cancellationReason,
+        io: req.io,
+      });
+      refund = await refundPaidOrder(order, {
+        reason: order.cancellationReason,
+        destination,
+      });
+    } else {
+      refund = await refundPaidOrder(order, {
+        amount: calculateItemRefund(order, item, cancelQuantity),
+        reason: reason || "Item cancelled",
+        items: [{ item: item._id, quantity: cancelQuantity }],
+        destination,
       });
     }
 
     res.json({
       success: true,
-      message: "Order cancelled successfully",
-      data: { order },
+      message: allCancelled
+        ? "All items cancelled, order cancelled"
+        : "Order item cancelled successfully",
+      data: { order: await Order.findById(order._id), refund },
     });
   } catch (error) {
-    logger.error("Cancel order error", { error: error.message });
+    logger.error("Cancel order item error", { error: error.message });
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -590,12 +1192,19 @@ export const cancelOrder = async (req, res) => {
   }
 };
 
-// @desc    Rate order
+// @desc    Rate order and optionally tip the rider
 // @route   POST /api/orders/:id/rate
 // @access  Private (Customer)
 export const rateOrder = async (req, res) => {
   try {
-    const { vendorRating, vendorReview, riderRating, riderReview } = req.body;
+    const {
+      vendorRating,
+      vendorReview,
+      riderRating,
+      riderReview,
+      tip: requestedTip,
+      paymentMethodId,
+    } = req.body;
 
     const customer = await Customer.findOne({ user: req.user.id });
     if (!customer) {
@@ -621,7 +1230,10 @@ export const rateOrder = async (req, res) => {
     }
 
     // Check if already rated
-    if (order.ratings.vendor.rating || order.ratings.rider.rating) {
+    if (
+      (vendorRating || riderRating) &&
+      (order.ratings.vendor.rating || order.ratings.rider.rating)
+    ) {
       return res.status(400).json({
         success: false,
         message: "Order has already been rated",
@@ -639,6 +1251,61 @@ export const rateOrder = async (req, res) => {
       });
     }
 
+    let tipPayment = null;
+    if (requestedTip) {
+      const { tip, error: tipError } = validateTip(requestedTip);
+      if (tipError) {
+        return res.status(400).json({
+          success: false,
+          message: tipError.message,
+          errors: [tipError],
+        });
+      }
+
+      if (!order.rider) {
+        return res.status(400).json({
+          success: false,
+          message: "This order has no rider to tip",
+        });
+      }
+
+      // Wallet and cash orders have no card on file to charge
+      const tipPaymentMethod =
+        paymentMethodId ||
+        (!["wallet", CASH_PAYMENT_METHOD].includes(
+          order.paymentInfo.paymentMethod,
+        ) &&
+          order.paymentInfo.paymentMethod);
+      if (!tipPaymentMethod) {
+        return res.status(400).json({
+          success: false,
+          message: "A payment method is required to tip",
+        });
+      }
+
+      const paymentIntent = await chargeTip(order, {
+        amount: tip,
+        paymentMethodId: tipPaymentMethod,
+        customer,
+        stripeOptions: stripeIdempotency(req, "order_tip"),
+      });
+      if (!paymentIntent) {
+        return res.status(400).json({
+          success: false,
+          message: "A tip has already been added to this order",
+        });
+      }
+      tipPayment = {
+        amount: tip,
+        status:
+          paymentIntent.status === "succeeded" ? "completed" : "pending",
+        clientSecret:
+          paymentIntent.status === "succeeded"
+            ? undefined
+            : paymentIntent.client_secret,
+      };
+    }
+
     // Update order ratings
     if (vendorRating) {
       order.ratings.vendor = {
@@ -704,11 +1371,20 @@ export const rateOrder = async (req, res) => {
 
     res.json({
       success: true,
-      message: "Rating submitted successfully",
-      data: { ratings: order.ratings },
+      message:
+        vendorRating || riderRating
+          ? "Rating submitted successfully"
+          : "Tip added successfully",
+      data: { ratings: order.ratings, tip: tipPayment },
     });
   } catch (error) {
     logger.error("Rate order error", { error: error.message });
+    if (error.type === "StripeCardError") {
+      return res.status(400).json({
+        success: false,
+        message: "Tip payment failed: " + error.message,
+      });
+    }
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -716,129 +1392,59 @@ export const rateOrder = async (req, res) => {
   }
 };
 
-// @desc    Handle Stripe webhook
-// @route   POST /api/orders/webhook
-// @access  Public
-export const handleStripeWebhook = async (req, res) => {
-  const sig = req.headers["stripe-signature"];
-  let event;
-
-  try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET,
-    );
-  } catch (err) {
-    logger.error("Webhook signature verification failed", {
-      error: err.message,
-    });
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  try {
-    switch (event.type) {
-      case "payment_intent.succeeded":
-        await handlePaymentSuccess(event.data.object);
-        break;
-
-      case "payment_intent.payment_failed":
-        await handlePaymentFailure(event.data.object);
-        break;
-
-      case "invoice.payment_succeeded":
-        await handleSubscriptionPayment(event.data.object);
-        break;
-
-      default:
-        logger.info(`Unhandled event type: ${event.type}`);
-    }
-
-    res.json({ received: true });
-  } catch (error) {
-    logger.error("Webhook handling error", { error: error.message });
-    res.status(500).json({ error: "Webhook handling failed" });
-  }
-};
-
-// Helper function to handle successful payment
-const handlePaymentSuccess = async (paymentIntent) => {
-  const order = await Order.findOne({
-    "paymentInfo.stripePaymentIntentId": paymentIntent.id,
-  });
-
-  if (order) {
-    order.paymentStatus = "completed";
-    order.status = "confirmed";
-    order.timeline.push({
-      status: "confirmed",
-      timestamp: new Date(),
-      notes: "Payment completed successfully",
-    });
-
-    await order.save();
-  }
-};
-
-// Helper function to handle failed payment
-const handlePaymentFailure = async (paymentIntent) => {
-  const order = await Order.findOne({
-    "paymentInfo.stripePaymentIntentId": paymentIntent.id,
-  });
-
-  if (order) {
-    order.paymentStatus = "failed";
-    order.status = "cancelled";
-    order.timeline.push({
-      status: "cancelled",
-      timestamp: new Date(),
-      notes: "Payment failed",
-    });
-
-    await order.save();
-  }
-};
-
-// Helper function to handle subscription payment
-const handleSubscriptionPayment = async (invoice) => {
-  // Create order from subscription
-  const subscription = await stripe.subscriptions.retrieve(
-    invoice.subscription,
-  );
-  const customerId = subscription.metadata.customerId;
-  const mealId = subscription.metadata.mealId;
-
-  // Create recurring order logic here
-  logger.info("Subscription payment processed", {
-    customerId,
-    mealId,
-    invoiceId: invoice.id,
-  });
-};
-
 // export {
 //   createOrder,
 //   createSubscriptionOrder,
 //   getOrderDetails,
 //   cancelOrder,
 //   rateOrder,
-//   handleStripeWebhook,
 // };
 
-// @desc    Get real-time order tracking (timeline)
+// @desc    Get real-time order tracking (timeline, and the rider's route
+//          while the order is out for delivery)
 // @route   GET /api/orders/:id/track
 // @access  Private (Customer, Vendor, Rider)
 export const trackOrder = async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id).select("timeline status");
+    const order = await Order.findById(req.params.id).select(
+      "timeline status customer vendor rider",
+    );
     if (!order) {
       return res
         .status(404)
         .json({ success: false, message: "Order not found" });
     }
+
+    const customer = await Customer.findOne({ user: req.user.id });
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    const rider = await Rider.findOne({ user: req.user.id });
+
+    const hasAccess =
+      ["admin", "manager"].includes(req.user.role) ||
+      (customer && order.customer.equals(customer._id)) ||
+      (vendor && order.vendor.equals(vendor._id)) ||
+      (rider && order.rider?.equals(rider._id));
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this order",
+      });
+    }
+
+    // Live updates follow as rider_location events in the order's room
+    const route = RIDER_STATUSES.includes(order.status)
+      ? await getOrderRoute(order._id)
+      : [];
+
     res.json({
       success: true,
-      data: { timeline: order.timeline, status: order.status },
+      data: {
+        timeline: order.timeline,
+        status: order.status,
+        riderLocation: route.at(-1) || null,
+        route,
+      },
     });
   } catch (error) {
     logger.error("Track order error", { error: error.message });
@@ -1,30 +1,73 @@
+import mongoose from "mongoose";
 import stripe from "../config/stripe.js";
 import Customer from "../models/Customer.js";
 import Order from "../models/Order.js";
 import logger from "../config/logger.js";
+import { stripeIdempotency } from "../middleware/idempotencyMiddleware.js";
+import {
+  claimStripeEvent,
+  handleStripeEvent,
+  markStripeEvent,
+  reconcilePaymentSucceeded,
+} from "../utils/stripeEvents.js";
+import { ORDER_CURRENCY } from "../utils/pricing.js";
 
 // @desc    Create payment intent
 // @route   POST /api/payment/create-intent
 // @access  Private (Customer)
 export const createPaymentIntent = async (req, res) => {
   try {
-    const { amount, currency = "usd", orderId } = req.body;
+    const { orderId } = req.body;
 
-    if (!amount || amount <= 0) {
+    if (!mongoose.isValidObjectId(orderId)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid amount",
+        message: "A valid order ID is required",
       });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
-      metadata: {
-        userId: req.user.id,
-        orderId: orderId || "",
-      },
+    const customer = await Customer.findOne({ user: req.user.id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer profile not found",
+      });
+    }
+
+    const order = await Order.findOne({
+      _id: orderId,
+      customer: customer._id,
     });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Amount and currency come from the order, never from the client
+    if (
+      order.status === "cancelled" ||
+      order.paymentInfo?.stripePaymentIntentId ||
+      !["pending", "failed"].includes(order.paymentStatus)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Order is not awaiting payment",
+      });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: Math.round(order.pricing.total * 100), // Convert to cents
+        currency: ORDER_CURRENCY,
+        metadata: {
+          userId: req.user.id,
+          orderId: order._id.toString(),
+        },
+      },
+      stripeIdempotency(req, "payment_intent")
+    );
 
     res.json({
       success: true,
@@ -55,22 +98,13 @@ export const createPaymentIntent = async (req, res) => {
 // @access  Private (Customer)
 export const confirmPayment = async (req, res) => {
   try {
-    const { paymentIntentId, orderId } = req.body;
+    const { paymentIntentId } = req.body;
 
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
     if (paymentIntent.status === "succeeded") {
-      // Update order status if orderId is provided
-      if (orderId) {
-        await Order.findByIdAndUpdate(orderId, {
-          paymentStatus: "paid",
-          status: "confirmed",
-          "payment.paymentIntentId": paymentIntentId,
-          "payment.amount": paymentIntent.amount / 100,
-          "payment.currency": paymentIntent.currency,
-          "payment.paidAt": new Date(),
-        });
-      }
+      // Same reconciliation as the webhook, which may also arrive
+      await reconcilePaymentSucceeded(paymentIntent);
 
       res.json({
         success: true,
@@ -212,64 +246,40 @@ export const createSetupIntent = async (req, res) => {
 // @route   POST /api/payment/webhook
 // @access  Public
 export const handleWebhook = async (req, res) => {
+  const sig = req.headers["stripe-signature"];
+  let event;
+
   try {
-    const sig = req.headers["stripe-signature"];
-    let event;
+    event = stripe.webhooks.constructEvent(
+      req.body,
+      sig,
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (err) {
+    logger.error("Webhook signature verification failed", {
+      error: err.message,
+    });
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
 
-    try {
-      event = stripe.webhooks.constructEvent(
-        req.body,
-        sig,
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
-    } catch (err) {
-      logger.error("Webhook signature verification failed", {
-        error: err.message,
-      });
-      return res.status(400).send(`Webhook Error: ${err.message}`);
+  try {
+    // Stripe retries deliveries; each event is only applied once
+    if (!(await claimStripeEvent(event))) {
+      return res.json({ received: true, duplicate: true });
     }
 
-    // Handle the event
-    switch (event.type) {
-      case "payment_intent.succeeded":
-        const paymentIntent = event.data.object;
-        logger.info("PaymentIntent succeeded", {
-          paymentIntentId: paymentIntent.id,
-        });
-
-        // Update order status
-        if (paymentIntent.metadata.orderId) {
-          await Order.findByIdAndUpdate(paymentIntent.metadata.orderId, {
-            paymentStatus: "paid",
-            status: "confirmed",
-            "payment.paymentIntentId": paymentIntent.id,
-            "payment.paidAt": new Date(),
-          });
-        }
-        break;
-
-      case "payment_intent.payment_failed":
-        const failedPayment = event.data.object;
-        logger.error("PaymentIntent failed", {
-          paymentIntentId: failedPayment.id,
-        });
-
-        // Update order status
-        if (failedPayment.metadata.orderId) {
-          await Order.findByIdAndUpdate(failedPayment.metadata.orderId, {
-            paymentStatus: "failed",
-            status: "payment_failed",
-          });
-        }
-        break;
-
-      default:
-        logger.info("Unhandled event type", { type: event.type });
-    }
+    await handleStripeEvent(event);
+    await markStripeEvent(event.id, "processed");
 
     res.json({ received: true });
   } catch (error) {
-    logger.error("Webhook handler error", { error: error.message });
+    logger.error("Webhook handler error", {
+      error: error.message,
+      eventId: event.id,
+      type: event.type,
+    });
+    await markStripeEvent(event.id, "failed", error.message).catch(() => {});
+    // A 5xx makes Stripe deliver the event again later
     res.status(500).json({
       success: false,
       message: "Webhook handler error",
@@ -1,8 +1,8 @@
 import Rider from "../models/Rider.js";
 import User from "../models/User.js";
 import Order from "../models/Order.js";
-import Customer from "../models/Customer.js";
-import Vendor from "../models/Vendor.js";
+import Transaction from "../models/Transaction.js";
+import DeliveryBatch from "../models/DeliveryBatch.js";
 import {
   formatResponse,
   getPagination,
@@ -10,10 +10,25 @@ import {
   calculateDistance,
 } from "../utils/helpers.js";
 import {
-  sendPushToUser,
-  OrderNotifications,
-} from "../utils/pushNotification.js";
-import { processOrderEarnings } from "./walletController.js";
+  getTransitionError,
+  transitionOrder,
+} from "../utils/orderLifecycle.js";
+import {
+  CASH_PAYMENT_METHOD,
+  isCashDue,
+  netCashOwed,
+  recordCashCollection,
+} from "../utils/cashLedger.js";
+import { roundAmount } from "../utils/pricing.js";
+import { releaseDueEarnings } from "../utils/settlements.js";
+import { riderZoneFilter } from "../utils/zones.js";
+import { recordRiderLocation } from "../utils/riderLocation.js";
+import {
+  claimBatch,
+  claimDelivery,
+  declineBatchOffer,
+  declineOffer,
+} from "../utils/dispatch.js";
 import logger from "../config/logger.js";
 
 // @desc    Get rider profile
@@ -135,18 +150,24 @@ export const updateRiderLocation = async (req, res) => {
       });
     }
 
-    // Update rider location
-    rider.location = {
-      type: "Point",
-      coordinates: [parseFloat(longitude), parseFloat(latitude)],
-      lastUpdated: new Date(),
-    };
-
-    await rider.save();
+    // Same path as location_update socket events: throttled, and shared
+    // with customers tracking the rider's orders
+    const { throttled, error } = await recordRiderLocation(
+      rider._id,
+      req.body,
+      req.io,
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
 
     res.json({
       success: true,
       message: "Location updated successfully",
+      data: { throttled },
     });
   } catch (error) {
     logger.error("Update rider location error", { error: error.message });
@@ -212,11 +233,19 @@ export const getAvailableDeliveries = async (req, res) => {
       });
     }
 
-    // Find orders that are ready for pickup and within radius
+    // Find orders that are ready for pickup and within radius, leaving out
+    // those offered to another rider and those only taken as a batch
+    // Cash orders are paid to the rider on delivery
     const query = {
       status: "ready",
       rider: null,
-      paymentStatus: "completed",
+      deliveryBatch: null,
+      "dispatch.rider": { $in: [null, rider._id] },
+      $or: [
+        { paymentStatus: "completed" },
+        { "paymentInfo.paymentMethod": CASH_PAYMENT_METHOD },
+      ],
+      ...(await riderZoneFilter(rider)),
     };
 
     let orders;
@@ -311,11 +340,8 @@ export const acceptDelivery = async (req, res) => {
       });
     }
 
-    const order = await Order.findOne({
-      _id: req.params.id,
-      status: "ready",
-      rider: null,
-    });
+    // Assigns the rider, so two riders cannot both accept the order
+    const order = await claimDelivery(req.params.id, rider);
 
     if (!order) {
       return res.status(404).json({
@@ -324,73 +350,186 @@ export const acceptDelivery = async (req, res) => {
       });
     }
 
-    // Assign rider to order
-    order.rider = rider._id;
-    order.status = "accepted";
-    order.timeline.push({
-      status: "accepted",
-      timestamp: new Date(),
-      updatedBy: req.user.id,
+    await transitionOrder(order, "accepted", {
+      role: "rider",
+      userId: req.user.id,
       notes: "Order accepted by rider",
+      io: req.io,
     });
 
-    await order.save();
+    res.json({
+      success: true,
+      message: "Delivery accepted successfully",
+      data: { order },
+    });
+  } catch (error) {
+    logger.error("Accept delivery error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
 
-    // Emit real-time update
-    req.io.to(`order_${order._id}`).emit("orderStatusUpdate", {
-      orderId: order._id,
-      status: "picked_up",
-      rider: {
-        id: rider._id,
-        name: `${req.user.firstName} ${req.user.lastName}`,
-      },
-      timestamp: new Date(),
-    });
-
-    // Send push notifications for rider acceptance
-    try {
-      const riderName = `${req.user.firstName} ${req.user.lastName}`;
-
-      // Notify customer that a rider accepted
-      const customerDoc = await Customer.findById(order.customer);
-      if (customerDoc) {
-        const custNotif = OrderNotifications.riderAccepted(order, riderName);
-        await sendPushToUser(customerDoc.user, {
-          title: custNotif.title,
-          body: custNotif.body,
-          data: custNotif.data,
-          type: "order_status",
-          priority: "high",
-        });
-      }
+// @desc    Decline a delivery offered to the rider
+// @route   POST /api/rider/deliveries/:id/decline
+// @access  Private (Rider)
+export const declineDelivery = async (req, res) => {
+  try {
+    const rider = await Rider.findOne({ user: req.user.id });
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: "Rider profile not found",
+      });
+    }
 
-      // Notify vendor that rider is on the way
-      const vendorDoc = await Vendor.findById(order.vendor);
-      if (vendorDoc) {
-        const vendorNotif = OrderNotifications.riderAcceptedForVendor(
-          order,
-          riderName,
-        );
-        await sendPushToUser(vendorDoc.user, {
-          title: vendorNotif.title,
-          body: vendorNotif.body,
-          data: vendorNotif.data,
-          type: "order_status",
-        });
-      }
-    } catch (notifError) {
-      logger.error("Failed to send rider acceptance notifications", {
-        error: notifError.message,
+    const order = await declineOffer(req.params.id, rider, req.io);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "No pending offer for this delivery",
       });
     }
 
     res.json({
       success: true,
-      message: "Delivery accepted successfully",
-      data: { order },
+      message: "Delivery declined",
     });
   } catch (error) {
-    logger.error("Accept delivery error", { error: error.message });
+    logger.error("Decline delivery error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Get a delivery batch offered to or accepted by the rider
+// @route   GET /api/rider/batches/:id
+// @access  Private (Rider)
+export const getDeliveryBatch = async (req, res) => {
+  try {
+    const rider = await Rider.findOne({ user: req.user.id });
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: "Rider profile not found",
+      });
+    }
+
+    const batch = await DeliveryBatch.findOne({
+      _id: req.params.id,
+      $or: [{ rider: rider._id }, { "dispatch.rider": rider._id }],
+    })
+      .populate("vendor", "businessName")
+      .populate(
+        "orders",
+        "orderNumber status deliveryAddress deliveryInfo specialInstructions",
+      );
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { batch },
+    });
+  } catch (error) {
+    logger.error("Get delivery batch error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Accept every order in a delivery batch at once
+// @route   POST /api/rider/batches/:id/accept
+// @access  Private (Rider)
+export const acceptDeliveryBatch = async (req, res) => {
+  try {
+    const rider = await Rider.findOne({ user: req.user.id });
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: "Rider profile not found",
+      });
+    }
+
+    if (!rider.availability.isOnline) {
+      return res.status(400).json({
+        success: false,
+        message: "You must be online to accept deliveries",
+      });
+    }
+
+    // Assigns the rider to the batch and all of its orders, or to none
+    const claimed = await claimBatch(req.params.id, rider);
+
+    if (!claimed) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not available",
+      });
+    }
+
+    for (const order of claimed.orders) {
+      await transitionOrder(order, "accepted", {
+        role: "rider",
+        userId: req.user.id,
+        notes: `Order accepted by rider in batch ${claimed.batch.batchNumber}`,
+        io: req.io,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Batch accepted successfully",
+      data: claimed,
+    });
+  } catch (error) {
+    logger.error("Accept delivery batch error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// @desc    Decline a delivery batch offered to the rider
+// @route   POST /api/rider/batches/:id/decline
+// @access  Private (Rider)
+export const declineDeliveryBatch = async (req, res) => {
+  try {
+    const rider = await Rider.findOne({ user: req.user.id });
+    if (!rider) {
+      return res.status(404).json({
+        success: false,
+        message: "Rider profile not found",
+      });
+    }
+
+    const batch = await declineBatchOffer(req.params.id, rider, req.io);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "No pending offer for this batch",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Batch declined",
+    });
+  } catch (error) {
+    logger.error("Decline delivery batch error", { error: error.message });
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -491,7 +630,7 @@ export const getDeliveryById = async (req, res) => {
 // @access  Private (Rider)
 export const updateDeliveryStatus = async (req, res) => {
   try {
-    const { status, notes, code = null } = req.body;
+    const { status, notes, code = null, cashCollected } = req.body;
 
     const rider = await Rider.findOne({ user: req.user.id });
     if (!rider) {
@@ -535,118 +674,58 @@ export const updateDeliveryStatus = async (req, res) => {
         message: "Invalid pickup code",
       });
     }
-    // Validate status transition
-    const validTransitions = {
-      accepted: ["picked_up"],
-      picked_up: ["on_the_way"],
-      on_the_way: ["arrived"],
-      arrived: ["delivered"],
-    };
 
-    if (!validTransitions[order.status]?.includes(status)) {
+    const transitionError = getTransitionError(order, status, "rider");
+    if (transitionError) {
       return res.status(400).json({
         success: false,
-        message: "Invalid status transition",
+        message: transitionError,
       });
     }
 
-    // Update order status
-    order.status = status;
-    order.timeline.push({
-      status,
-      timestamp: new Date(),
-      updatedBy: req.user.id,
+    // Cash orders are only delivered once the rider confirms the cash
+    const cashDue = status === "delivered" && isCashDue(order);
+    if (cashDue) {
+      const collected = roundAmount(Number(cashCollected));
+      if (cashCollected === undefined || !Number.isFinite(collected)) {
+        return res.status(400).json({
+          success: false,
+          message: "Confirm the cash collected for this cash order",
+        });
+      }
+      if (collected < order.pricing.total) {
+        return res.status(400).json({
+          success: false,
+          message: `Cash collected must cover the order total of ${order.pricing.total}`,
+        });
+      }
+
+      order.paymentStatus = "completed";
+      order.paymentInfo.cashCollected = collected;
+      order.paymentInfo.cashCollectedAt = new Date();
+    }
+
+    await transitionOrder(order, status, {
+      role: "rider",
+      userId: req.user.id,
       notes,
+      io: req.io,
     });
 
-    if (status === "delivered") {
-      order.deliveryInfo.actualDeliveryTime = new Date();
-
-      // Update rider metrics
-      rider.metrics.completedDeliveries += 1;
-      rider.metrics.totalDeliveries += 1;
-
-      // Calculate earnings (assuming delivery fee goes to rider)
-      const earnings = order.pricing.deliveryFee;
-      rider.earnings.totalEarnings += earnings;
-      rider.earnings.availableBalance += earnings;
-
-      await rider.save();
-
-      // Process wallet earnings for vendor and rider
-      await processOrderEarnings(order._id);
-    }
-
-    await order.save();
-
-    // Emit real-time update
-    req.io.to(`order_${order._id}`).emit("orderStatusUpdate", {
-      orderId: order._id,
-      status,
-      timestamp: new Date(),
-    });
-
-    // Send push notifications based on delivery status
-    try {
-      const customerDoc = await Customer.findById(order.customer);
-      const customerUserId = customerDoc?.user;
-
-      if (customerUserId) {
-        let notif;
-        switch (status) {
-          case "picked_up":
-            notif = OrderNotifications.orderPickedUp(order);
-            break;
-          case "on_the_way":
-            notif = OrderNotifications.orderOnTheWay(order);
-            break;
-          case "arrived":
-            notif = OrderNotifications.riderArrived(order);
-            break;
-          case "delivered": {
-            // Notify customer
-            notif = OrderNotifications.orderDelivered(order);
-            // Also notify vendor
-            const vendorDoc = await Vendor.findById(order.vendor);
-            if (vendorDoc) {
-              const vendorNotif =
-                OrderNotifications.orderDeliveredForVendor(order);
-              await sendPushToUser(vendorDoc.user, {
-                title: vendorNotif.title,
-                body: vendorNotif.body,
-                data: vendorNotif.data,
-                type: "order_status",
-              });
-            }
-            break;
-          }
-          default:
-            notif = null;
-        }
-
-        if (notif) {
-          await sendPushToUser(customerUserId, {
-            title: notif.title,
-            body: notif.body,
-            data: notif.data,
-            type: "order_status",
-            priority:
-              status === "arrived" || status === "delivered"
-                ? "high"
-                : "medium",
-          });
-        }
-      }
-    } catch (notifError) {
-      logger.error("Failed to send delivery status notifications", {
-        error: notifError.message,
-      });
+    if (cashDue) {
+      await recordCashCollection(order, rider, req.user.id);
+    }
+    // Earnings from this delivery pay down any cash the rider still owes
+    let cashOwed;
+    if (status === "delivered" && (cashDue || rider.cashOwed > 0)) {
+      await netCashOwed(rider._id);
+      cashOwed = (await Rider.findById(rider._id).select("cashOwed")).cashOwed;
     }
 
     res.json({
       success: true,
       message: "Delivery status updated successfully",
-      data: { order },
+      data: { order, cashOwed },
     });
   } catch (error) {
     logger.error("Update delivery status error", { error: error.message });
@@ -788,10 +867,23 @@ export const getRiderEarnings = async (req, res) => {
       });
     }
 
+    const recentTips = await Transaction.find({
+      user: req.user.id,
+      type: "tip",
+      status: "completed",
+    })
+      .populate("metadata.orderId", "orderNumber")
+      .sort({ createdAt: -1 })
+      .limit(10);
+
     res.json({
       success: true,
       data: {
         earnings: rider.earnings,
+        tips: {
+          total: rider.earnings.totalTips,
+          recent: recentTips,
+        },
       },
     });
   } catch (error) {
@@ -841,7 +933,7 @@ export const updateBankDetails = async (req, res) => {
   }
 };
 
-// @desc    Rider withdraw earnings (after 48 hours of order completion)
+// @desc    Move rider earnings past the settlement hold to the available balance
 // @route   POST /api/rider/withdraw
 // @access  Private (Rider)
 export const withdrawEarnings = async (req, res) => {
@@ -853,44 +945,27 @@ export const withdrawEarnings = async (req, res) => {
         .json({ success: false, message: "Rider profile not found" });
     }
 
-    // Find all completed orders for this rider, completed more than 48 hours ago, and not yet withdrawn
-    const now = new Date();
-    const cutoff = new Date(now.getTime() - 48 * 60 * 60 * 1000); // 48 hours ago
-    const orders = await Order.find({
-      rider: rider._id,
-      status: "delivered",
-      paymentStatus: "completed",
-      updatedAt: { $lte: cutoff },
-      riderWithdrawn: { $ne: true },
-    });
+    // The settlement job does this on its own; this just runs it now
+    const before = await User.findById(req.user.id).select("wallet");
+    const released = await releaseDueEarnings({ userId: req.user.id });
 
-    if (!orders.length) {
+    if (!released) {
       return res.status(400).json({
         success: false,
         message: "No eligible earnings to withdraw yet.",
       });
     }
 
-    // Calculate total withdrawable amount
-    let totalWithdraw = 0;
-    for (const order of orders) {
-      const earnings = order.calculateEarnings();
-      totalWithdraw += earnings.riderEarnings;
-      order.riderWithdrawn = true;
-      await order.save();
-    }
-
-    // Update rider wallet
-    rider.earnings.availableBalance += totalWithdraw;
-    rider.earnings.pendingBalance -= totalWithdraw;
-    await rider.save();
+    const after = await User.findById(req.user.id).select("wallet");
+    const amount = roundAmount(after.wallet.balance - before.wallet.balance);
 
     res.json({
       success: true,
-      message: `Withdrawn ₦${totalWithdraw} to your wallet.`,
+      message: `Moved ${amount} to your available balance.`,
       data: {
-        amount: totalWithdraw,
-        availableBalance: rider.earnings.availableBalance,
+        amount,
+        availableBalance: after.wallet.balance,
+        pendingBalance: after.wallet.pendingBalance,
       },
     });
   } catch (error) {
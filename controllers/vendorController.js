@@ -1,19 +1,23 @@
 import Vendor from "../models/Vendor.js";
 import User from "../models/User.js";
-import Customer from "../models/Customer.js";
-import Rider from "../models/Rider.js";
 import { Meal, MealGroup } from "../models/Meal.js";
 import Order from "../models/Order.js";
+import Subscription from "../models/Subscription.js";
 import {
   formatResponse,
   getPagination,
   cleanObject,
 } from "../utils/helpers.js";
 import {
-  sendPushToUser,
-  sendPushToUsers,
-  OrderNotifications,
-} from "../utils/pushNotification.js";
+  getTransitionError,
+  transitionOrder,
+} from "../utils/orderLifecycle.js";
+import {
+  getUpcomingDeliveries,
+  isDeliveryOff,
+} from "../utils/subscriptions.js";
+import { releaseDueEarnings } from "../utils/settlements.js";
+import { roundAmount } from "../utils/pricing.js";
 import logger from "../config/logger.js";
 
 const findOrCreateVendorProfile = async (userId, options = {}) => {
@@ -50,7 +54,7 @@ const findOrCreateVendorProfile = async (userId, options = {}) => {
 // @desc    Get vendor profile
 // @route   GET /api/vendor/profile
 // @access  Private (Vendor)
-// @desc    Vendor withdraw earnings (after 48 hours of order completion)
+// @desc    Move vendor earnings past the settlement hold to the available balance
 // @route   POST /api/vendor/withdraw
 // @access  Private (Vendor)
 export const withdrawEarnings = async (req, res) => {
@@ -62,44 +66,27 @@ export const withdrawEarnings = async (req, res) => {
         .json({ success: false, message: "Vendor profile not found" });
     }
 
-    // Find all completed orders for this vendor, completed more than 48 hours ago, and not yet withdrawn
-    const now = new Date();
-    const cutoff = new Date(now.getTime() - 48 * 60 * 60 * 1000); // 48 hours ago
-    const orders = await Order.find({
-      vendor: vendor._id,
-      status: "delivered",
-      paymentStatus: "completed",
-      updatedAt: { $lte: cutoff },
-      withdrawn: { $ne: true },
-    });
+    // The settlement job does this on its own; this just runs it now
+    const before = await User.findById(req.user.id).select("wallet");
+    const released = await releaseDueEarnings({ userId: req.user.id });
 
-    if (!orders.length) {
+    if (!released) {
       return res.status(400).json({
         success: false,
         message: "No eligible earnings to withdraw yet.",
       });
     }
 
-    // Calculate total withdrawable amount
-    let totalWithdraw = 0;
-    for (const order of orders) {
-      const earnings = order.calculateEarnings();
-      totalWithdraw += earnings.vendorEarnings;
-      order.withdrawn = true;
-      await order.save();
-    }
-
-    // Update vendor wallet
-    vendor.earnings.availableBalance += totalWithdraw;
-    vendor.earnings.pendingBalance -= totalWithdraw;
-    await vendor.save();
+    const after = await User.findById(req.user.id).select("wallet");
+    const amount = roundAmount(after.wallet.balance - before.wallet.balance);
 
     res.json({
       success: true,
-      message: `Withdrawn ₦${totalWithdraw} to your wallet.`,
+      message: `Moved ${amount} to your available balance.`,
       data: {
-        amount: totalWithdraw,
-        availableBalance: vendor.earnings.availableBalance,
+        amount,
+        availableBalance: after.wallet.balance,
+        pendingBalance: after.wallet.pendingBalance,
       },
     });
   } catch (error) {
@@ -723,82 +710,29 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Update order status
-    order.status = status;
-    order.timeline.push({
-      status,
-      timestamp: new Date(),
-      updatedBy: req.user.id,
-      notes,
-    });
-
-    await order.save();
-
-    // Emit real-time update
-    req.io.to(`order_${order._id}`).emit("orderStatusUpdate", {
-      orderId: order._id,
-      status,
-      timestamp: new Date(),
-    });
-
-    // Send push notifications based on status change
-    try {
-      // Find customer's user ID for this order
-      const customerDoc = await Customer.findById(order.customer);
-      const customerUserId = customerDoc?.user;
-
-      if (customerUserId) {
-        let notif;
-        switch (status) {
-          case "confirmed":
-            notif = OrderNotifications.orderConfirmed(order);
-            break;
-          case "preparing":
-            notif = OrderNotifications.orderPreparing(order);
-            break;
-          case "ready": {
-            notif = OrderNotifications.orderReady(order);
-            // Also notify nearby online riders about new available delivery
-            const onlineRiders = await Rider.find({
-              "availability.isOnline": true,
-              isApproved: true,
-              isActive: true,
-            }).select("user");
-            if (onlineRiders.length > 0) {
-              const riderUserIds = onlineRiders.map((r) => r.user);
-              const deliveryNotif = OrderNotifications.newDeliveryAvailable(
-                order,
-                vendor.businessName,
-              );
-              await sendPushToUsers(riderUserIds, {
-                title: deliveryNotif.title,
-                body: deliveryNotif.body,
-                data: deliveryNotif.data,
-                type: "order_status",
-                priority: "high",
-              });
-            }
-            break;
-          }
-          default:
-            notif = null;
-        }
+    // Cancelling goes through PUT /api/orders/:id/cancel, which refunds
+    if (status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Use PUT /api/orders/:id/cancel to cancel an order",
+      });
+    }
 
-        if (notif) {
-          await sendPushToUser(customerUserId, {
-            title: notif.title,
-            body: notif.body,
-            data: notif.data,
-            type: "order_status",
-          });
-        }
-      }
-    } catch (notifError) {
-      logger.error("Failed to send status update notifications", {
-        error: notifError.message,
+    const transitionError = getTransitionError(order, status, "vendor");
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError,
       });
     }
 
+    await transitionOrder(order, status, {
+      role: "vendor",
+      userId: req.user.id,
+      notes,
+      io: req.io,
+    });
+
     res.json({
       success: true,
       message: "Order status updated successfully",
@@ -967,6 +901,86 @@ export const getVendorEarnings = async (req, res) => {
   }
 };
 
+// @desc    Get upcoming subscription deliveries per day and meal
+// @route   GET /api/vendor/subscriptions/demand
+// @access  Private (Vendor)
+export const getSubscriptionDemand = async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 14, 60);
+
+    const vendor = await findOrCreateVendorProfile(req.user.id);
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: "Vendor profile not found",
+      });
+    }
+
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const subscriptions = await Subscription.find({
+      vendor: vendor._id,
+      status: "active",
+    }).populate("items.meal", "name");
+
+    // Skipped and paused deliveries are counted but not added to demand
+    const demandByDay = new Map();
+    for (const subscription of subscriptions) {
+      const deliveries = getUpcomingDeliveries(subscription, until, {
+        includeOff: true,
+      });
+
+      for (const date of deliveries) {
+        const key = date.toISOString().slice(0, 10);
+        if (!demandByDay.has(key)) {
+          demandByDay.set(key, {
+            date: key,
+            deliveries: 0,
+            skipped: 0,
+            meals: new Map(),
+          });
+        }
+        const day = demandByDay.get(key);
+
+        if (isDeliveryOff(subscription, date)) {
+          day.skipped += 1;
+          continue;
+        }
+
+        day.deliveries += 1;
+        for (const item of subscription.items) {
+          if (!item.meal) continue;
+          const mealId = item.meal._id.toString();
+          const meal = day.meals.get(mealId) || {
+            meal: item.meal._id,
+            name: item.meal.name,
+            quantity: 0,
+          };
+          meal.quantity += item.quantity;
+          day.meals.set(mealId, meal);
+        }
+      }
+    }
+
+    const demand = [...demandByDay.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((day) => ({ ...day, meals: [...day.meals.values()] }));
+
+    res.json({
+      success: true,
+      data: {
+        activeSubscriptions: subscriptions.length,
+        demand,
+      },
+    });
+  } catch (error) {
+    logger.error("Get subscription demand error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
 // @desc    Update bank details
 // @route   PUT /api/vendor/bank-details
 // @access  Private (Vendor)
@@ -4,8 +4,23 @@ import Order from "../models/Order.js";
 import Vendor from "../models/Vendor.js";
 import Rider from "../models/Rider.js";
 import Customer from "../models/Customer.js";
+import Dispute from "../models/Dispute.js";
 import stripe from "../config/stripe.js";
-import { v4 as uuidv4 } from "uuid";
+import { stripeIdempotency } from "../middleware/idempotencyMiddleware.js";
+import { creditPendingEarnings } from "../utils/settlements.js";
+import { ORDER_CURRENCY } from "../utils/pricing.js";
+import {
+  INSUFFICIENT_FUNDS,
+  STRIPE_CLEARING,
+  credit,
+  debit,
+  recordWalletTransaction,
+  walletAccount,
+} from "../utils/ledger.js";
+import {
+  getReservedForWithdrawals,
+  requestWithdrawal,
+} from "../utils/withdrawals.js";
 
 // @desc    Get wallet balance and info
 // @route   GET /api/wallet
@@ -25,6 +40,10 @@ export const getWalletInfo = async (req, res) => {
       success: true,
       data: {
         balance: user.wallet.balance,
+        pendingBalance: user.wallet.pendingBalance,
+        heldBalance: user.wallet.heldBalance,
+        // Promised to withdrawals still waiting for review
+        reservedForWithdrawals: await getReservedForWithdrawals(user._id),
         currency: user.wallet.currency,
         isActive: user.wallet.isActive,
         isPinSet: user.wallet.isPinSet,
@@ -131,44 +150,35 @@ export const topUpWallet = async (req, res) => {
     }
 
     // Create payment intent with Stripe
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: "usd",
-      customer: customer.stripeCustomerId,
-      payment_method: paymentMethodId,
-      confirm: true,
-      return_url: process.env.APP_URL,
-      description: `Wallet top-up for ${user.firstName} ${user.lastName}`,
-    });
-
-    if (paymentIntent.status === "succeeded") {
-      const balanceBefore = user.wallet.balance;
-      await user.updateWalletBalance(amount, "credit");
-
-      // Create transaction record
-      const transaction = new Transaction({
-        user: user._id,
-        type: "top_up",
-        amount,
-        status: "completed",
-        description: `Wallet top-up via ${paymentMethodId}`,
-        reference: uuidv4(),
+    const paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: Math.round(amount * 100), // Convert to cents
+        currency: ORDER_CURRENCY,
+        customer: customer.stripeCustomerId,
+        payment_method: paymentMethodId,
+        confirm: true,
+        return_url: process.env.APP_URL,
+        description: `Wallet top-up for ${user.firstName} ${user.lastName}`,
         metadata: {
-          stripeChargeId: paymentIntent.id,
-          paymentMethodId,
+          userId: user._id.toString(),
+          type: "wallet_top_up",
         },
-        balanceBefore,
-        balanceAfter: user.wallet.balance,
-        processedAt: new Date(),
-      });
+      },
+      stripeIdempotency(req, "wallet_top_up")
+    );
 
-      await transaction.save();
+    if (paymentIntent.status === "succeeded") {
+      // The payment webhook may have credited it already
+      const transaction =
+        (await creditWalletTopUp(paymentIntent)) ||
+        (await Transaction.findOne({ reference: `topup_${paymentIntent.id}` }));
+      const updatedUser = await User.findById(user._id).select("wallet");
 
       res.json({
         success: true,
         message: "Wallet topped up successfully",
         data: {
-          newBalance: user.wallet.balance,
+          newBalance: updatedUser.wallet.balance,
           transactionId: transaction._id,
         },
       });
@@ -219,11 +229,16 @@ export const withdrawFromWallet = async (req, res) => {
       });
     }
 
-    // Check if user has sufficient balance
+    // Only the available balance can be withdrawn; pending earnings are
+    // still in their settlement hold
     if (user.wallet.balance < amount) {
       return res.status(400).json({
         success: false,
-        message: "Insufficient wallet balance",
+        message: "Insufficient available balance",
+        data: {
+          availableBalance: user.wallet.balance,
+          pendingBalance: user.wallet.pendingBalance,
+        },
       });
     }
 
@@ -244,60 +259,28 @@ export const withdrawFromWallet = async (req, res) => {
       });
     }
 
-    // Calculate processing fee (2% of withdrawal amount, minimum $1)
-    const processingFee = Math.max(amount * 0.02, 1);
-    const totalDeduction = amount + processingFee;
+    // Queued for admin review; the wallet is debited once it is approved
+    const { transaction, error } = await requestWithdrawal(
+      user,
+      amount,
+      bankDetails
+    );
 
-    if (user.wallet.balance < totalDeduction) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: "Insufficient balance to cover withdrawal and processing fee",
+        message: error.message,
       });
     }
 
-    const balanceBefore = user.wallet.balance;
-    await user.updateWalletBalance(totalDeduction, "debit");
-
-    // Create withdrawal transaction
-    const transaction = new Transaction({
-      user: user._id,
-      type: "withdrawal",
-      amount,
-      status: "pending", // Will be updated when processed
-      description: `Withdrawal to bank account ${bankDetails.accountNumber.slice(
-        -4
-      )}`,
-      reference: uuidv4(),
-      metadata: {
-        withdrawalDetails: {
-          accountName: bankDetails.accountName,
-          accountNumber: bankDetails.accountNumber,
-          bankName: bankDetails.bankName,
-          processingFee,
-        },
-      },
-      balanceBefore,
-      balanceAfter: user.wallet.balance,
-    });
-
-    await transaction.save();
-
-    // TODO: Integrate with actual bank transfer service
-    // For now, we'll mark it as completed after 24 hours simulation
-    setTimeout(async () => {
-      transaction.status = "completed";
-      transaction.processedAt = new Date();
-      await transaction.save();
-    }, 1000); // Immediate for demo, should be actual bank processing time
-
-    res.json({
+    res.status(201).json({
       success: true,
-      message: "Withdrawal request submitted successfully",
+      message: "Withdrawal request submitted for review",
       data: {
-        newBalance: user.wallet.balance,
         transactionId: transaction._id,
-        processingFee,
-        expectedAmount: amount,
+        status: transaction.status,
+        processingFee: transaction.metadata.withdrawalDetails.processingFee,
+        expectedAmount: transaction.amount,
       },
     });
   } catch (error) {
@@ -377,7 +360,11 @@ export const payOrderWithWallet = async (req, res) => {
     }
 
     // Verify order status
-    if (order.paymentStatus === "completed") {
+    if (
+      ["completed", "partially_refunded", "refunded"].includes(
+        order.paymentStatus
+      )
+    ) {
       return res.status(400).json({
         success: false,
         message: "Order already paid",
@@ -393,7 +380,7 @@ export const payOrderWithWallet = async (req, res) => {
       });
     }
 
-    const totalAmount = order.pricing.totalAmount;
+    const totalAmount = order.pricing.total;
 
     // Check wallet balance
     if (user.wallet.balance < totalAmount) {
@@ -403,37 +390,46 @@ export const payOrderWithWallet = async (req, res) => {
       });
     }
 
-    const balanceBefore = user.wallet.balance;
-    await user.updateWalletBalance(totalAmount, "debit");
+    let transaction;
+    try {
+      transaction = await recordWalletTransaction(
+        {
+          user: user._id,
+          type: "payment",
+          amount: totalAmount,
+          status: "completed",
+          description: `Payment for order ${order.orderNumber}`,
+          metadata: {
+            orderId: order._id,
+          },
+          processedAt: new Date(),
+        },
+        [
+          debit(walletAccount(user), totalAmount),
+          credit(STRIPE_CLEARING, totalAmount),
+        ]
+      );
+    } catch (error) {
+      if (error.code === INSUFFICIENT_FUNDS) {
+        return res.status(400).json({
+          success: false,
+          message: "Insufficient wallet balance",
+        });
+      }
+      throw error;
+    }
 
-    // Update order payment status
+    // Update order payment status; refunds go back to the wallet
     order.paymentStatus = "completed";
-    order.paymentMethod = "wallet";
+    order.paymentInfo.paymentMethod = "wallet";
+    order.paymentInfo.transactionId = transaction._id.toString();
     await order.save();
 
-    // Create transaction record
-    const transaction = new Transaction({
-      user: user._id,
-      type: "payment",
-      amount: totalAmount,
-      status: "completed",
-      description: `Payment for order ${order.orderNumber}`,
-      reference: uuidv4(),
-      metadata: {
-        orderId: order._id,
-      },
-      balanceBefore,
-      balanceAfter: user.wallet.balance,
-      processedAt: new Date(),
-    });
-
-    await transaction.save();
-
     res.json({
       success: true,
       message: "Order paid successfully using wallet",
       data: {
-        newBalance: user.wallet.balance,
+        newBalance: transaction.balanceAfter,
         transactionId: transaction._id,
         orderId: order._id,
       },
@@ -447,7 +443,74 @@ export const payOrderWithWallet = async (req, res) => {
   }
 };
 
+// @desc    Credit a succeeded top-up payment to the wallet, once (Internal function)
+export const creditWalletTopUp = async (paymentIntent) => {
+  const user = await User.findById(paymentIntent.metadata.userId).select(
+    "role"
+  );
+  if (!user) {
+    return null;
+  }
+
+  const amount = paymentIntent.amount / 100;
+
+  // The reference is unique, so the request and the webhook cannot both credit
+  try {
+    return await recordWalletTransaction(
+      {
+        user: user._id,
+        type: "top_up",
+        amount,
+        status: "completed",
+        description: `Wallet top-up via ${paymentIntent.payment_method}`,
+        reference: `topup_${paymentIntent.id}`,
+        metadata: {
+          stripeChargeId: paymentIntent.id,
+          paymentMethodId: paymentIntent.payment_method,
+        },
+        processedAt: new Date(),
+      },
+      [debit(STRIPE_CLEARING, amount), credit(walletAccount(user), amount)]
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// @desc    Credit a tip in full to the order's rider, once (Internal function)
+export const creditRiderTip = async (order, amount, reference) => {
+  const rider = await Rider.findById(order.rider?._id || order.rider);
+  const riderUser = rider && (await User.findById(rider.user));
+  if (!riderUser || !(amount > 0)) {
+    return null;
+  }
+
+  // The reference is unique, so a tip cannot be credited twice
+  const transaction = await creditPendingEarnings(riderUser, {
+    type: "tip",
+    payee: "rider",
+    amount,
+    description: `Tip for order ${order.orderNumber}`,
+    order,
+    reference,
+  });
+
+  if (transaction) {
+    await Rider.updateOne(
+      { _id: rider._id },
+      { $inc: { "earnings.totalTips": amount } }
+    );
+  }
+
+  return transaction;
+};
+
 // @desc    Process earnings for completed order (Internal function)
+// Earnings are credited as pending and become available after the
+// settlement hold (see utils/settlements.js)
 export const processOrderEarnings = async (orderId) => {
   try {
     const order = await Order.findById(orderId)
@@ -458,64 +521,55 @@ export const processOrderEarnings = async (orderId) => {
       return;
     }
 
-    // Process vendor earnings (95% of order subtotal)
-    if (order.vendor && !order.items.some((item) => item.withdrawn)) {
-      const vendorUser = await User.findById(order.vendor.user);
-      const vendorEarnings = order.pricing.subtotal * 0.95;
+    // Earnings for a disputed order are withheld until the dispute closes
+    const disputed = await Dispute.exists({
+      order: order._id,
+      "hold.status": { $in: ["pending", "held"] },
+    });
 
-      const balanceBefore = vendorUser.wallet.balance;
-      await vendorUser.updateWalletBalance(vendorEarnings, "credit");
+    // Process vendor earnings (order subtotal less platform commission)
+    if (
+      order.vendor &&
+      !disputed &&
+      !order.items.some((item) => item.withdrawn)
+    ) {
+      const vendorUser = await User.findById(order.vendor.user);
+      const { vendorEarnings, adminCommission } = order.calculateEarnings();
 
-      // Create vendor transaction
-      const vendorTransaction = new Transaction({
-        user: vendorUser._id,
+      await creditPendingEarnings(vendorUser, {
         type: "earning",
+        payee: "vendor",
         amount: vendorEarnings,
-        status: "completed",
         description: `Earnings from order ${order.orderNumber}`,
-        reference: uuidv4(),
-        metadata: {
-          orderId: order._id,
-        },
-        balanceBefore,
-        balanceAfter: vendorUser.wallet.balance,
-        processedAt: new Date(),
+        order,
+        commission: adminCommission,
       });
 
-      await vendorTransaction.save();
-
       // Mark items as withdrawn
       order.items.forEach((item) => (item.withdrawn = true));
     }
 
-    // Process rider earnings (50% of delivery fee)
+    // Process rider earnings (50% of delivery fee). Batched orders are paid
+    // once per batch instead (see utils/batches.js)
     if (order.rider && !order.items.some((item) => item.riderWithdrawn)) {
-      const riderUser = await User.findById(order.rider.user);
-      const riderEarnings = order.pricing.deliveryFee * 0.5;
-
-      const balanceBefore = riderUser.wallet.balance;
-      await riderUser.updateWalletBalance(riderEarnings, "credit");
-
-      // Create rider transaction
-      const riderTransaction = new Transaction({
-        user: riderUser._id,
-        type: "earning",
-        amount: riderEarnings,
-        status: "completed",
-        description: `Delivery earnings from order ${order.orderNumber}`,
-        reference: uuidv4(),
-        metadata: {
-          orderId: order._id,
-        },
-        balanceBefore,
-        balanceAfter: riderUser.wallet.balance,
-        processedAt: new Date(),
-      });
-
-      await riderTransaction.save();
-
-      // Mark rider earnings as withdrawn
-      order.items.forEach((item) => (item.riderWithdrawn = true));
+      if (!order.deliveryBatch) {
+        const riderUser = await User.findById(order.rider.user);
+        const riderEarnings = order.pricing.deliveryFee * 0.5;
+
+        await creditPendingEarnings(riderUser, {
+          type: "earning",
+          payee: "rider",
+          amount: riderEarnings,
+          description: `Delivery earnings from order ${order.orderNumber}`,
+          order,
+        });
+
+        // Mark rider earnings as withdrawn
+        order.items.forEach((item) => (item.riderWithdrawn = true));
+      }
+
+      // Tip given at checkout; tips after delivery are credited when paid
+      await creditRiderTip(order, order.pricing.tip, `tip_${order._id}`);
     }
 
     await order.save();
@@ -0,0 +1,18 @@
+import { advanceDueDispatches } from "../utils/dispatch.js";
+import logger from "../config/logger.js";
+
+const INTERVAL_MS = 15 * 1000; // every 15 seconds
+
+const runDispatch = async (io) => {
+  try {
+    const advanced = await advanceDueDispatches(io);
+    if (advanced > 0) {
+      logger.info("Advanced expired delivery offers", { count: advanced });
+    }
+  } catch (error) {
+    logger.error("Dispatch job error", { error: error.message });
+  }
+};
+
+export const startDispatchJob = (io) =>
+  setInterval(() => runDispatch(io), INTERVAL_MS);
@@ -0,0 +1,15 @@
+import { startRefundRetryJob } from "./refundRetryJob.js";
+import { startSubscriptionJob } from "./subscriptionJob.js";
+import { startSettlementJob } from "./settlementJob.js";
+import { startDispatchJob } from "./dispatchJob.js";
+import logger from "../config/logger.js";
+
+// Start the background jobs that run inside the API process. io lets jobs
+// send socket events
+export const startJobs = (io) => {
+  startRefundRetryJob();
+  startSubscriptionJob();
+  startSettlementJob();
+  startDispatchJob(io);
+  logger.info("Background jobs started");
+};
@@ -0,0 +1,18 @@
+import { retryFailedRefunds } from "../utils/refunds.js";
+import logger from "../config/logger.js";
+
+const INTERVAL_MS = 5 * 60 * 1000; // every 5 minutes
+
+const runRefundRetries = async () => {
+  try {
+    const retried = await retryFailedRefunds();
+    if (retried > 0) {
+      logger.info("Retried failed refunds", { count: retried });
+    }
+  } catch (error) {
+    logger.error("Refund retry job error", { error: error.message });
+  }
+};
+
+export const startRefundRetryJob = () =>
+  setInterval(runRefundRetries, INTERVAL_MS);
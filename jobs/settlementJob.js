@@ -0,0 +1,26 @@
+import Rider from "../models/Rider.js";
+import { releaseDueEarnings } from "../utils/settlements.js";
+import { netCashOwed } from "../utils/cashLedger.js";
+import logger from "../config/logger.js";
+
+const INTERVAL_MS = 15 * 60 * 1000; // every 15 minutes
+
+const runSettlements = async () => {
+  try {
+    const released = await releaseDueEarnings();
+    if (released > 0) {
+      logger.info("Released pending earnings", { count: released });
+
+      // Newly available earnings pay down cash riders still owe
+      const riders = await Rider.find({ cashOwed: { $gt: 0 } }).select("_id");
+      for (const rider of riders) {
+        await netCashOwed(rider._id);
+      }
+    }
+  } catch (error) {
+    logger.error("Settlement job error", { error: error.message });
+  }
+};
+
+export const startSettlementJob = () =>
+  setInterval(runSettlements, INTERVAL_MS);
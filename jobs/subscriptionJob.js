@@ -0,0 +1,18 @@
+import { processDueSubscriptions } from "../utils/subscriptions.js";
+import logger from "../config/logger.js";
+
+const INTERVAL_MS = 10 * 60 * 1000; // every 10 minutes
+
+const runSubscriptions = async () => {
+  try {
+    const processed = await processDueSubscriptions();
+    if (processed > 0) {
+      logger.info("Processed due subscriptions", { count: processed });
+    }
+  } catch (error) {
+    logger.error("Subscription job error", { error: error.message });
+  }
+};
+
+export const startSubscriptionJob = () =>
+  setInterval(runSubscriptions, INTERVAL_MS);
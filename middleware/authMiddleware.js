@@ -1,17 +1,33 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 
+// Token from a "Bearer <token>" Authorization header
+export const getBearerToken = (authorization) =>
+  authorization && authorization.startsWith("Bearer")
+    ? authorization.split(" ")[1]
+    : null;
+
+// Active user a JWT belongs to. Throws when the token does not verify.
+// Shared with the Socket.IO handshake (utils/socketHandler.js)
+export const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.id).select("-password");
+
+  if (!user) {
+    return { error: "Not authorized, user not found" };
+  }
+
+  if (!user.isActive) {
+    return { error: "Account has been deactivated" };
+  }
+
+  return { user };
+};
+
 // Protect routes - general authentication
 export const protect = async (req, res, next) => {
   try {
-    let token;
-
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer")
-    ) {
-      token = req.headers.authorization.split(" ")[1];
-    }
+    const token = getBearerToken(req.headers.authorization);
 
     if (!token) {
       return res.status(401).json({
@@ -21,20 +37,12 @@ export const protect = async (req, res, next) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select("-password");
-
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: "Not authorized, user not found",
-        });
-      }
+      const { user, error } = await getUserFromToken(token);
 
-      if (!user.isActive) {
+      if (error) {
         return res.status(401).json({
           success: false,
-          message: "Account has been deactivated",
+          message: error,
         });
       }
 
@@ -0,0 +1,108 @@
+import crypto from "crypto";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+import logger from "../config/logger.js";
+
+// Matches how long Stripe keeps its own idempotency keys
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const hashBody = (body) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body || {}))
+    .digest("hex");
+
+/**
+ * Make a route safe to retry. When the client sends an Idempotency-Key
+ * header, the first response for that key is stored and replayed for any
+ * repeat from the same user. Requests without the header pass straight
+ * through. Must run after protect.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: "Idempotency-Key must be at most 255 characters",
+    });
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashBody(req.body);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      user: req.user._id,
+      key,
+      route,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      logger.error("Idempotency key error", { error: error.message });
+      return res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+
+    const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+    if (
+      !existing ||
+      existing.route !== route ||
+      existing.requestHash !== requestHash
+    ) {
+      return res.status(422).json({
+        success: false,
+        message: "Idempotency-Key was already used for a different request",
+      });
+    }
+
+    if (existing.status === "processing") {
+      return res.status(409).json({
+        success: false,
+        message: "A request with this Idempotency-Key is still in progress",
+      });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Scoped to the user so two accounts can never share a Stripe key
+  req.idempotencyKey = `${req.user.id}:${key}`;
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    // Server errors are not stored, so the client can retry with the same key
+    const save =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: "completed",
+              responseStatus: res.statusCode,
+              // Stored as the client saw it, not as live documents
+              responseBody: JSON.parse(JSON.stringify(body)),
+            }
+          );
+    save.catch((error) =>
+      logger.error("Save idempotent response error", { error: error.message })
+    );
+
+    return originalJson(body);
+  };
+
+  next();
+};
+
+// Stripe request options carrying the client's idempotency key, if any
+export const stripeIdempotency = (req, scope) =>
+  req.idempotencyKey
+    ? { idempotencyKey: `${req.idempotencyKey}:${scope}` }
+    : undefined;
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// Cash a rider holds for the platform from cash-on-delivery orders. Every
+// change to Rider.cashOwed is recorded here: collections raise it, wallet
+// offsets and cash handed in to an admin bring it down.
+const cashLedgerEntrySchema = new mongoose.Schema(
+  {
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rider",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "collection", // Cash collected from a customer on delivery
+        "wallet_offset", // Netted against the rider's wallet earnings
+        "settlement", // Cash handed in to an admin
+      ],
+      required: true,
+    },
+    // Positive for collections, negative for offsets and settlements
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // Rider.cashOwed after this entry
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cashLedgerEntrySchema.index({ rider: 1, createdAt: -1 });
+cashLedgerEntrySchema.index({ type: 1, createdAt: -1 });
+// An order's cash is only collected once
+cashLedgerEntrySchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: "collection" } }
+);
+
+const CashLedgerEntry = mongoose.model(
+  "CashLedgerEntry",
+  cashLedgerEntrySchema
+);
+
+export default CashLedgerEntry;
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: String,
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Upper bound for percentage discounts, null = no cap
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    minimumOrder: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // null = platform-wide, otherwise only valid for this vendor's items.
+    // Vendor coupons are funded by the vendor, platform coupons by the platform.
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      default: null,
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Total redemptions allowed across all customers, null = unlimited
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.index({ vendor: 1, isActive: 1 });
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+export default Coupon;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import { dispatchSchema } from "./Order.js";
+
+// Ready orders from one vendor whose drop-offs lie along a similar route,
+// offered to and carried by a single rider. Each order keeps its own status,
+// timeline and delivery code; the rider is paid once for the batch.
+const deliveryBatchSchema = new mongoose.Schema(
+  {
+    batchNumber: {
+      type: String,
+      unique: true,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: true,
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    // ready: waiting for a rider; completed once every order is delivered
+    // or cancelled
+    status: {
+      type: String,
+      enum: ["ready", "accepted", "completed", "cancelled"],
+      default: "ready",
+    },
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rider",
+      default: null,
+    },
+    dispatch: dispatchSchema,
+    // Rider earnings credited for the whole batch
+    riderEarnings: Number,
+    acceptedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deliveryBatchSchema.index({ status: 1, rider: 1 });
+deliveryBatchSchema.index({ "dispatch.status": 1, "dispatch.expiresAt": 1 });
+
+deliveryBatchSchema.pre("save", async function (next) {
+  if (!this.batchNumber) {
+    const count = await mongoose.model("DeliveryBatch").countDocuments();
+    this.batchNumber = `BAT${Date.now()}${String(count + 1).padStart(4, "0")}`;
+  }
+  next();
+});
+
+const DeliveryBatch = mongoose.model("DeliveryBatch", deliveryBatchSchema);
+
+export default DeliveryBatch;
@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+
+// Statuses as reported by Stripe; the "warning_" ones are inquiries that
+// have not become chargebacks yet
+const DISPUTE_STATUSES = [
+  "warning_needs_response",
+  "warning_under_review",
+  "warning_closed",
+  "needs_response",
+  "under_review",
+  "won",
+  "lost",
+];
+
+const evidenceSubmissionSchema = new mongoose.Schema({
+  // Stripe evidence fields sent in this submission
+  fields: [String],
+  files: [
+    {
+      field: String,
+      filename: String,
+      stripeFileId: String,
+    },
+  ],
+  // Whether the evidence was submitted to the bank or only staged
+  submitted: {
+    type: Boolean,
+    default: false,
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A chargeback on an order's payment. A payment covering several orders
+// has one record per order, sharing the Stripe dispute.
+const disputeSchema = new mongoose.Schema(
+  {
+    stripeDisputeId: {
+      type: String,
+      required: true,
+    },
+    stripeChargeId: String,
+    paymentIntentId: String,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+    },
+    // Share of the disputed amount that falls on this order
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    reason: String,
+    status: {
+      type: String,
+      enum: DISPUTE_STATUSES,
+      required: true,
+    },
+    evidenceDueBy: Date,
+    evidenceSubmissions: [evidenceSubmissionSchema],
+    // Vendor earnings held in the vendor's wallet until the outcome.
+    // Earnings not paid out yet when the dispute opened are withheld
+    // instead, and paid only if the dispute is won.
+    hold: {
+      earningsWithheld: {
+        type: Boolean,
+        default: false,
+      },
+      amount: {
+        type: Number,
+        default: 0,
+      },
+      // Earnings the vendor had already withdrawn and could not be held
+      shortfall: {
+        type: Number,
+        default: 0,
+      },
+      status: {
+        type: String,
+        enum: ["pending", "held", "released", "forfeited"],
+        default: "pending",
+      },
+      placedAt: Date,
+      resolvedAt: Date,
+    },
+    closedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+disputeSchema.index({ stripeDisputeId: 1, order: 1 }, { unique: true });
+disputeSchema.index({ status: 1, evidenceDueBy: 1 });
+disputeSchema.index({ vendor: 1, createdAt: -1 });
+
+const Dispute = mongoose.model("Dispute", disputeSchema);
+
+export default Dispute;
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+const feeRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+    },
+    // Region the rule applies to. A rule with no zone, city or state is the
+    // platform-wide default; the most specific matching rule wins.
+    zone: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    city: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    state: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    baseDeliveryFee: {
+      type: Number,
+      default: 5,
+      min: 0,
+    },
+    perKmRate: {
+      type: Number,
+      default: 2,
+      min: 0,
+    },
+    minimumDeliveryFee: {
+      type: Number,
+      default: 5,
+      min: 0,
+    },
+    freeDeliveryThreshold: {
+      type: Number,
+      default: 0, // 0 disables free delivery
+      min: 0,
+    },
+    serviceFeePercentage: {
+      type: Number,
+      default: 3,
+      min: 0,
+      max: 100,
+    },
+    taxPercentage: {
+      type: Number,
+      default: 5,
+      min: 0,
+      max: 100,
+    },
+    commissionPercentage: {
+      type: Number,
+      default: 3,
+      min: 0,
+      max: 100,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+feeRuleSchema.index({ zone: 1, city: 1, state: 1, isActive: 1 });
+
+const FeeRule = mongoose.model("FeeRule", feeRuleSchema);
+
+export default FeeRule;
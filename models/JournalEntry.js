@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+// One side of a journal entry. Wallet accounts name the user and the wallet
+// balance (bucket) the line moves; system accounts have neither.
+const journalLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: [
+        "customer_wallet",
+        "vendor_wallet",
+        "rider_wallet",
+        "platform_commission", // Commission and fees the platform keeps
+        "stripe_clearing", // Money held at Stripe for the platform
+        "cash_clearing", // Cash riders collected and still hold
+        "payout_clearing", // Approved withdrawals waiting to be paid out
+        "opening_balance", // Wallet balances from before the ledger
+      ],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    bucket: {
+      type: String,
+      enum: ["available", "pending", "held"],
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Double-entry record of every wallet movement. Entries are never changed
+// once written; the wallet balances on User are a cache of these lines.
+const journalEntrySchema = new mongoose.Schema(
+  {
+    // One entry per business event, so a retried event is not posted twice
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    lines: {
+      type: [journalLineSchema],
+      validate: {
+        validator: (lines) => {
+          const cents = (field) =>
+            lines.reduce((sum, line) => sum + Math.round(line[field] * 100), 0);
+          return lines.length >= 2 && cents("debit") === cents("credit");
+        },
+        message: "Journal entry debits and credits must balance",
+      },
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+journalEntrySchema.index({ "lines.user": 1, createdAt: -1 });
+journalEntrySchema.index({ "lines.account": 1 });
+journalEntrySchema.index({ type: 1, createdAt: -1 });
+
+const JournalEntry = mongoose.model("JournalEntry", journalEntrySchema);
+
+export default JournalEntry;
@@ -33,8 +33,57 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Units cancelled and refunded after the order was placed
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+  },
 });
 
+// Automatic dispatch state of an order or delivery batch: it is offered to
+// one rider at a time until one accepts; see utils/dispatch.js
+export const dispatchSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: [
+        "searching",
+        "offering",
+        "accepted",
+        "assigned",
+        "unassigned",
+        "batched", // Dispatched as part of a DeliveryBatch instead
+      ],
+    },
+    // Rider holding the current offer
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rider",
+      default: null,
+    },
+    expiresAt: Date,
+    startedAt: Date,
+    offers: [
+      {
+        rider: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Rider",
+        },
+        outcome: {
+          type: String,
+          enum: ["pending", "accepted", "declined", "expired", "withdrawn"],
+          default: "pending",
+        },
+        distanceKm: Number,
+        activeDeliveries: Number,
+        offeredAt: Date,
+        respondedAt: Date,
+      },
+    ],
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
     orderNumber: {
@@ -57,6 +106,12 @@ const orderSchema = new mongoose.Schema(
       ref: "Rider",
       default: null,
     },
+    // Shared by the per-vendor orders created from one multi-vendor
+    // checkout; they also share a single payment intent
+    checkoutGroup: {
+      type: String,
+      default: null,
+    },
     items: [orderItemSchema],
     totalItemsPrice: {
       type: Number,
@@ -100,10 +155,56 @@ const orderSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Where the discount came from, e.g. per-meal subscription discounts
+      discountBreakdown: [
+        {
+          source: {
+            type: String,
+            enum: ["subscription", "coupon"],
+          },
+          meal: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Meal",
+          },
+          name: String,
+          percentage: Number,
+          amount: Number,
+        },
+      ],
+      // Rider tip; all of it goes to the rider. A tip given at checkout is
+      // part of total, one given after delivery is charged on its own
+      // (see tipPayment).
+      tip: {
+        type: Number,
+        default: 0,
+      },
       total: {
         type: Number,
         required: true,
       },
+      // Snapshot of the fee rule in force when the order was placed
+      commissionPercentage: {
+        type: Number,
+        default: 3,
+      },
+      feeRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "FeeRule",
+        default: null,
+      },
+    },
+    // Coupon applied at checkout; pricing.discount holds the amount
+    coupon: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+        default: null,
+      },
+      code: String,
+      fundedBy: {
+        type: String,
+        enum: ["platform", "vendor"],
+      },
     },
     deliveryAddress: {
       street: String,
@@ -117,6 +218,20 @@ const orderSchema = new mongoose.Schema(
         default: [0, 0],
       },
     },
+    // Delivery Zone the address fell in when the order was placed
+    deliveryZone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Zone",
+      default: null,
+    },
+    // Automatic dispatch; see dispatchSchema
+    dispatch: dispatchSchema,
+    // Batch the order is delivered in, with other orders from the vendor
+    deliveryBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DeliveryBatch",
+      default: null,
+    },
     deliveryInfo: {
       scheduledDate: {
         type: Date,
@@ -125,6 +240,14 @@ const orderSchema = new mongoose.Schema(
       estimatedTime: Date,
       actualDeliveryTime: Date,
       deliveryInstructions: String,
+      // Meals whose capped delivery slot this order holds a place in,
+      // given back when the order is cancelled
+      reservedSlots: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Meal",
+        },
+      ],
     },
     status: {
       type: String,
@@ -144,7 +267,14 @@ const orderSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ["pending", "processing", "completed", "failed", "refunded"],
+      enum: [
+        "pending",
+        "processing",
+        "completed",
+        "failed",
+        "partially_refunded",
+        "refunded",
+      ],
       default: "pending",
     },
     paymentInfo: {
@@ -152,6 +282,19 @@ const orderSchema = new mongoose.Schema(
       stripeChargeId: String,
       paymentMethod: String,
       transactionId: String,
+      // Cash on delivery: what the rider confirmed collecting
+      cashCollected: Number,
+      cashCollectedAt: Date,
+    },
+    // Separate charge for a tip added after delivery
+    tipPayment: {
+      amount: Number,
+      stripePaymentIntentId: String,
+      status: {
+        type: String,
+        enum: ["pending", "completed", "failed"],
+      },
+      paidAt: Date,
     },
     timeline: [
       {
@@ -195,7 +338,18 @@ orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ vendor: 1, status: 1 });
 orderSchema.index({ rider: 1, status: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ "coupon.id": 1, customer: 1 });
+// One order per vendor in a checkout
+orderSchema.index(
+  { checkoutGroup: 1, vendor: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { checkoutGroup: { $type: "string" } },
+  }
+);
 orderSchema.index({ "deliveryAddress.coordinates": "2dsphere" });
+orderSchema.index({ "dispatch.status": 1, "dispatch.expiresAt": 1 });
+orderSchema.index({ deliveryBatch: 1 });
 
 // Pre-save middleware to generate order number
 orderSchema.pre("save", async function (next) {
@@ -208,14 +362,32 @@ orderSchema.pre("save", async function (next) {
 
 // Method to calculate earnings breakdown
 orderSchema.methods.calculateEarnings = function () {
-  const adminCommission = this.pricing.total * 0.03; // 3% commission
-  const vendorEarnings = this.pricing.subtotal - adminCommission;
+  const commissionRate = (this.pricing.commissionPercentage ?? 3) / 100;
+  // Tips go to the rider untouched, so the checkout tip carries no commission
+  const checkoutTip =
+    (this.pricing.tip || 0) -
+    (this.tipPayment?.status === "completed" ? this.tipPayment.amount : 0);
+  const adminCommission =
+    (this.pricing.total - checkoutTip - (this.refundAmount || 0)) *
+    commissionRate;
+  // Vendor coupons come out of the vendor's share, platform coupons do not
+  const vendorDiscount =
+    this.coupon?.fundedBy === "vendor" ? this.pricing.discount || 0 : 0;
+  // Cancelled items are not paid out
+  const cancelledItems = this.items.reduce(
+    (sum, item) => sum + item.unitPrice * (item.refundedQuantity || 0),
+    0
+  );
+  const vendorEarnings =
+    this.pricing.subtotal - cancelledItems - vendorDiscount - adminCommission;
   const riderEarnings = this.pricing.deliveryFee;
+  const tip = this.pricing.tip || 0;
 
   return {
     adminCommission,
     vendorEarnings,
     riderEarnings,
+    tip,
   };
 };
 
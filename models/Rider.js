@@ -52,6 +52,19 @@ const riderSchema = new mongoose.Schema(
       },
       lastUpdated: Date,
     },
+    // Zones the rider delivers in; no zones means anywhere
+    deliveryZones: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Zone",
+      },
+    ],
+    // Cash from cash-on-delivery orders not yet passed on to the platform;
+    // see CashLedgerEntry
+    cashOwed: {
+      type: Number,
+      default: 0,
+    },
     ratings: {
       average: { type: Number, default: 0, min: 0, max: 5 },
       count: { type: Number, default: 0 },
@@ -60,6 +73,7 @@ const riderSchema = new mongoose.Schema(
       totalEarnings: { type: Number, default: 0 },
       availableBalance: { type: Number, default: 0 },
       pendingBalance: { type: Number, default: 0 },
+      totalTips: { type: Number, default: 0 },
     },
     metrics: {
       totalDeliveries: { type: Number, default: 0 },
@@ -76,6 +90,22 @@ const riderSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Admin notes and actions
+    adminNotes: [
+      {
+        admin: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        action: String,
+        details: String,
+        reason: String,
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -84,6 +114,7 @@ const riderSchema = new mongoose.Schema(
 
 // Index for geospatial queries
 riderSchema.index({ location: "2dsphere" });
+riderSchema.index({ deliveryZones: 1 });
 
 const Rider = mongoose.model("Rider", riderSchema);
 
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// A rider's position while carrying orders, recorded from their live
+// location updates so customers can see the route taken
+const riderBreadcrumbSchema = new mongoose.Schema(
+  {
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rider",
+      required: true,
+    },
+    // Orders the rider was carrying, between accepted and arrived
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true,
+      },
+    },
+    heading: Number, // degrees from north
+    speed: Number, // metres per second
+    accuracy: Number, // metres
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+riderBreadcrumbSchema.index({ orders: 1, recordedAt: 1 });
+riderBreadcrumbSchema.index({ rider: 1, recordedAt: -1 });
+
+// Kept a month, long enough to look into delivery complaints
+riderBreadcrumbSchema.index(
+  { recordedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+const RiderBreadcrumb = mongoose.model(
+  "RiderBreadcrumb",
+  riderBreadcrumbSchema
+);
+
+export default RiderBreadcrumb;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Orders booked into a meal's delivery slot. Only kept for days with a
+// maxOrders cap, so the cap can be enforced with one conditional update
+const slotBookingSchema = new mongoose.Schema(
+  {
+    meal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Meal",
+      required: true,
+    },
+    // Start of the delivery day (UTC)
+    date: {
+      type: Date,
+      required: true,
+    },
+    booked: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+slotBookingSchema.index({ meal: 1, date: 1 }, { unique: true });
+
+const SlotBooking = mongoose.model("SlotBooking", slotBookingSchema);
+
+export default SlotBooking;
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Stripe webhook events already received, so retried deliveries are not
+// applied twice
+const stripeEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "failed"],
+      default: "processing",
+    },
+    error: String,
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Stripe stops retrying after three days; keep a month for troubleshooting
+stripeEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+const StripeEvent = mongoose.model("StripeEvent", stripeEventSchema);
+
+export default StripeEvent;
@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+
+const subscriptionItemSchema = new mongoose.Schema({
+  meal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Meal",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+});
+
+// A recurring meal-prep order. The subscription job turns each upcoming
+// delivery into an Order and charges the saved card for it.
+const subscriptionSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: true,
+    },
+    items: {
+      type: [subscriptionItemSchema],
+      validate: [(items) => items.length > 0, "At least one meal is required"],
+    },
+    interval: {
+      type: String,
+      enum: ["daily", "weekly", "biweekly", "monthly"],
+      required: true,
+    },
+    deliveryAddress: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String,
+      instructions: String,
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: [0, 0],
+      },
+    },
+    specialInstructions: String,
+    // Saved Stripe card charged off-session for each delivery
+    paymentMethodId: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "paused", "cancelled"],
+      default: "active",
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    // Delivery date of the next order to generate
+    nextDelivery: {
+      type: Date,
+      required: true,
+    },
+    // When the job should next create or charge an order. Set ahead of
+    // nextDelivery so the vendor gets notice, and pushed back on retries.
+    nextChargeAt: {
+      type: Date,
+      default: null,
+    },
+    // Order generated for nextDelivery that has not been paid for yet
+    pendingOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    lastOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    orderCount: {
+      type: Number,
+      default: 0,
+    },
+    // Consecutive failed charges for the current delivery
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastPaymentError: String,
+    // Single deliveries the customer has skipped
+    skippedDates: [Date],
+    // Deliveries in this window (inclusive, by day) are not made or
+    // charged; no pausedUntil means until the customer resumes
+    pausedFrom: {
+      type: Date,
+      default: null,
+    },
+    pausedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Set with status "paused", when nothing is delivered until resumed
+    pausedAt: Date,
+    pauseReason: {
+      type: String,
+      enum: ["customer", "payment_failed", "meal_unavailable", null],
+      default: null,
+    },
+    cancelledAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+subscriptionSchema.index({ customer: 1, status: 1 });
+subscriptionSchema.index({ vendor: 1, status: 1 });
+subscriptionSchema.index({ status: 1, nextChargeAt: 1 });
+
+const Subscription = mongoose.model("Subscription", subscriptionSchema);
+
+export default Subscription;
@@ -17,6 +17,11 @@ const transactionSchema = new mongoose.Schema(
         "earning", // Earnings from completed order/delivery
         "payment", // Payment for order from wallet
         "top_up", // Manual wallet top-up
+        "tip", // Customer tip paid to the rider
+        "cash_offset", // Wallet earnings netted against cash a rider owes
+        "dispute_hold", // Earnings moved on hold for a payment dispute
+        "dispute_release", // Held earnings returned after a won dispute
+        "dispute_loss", // Held earnings forfeited after a lost dispute
       ],
       required: true,
     },
@@ -31,7 +36,9 @@ const transactionSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "completed", "failed", "cancelled"],
+      // Withdrawals go pending (awaiting review), approved, then completed
+      // once paid out, or cancelled when rejected
+      enum: ["pending", "approved", "completed", "failed", "cancelled"],
       default: "pending",
     },
     description: {
@@ -48,13 +55,55 @@ const transactionSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: "Order",
       },
+      // Rider earnings paid once for a whole delivery batch
+      batchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "DeliveryBatch",
+      },
+      // Who an earning or tip is paid to
+      payee: {
+        type: String,
+        enum: ["vendor", "rider"],
+      },
+      disputeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Dispute",
+      },
       paymentMethodId: String,
       stripeChargeId: String,
+      stripeRefundId: String,
+      refundReason: String,
+      // Where a refund is paid out: back to the card or into the wallet
+      refundDestination: {
+        type: String,
+        enum: ["card", "wallet"],
+      },
+      // Order items a refund covers, for item-level cancellations
+      items: [
+        {
+          item: mongoose.Schema.Types.ObjectId,
+          quantity: Number,
+        },
+      ],
       withdrawalDetails: {
         accountName: String,
         accountNumber: String,
         bankName: String,
+        routingNumber: String,
         processingFee: Number,
+        reviewedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        reviewedAt: Date,
+        rejectionReason: String,
+        // Payout batch the withdrawal was exported in
+        payoutBatchId: String,
+        paidBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        payoutReference: String,
       },
     },
     balanceAfter: {
@@ -71,6 +120,21 @@ const transactionSchema = new mongoose.Schema(
     failureReason: {
       type: String,
     },
+    // Retry queue for failed refunds; nextRetryAt is cleared once the
+    // retries run out and the refund needs an admin
+    retryCount: {
+      type: Number,
+      default: 0,
+    },
+    nextRetryAt: {
+      type: Date,
+      default: null,
+    },
+    // Pending earnings move to the available balance after this time
+    availableAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -81,6 +145,9 @@ const transactionSchema = new mongoose.Schema(
 transactionSchema.index({ user: 1, createdAt: -1 });
 transactionSchema.index({ type: 1, status: 1 });
 transactionSchema.index({ reference: 1 });
+transactionSchema.index({ type: 1, status: 1, nextRetryAt: 1 });
+transactionSchema.index({ type: 1, status: 1, availableAt: 1 });
+transactionSchema.index({ "metadata.withdrawalDetails.payoutBatchId": 1 });
 
 const Transaction = mongoose.model("Transaction", transactionSchema);
 
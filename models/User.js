@@ -118,6 +118,19 @@ const userSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
+      // Earnings still in their settlement hold; balance is what can be
+      // spent or withdrawn
+      pendingBalance: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Earnings held back while a payment dispute is open
+      heldBalance: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
       currency: {
         type: String,
         default: "USD",
@@ -269,21 +282,6 @@ userSchema.methods.verifyWalletPin = async function (pin) {
   return await bcrypt.compare(pin, this.wallet.pin);
 };
 
-userSchema.methods.updateWalletBalance = async function (
-  amount,
-  operation = "credit"
-) {
-  if (operation === "credit") {
-    this.wallet.balance += amount;
-  } else if (operation === "debit") {
-    if (this.wallet.balance < amount) {
-      throw new Error("Insufficient wallet balance");
-    }
-    this.wallet.balance -= amount;
-  }
-  return await this.save();
-};
-
 const User = mongoose.model("User", userSchema);
 
 export default User;
@@ -51,6 +51,7 @@ const vendorSchema = new mongoose.Schema(
     },
     deliveryInfo: {
       minimumOrder: { type: Number, default: 0 },
+      // Unused: delivery fees come from FeeRule (see utils/pricing.js)
       deliveryFee: { type: Number, default: 0 },
       freeDeliveryThreshold: { type: Number, default: 0 },
       estimatedDeliveryTime: { type: Number, default: 30 }, // in minutes
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Delivery zone drawn as a GeoJSON polygon. Riders are assigned zones, and
+// addresses, vendors and riders are placed in the zone their coordinates
+// fall within.
+const zoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      trim: true,
+    },
+    // Matches FeeRule.zone, so fee rules can be set per zone
+    code: {
+      type: String,
+      required: [true, "Zone code is required"],
+      trim: true,
+      lowercase: true,
+      unique: true,
+    },
+    description: String,
+    boundary: {
+      type: {
+        type: String,
+        enum: ["Polygon", "MultiPolygon"],
+        required: true,
+      },
+      coordinates: {
+        type: Array, // Rings of [longitude, latitude], first point repeated last
+        required: true,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB rejects malformed polygons when writing to this index
+zoneSchema.index({ boundary: "2dsphere" });
+zoneSchema.index({ isActive: 1 });
+
+const Zone = mongoose.model("Zone", zoneSchema);
+
+export default Zone;
@@ -15,6 +15,7 @@ import {
   assignDriverToOrder,
   getOrderStatistics,
   cancelOrder,
+  refundOrderPayment,
 } from "../controllers/adminDashboard/ordersManagementController.js";
 
 import {
@@ -69,6 +70,18 @@ import {
   exportTransactionsReport,
   getPaymentStatistics,
   flagTransaction,
+  getFailedRefunds,
+  retryRefund,
+  getCashReconciliation,
+  getRiderCashLedger,
+  settleRiderCash,
+  getLedgerEntries,
+  verifyLedgerBalances,
+  getWithdrawalRequests,
+  approveWithdrawalRequest,
+  rejectWithdrawalRequest,
+  createPayoutBatchFile,
+  exportPayoutBatch,
 } from "../controllers/adminDashboard/paymentsManagementController.js";
 
 import {
@@ -104,6 +117,41 @@ import {
   getAdminActivityLog,
 } from "../controllers/adminDashboard/adminRolesController.js";
 
+import {
+  getAllFeeRules,
+  getFeeRuleDetails,
+  createFeeRule,
+  updateFeeRule,
+  deleteFeeRule,
+} from "../controllers/adminDashboard/feeRulesController.js";
+
+import {
+  getAllCoupons,
+  getCouponDetails,
+  createCoupon,
+  updateCoupon,
+  getCouponStatistics,
+} from "../controllers/adminDashboard/couponsController.js";
+
+import {
+  getAllDisputes,
+  getDisputeDetails,
+  submitEvidence,
+  getDisputeStatistics,
+} from "../controllers/adminDashboard/disputesController.js";
+
+import {
+  getAllZones,
+  resolveZones,
+  getZoneDetails,
+  createZone,
+  updateZone,
+  deleteZone,
+} from "../controllers/adminDashboard/zonesController.js";
+
+import { upload } from "../utils/fileUpload.js";
+import { EVIDENCE_FILE_FIELDS } from "../utils/disputes.js";
+
 const router = express.Router();
 
 // All routes require authentication and admin/manager role
@@ -126,6 +174,7 @@ router.get("/orders/:orderId", getOrderDetails);
 router.put("/orders/:orderId/status", updateOrderStatus);
 router.put("/orders/:orderId/assign-driver", assignDriverToOrder);
 router.put("/orders/:orderId/cancel", cancelOrder);
+router.post("/orders/:orderId/refund", refundOrderPayment);
 
 // ============================================
 // 3. CUSTOMERS MANAGEMENT ROUTES
@@ -185,6 +234,27 @@ router.post("/payments/settlements/mark-paid", markSettlementPaid);
 router.get("/payments/export", exportTransactionsReport);
 router.get("/payments/stats", getPaymentStatistics);
 router.put("/payments/transactions/:transactionId/flag", flagTransaction);
+router.get("/payments/refunds/failed", getFailedRefunds);
+router.post("/payments/refunds/:transactionId/retry", retryRefund);
+router.get("/payments/cash-reconciliation", getCashReconciliation);
+router.get("/payments/cash-reconciliation/:riderId", getRiderCashLedger);
+router.post(
+  "/payments/cash-reconciliation/:riderId/settle",
+  settleRiderCash
+);
+router.get("/payments/ledger", getLedgerEntries);
+router.get("/payments/ledger/verify", verifyLedgerBalances);
+router.get("/payments/withdrawals", getWithdrawalRequests);
+router.put(
+  "/payments/withdrawals/:transactionId/approve",
+  approveWithdrawalRequest
+);
+router.put(
+  "/payments/withdrawals/:transactionId/reject",
+  rejectWithdrawalRequest
+);
+router.post("/payments/payout-batches", createPayoutBatchFile);
+router.get("/payments/payout-batches/:batchId", exportPayoutBatch);
 
 // ============================================
 // 8. REVENUE REPORTS ROUTES
@@ -226,4 +296,44 @@ router.put("/admins/profile", updateAdminProfile);
 router.get("/admins/roles-permissions", getRolesAndPermissions);
 router.get("/admins/:adminId/activity", getAdminActivityLog);
 
+// ============================================
+// 11. FEE & TAX RULES ROUTES
+// ============================================
+router.get("/fee-rules", getAllFeeRules);
+router.post("/fee-rules", createFeeRule);
+router.get("/fee-rules/:ruleId", getFeeRuleDetails);
+router.put("/fee-rules/:ruleId", updateFeeRule);
+router.delete("/fee-rules/:ruleId", deleteFeeRule);
+
+// ============================================
+// 12. COUPONS ROUTES
+// ============================================
+router.get("/coupons", getAllCoupons);
+router.post("/coupons", createCoupon);
+router.get("/coupons/stats", getCouponStatistics);
+router.get("/coupons/:couponId", getCouponDetails);
+router.put("/coupons/:couponId", updateCoupon);
+
+// ============================================
+// 13. DISPUTES ROUTES
+// ============================================
+router.get("/disputes", getAllDisputes);
+router.get("/disputes/stats", getDisputeStatistics);
+router.get("/disputes/:disputeId", getDisputeDetails);
+router.post(
+  "/disputes/:disputeId/evidence",
+  upload.fields(EVIDENCE_FILE_FIELDS.map((name) => ({ name, maxCount: 1 }))),
+  submitEvidence
+);
+
+// ============================================
+// 14. DELIVERY ZONES ROUTES
+// ============================================
+router.get("/zones", getAllZones);
+router.post("/zones", createZone);
+router.get("/zones/resolve", resolveZones);
+router.get("/zones/:zoneId", getZoneDetails);
+router.put("/zones/:zoneId", updateZone);
+router.delete("/zones/:zoneId", deleteZone);
+
 export default router;
@@ -12,10 +12,13 @@ import {
   getVendorDetails,
   searchMeals,
   getMealDetails,
+  getVendorDeliverySlots,
+  getMealDeliverySlots,
   addToCart,
   getCart,
   updateCartItem,
   removeFromCart,
+  applyCoupon,
   toggleFavoriteVendor,
   toggleFavoriteMeal,
   getFavorites,
@@ -62,14 +65,17 @@ router.delete("/payment-methods/:id", deletePaymentMethod);
 // Vendor discovery
 router.get("/vendors", searchVendors);
 router.get("/vendors/:id", getVendorDetails);
+router.get("/vendors/:id/delivery-slots", getVendorDeliverySlots);
 
 // Meal discovery
 router.get("/meals", searchMeals);
 router.get("/meals/:id", getMealDetails);
+router.get("/meals/:id/delivery-slots", getMealDeliverySlots);
 
 // Cart routes
 router.post("/cart", addToCart);
 router.get("/cart", getCart);
+router.post("/cart/apply-coupon", applyCoupon);
 router.put("/cart/:id", updateCartItem);
 router.delete("/cart/:id", removeFromCart);
 
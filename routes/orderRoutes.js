@@ -1,27 +1,31 @@
 import express from "express";
 import {
   createOrder,
+  createCheckout,
   createSubscriptionOrder,
   getOrderDetails,
   cancelOrder,
+  cancelOrderItem,
   rateOrder,
-  handleStripeWebhook,
   trackOrder,
 } from "../controllers/orderController.js";
+import { handleWebhook } from "../controllers/paymentController.js";
 import {
   protect,
   authorize,
   requireVerified,
 } from "../middleware/authMiddleware.js";
 import { validateOrderCreation } from "../middleware/validationMiddleware.js";
+import { idempotent } from "../middleware/idempotencyMiddleware.js";
 
 const router = express.Router();
 
-// Webhook route (public, no authentication)
+// Webhook route (public, no authentication). Kept for endpoints already
+// registered in Stripe; same handler as /api/payment/webhook.
 router.post(
   "/webhook",
   express.raw({ type: "application/json" }),
-  handleStripeWebhook
+  handleWebhook
 );
 
 // Protected routes
@@ -33,12 +37,21 @@ router.post(
   authorize("customer"),
   requireVerified,
   // validateOrderCreation,
+  idempotent,
   createOrder
 );
+router.post(
+  "/checkout",
+  authorize("customer"),
+  requireVerified,
+  idempotent,
+  createCheckout
+);
 router.post(
   "/subscription",
   authorize("customer"),
   requireVerified,
+  idempotent,
   createSubscriptionOrder
 );
 
@@ -46,8 +59,9 @@ router.post(
 router.get("/:id", getOrderDetails);
 router.get("/:id/track", trackOrder);
 router.put("/:id/cancel", cancelOrder);
+router.put("/:id/items/:itemId/cancel", cancelOrderItem);
 
 // Customer-only routes
-router.post("/:id/rate", authorize("customer"), rateOrder);
+router.post("/:id/rate", authorize("customer"), idempotent, rateOrder);
 
 export default router;
@@ -9,6 +9,7 @@ import {
   handleWebhook,
 } from "../controllers/paymentController.js";
 import { protect, authorize } from "../middleware/authMiddleware.js";
+import { idempotent } from "../middleware/idempotencyMiddleware.js";
 
 const router = express.Router();
 
@@ -25,7 +26,12 @@ router.use(protect);
 // @desc    Create payment intent
 // @route   POST /api/payment/create-intent
 // @access  Private (Customer)
-router.post("/create-intent", authorize("customer"), createPaymentIntent);
+router.post(
+  "/create-intent",
+  authorize("customer"),
+  idempotent,
+  createPaymentIntent
+);
 
 // @desc    Confirm payment
 // @route   POST /api/payment/confirm
@@ -6,6 +6,10 @@ import {
   toggleAvailability,
   getAvailableDeliveries,
   acceptDelivery,
+  declineDelivery,
+  getDeliveryBatch,
+  acceptDeliveryBatch,
+  declineDeliveryBatch,
   getRiderDeliveries,
   updateDeliveryStatus,
   getRiderAnalytics,
@@ -39,6 +43,10 @@ router.put("/availability", toggleAvailability);
 // Delivery routes
 router.get("/deliveries/available", getAvailableDeliveries);
 router.post("/deliveries/:id/accept", acceptDelivery);
+router.post("/deliveries/:id/decline", declineDelivery);
+router.get("/batches/:id", getDeliveryBatch);
+router.post("/batches/:id/accept", acceptDeliveryBatch);
+router.post("/batches/:id/decline", declineDeliveryBatch);
 router.get("/deliveries", getRiderDeliveries);
 router.put("/deliveries/:id/status", updateDeliveryStatus);
 router.get("/deliveries/:id", getDeliveryById); // Get specific delivery by ID
@@ -18,6 +18,7 @@ import {
   getVendorMealTypes,
   getVendorReviews,
   getVendorOrderById,
+  getSubscriptionDemand,
 } from "../controllers/vendorController.js";
 import {
   protect,
@@ -54,6 +55,9 @@ router.get("/orders", getVendorOrders);
 router.get("/orders/:id", getVendorOrderById);
 router.put("/orders/:id/status", updateOrderStatus);
 
+// Subscription routes
+router.get("/subscriptions/demand", getSubscriptionDemand);
+
 // Analytics and earnings
 router.get("/analytics", getVendorAnalytics);
 router.get("/earnings", getVendorEarnings);
@@ -13,6 +13,7 @@ import {
   authorize,
   requireVerified,
 } from "../middleware/authMiddleware.js";
+import { idempotent } from "../middleware/idempotencyMiddleware.js";
 
 const router = express.Router();
 
@@ -27,8 +28,13 @@ router.post("/verify-pin", verifyWalletPin);
 router.get("/transactions", getWalletTransactions);
 
 // Customer-specific routes
-router.post("/top-up", authorize("customer"), topUpWallet);
-router.post("/pay-order", authorize("customer"), payOrderWithWallet);
+router.post("/top-up", authorize("customer"), idempotent, topUpWallet);
+router.post(
+  "/pay-order",
+  authorize("customer"),
+  idempotent,
+  payOrderWithWallet
+);
 
 // Vendor and Rider routes
 router.post("/withdraw", authorize("vendor", "rider"), withdrawFromWallet);
@@ -12,6 +12,8 @@ import dotenv from "dotenv";
 import connectDB from "./config/database.js";
 import { errorHandler, notFound } from "./middleware/errorMiddleware.js";
 import logger from "./config/logger.js";
+import { startJobs } from "./jobs/index.js";
+import { registerSocketHandlers } from "./utils/socketHandler.js";
 
 // Import routes
 import authRoutes from "./routes/authRoutes.js";
@@ -96,20 +98,30 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
   }),
 );
 
+// Stripe webhooks: signed raw bodies, sent in bursts from Stripe's servers
+const STRIPE_WEBHOOK_PATHS = ["/api/payment/webhook", "/api/orders/webhook"];
+const isStripeWebhook = (req) =>
+  STRIPE_WEBHOOK_PATHS.includes(req.originalUrl.split("?")[0]);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: "Too many requests from this IP, please try again later.",
+  skip: isStripeWebhook,
 });
 app.use("/api/", limiter);
 
-// Body parser middleware
-app.use(express.json({ limit: "10mb" }));
+// Body parser middleware. Webhook bodies are left raw so the route can
+// verify the Stripe signature.
+const jsonParser = express.json({ limit: "10mb" });
+app.use((req, res, next) =>
+  isStripeWebhook(req) ? next() : jsonParser(req, res, next),
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Request logging middleware
@@ -150,23 +162,13 @@ app.use(notFound);
 app.use(errorHandler);
 
 // Socket.IO connection handling
-io.on("connection", (socket) => {
-  logger.info("User connected", { socketId: socket.id });
-
-  socket.on("join_room", (roomId) => {
-    socket.join(roomId);
-    logger.debug("User joined room", { socketId: socket.id, roomId });
-  });
-
-  socket.on("disconnect", () => {
-    logger.info("User disconnected", { socketId: socket.id });
-  });
-});
+registerSocketHandlers(io);
 
 const PORT = process.env.PORT || 5080;
 
 server.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+  startJobs(io);
 });
 
 export default app;
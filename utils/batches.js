@@ -0,0 +1,212 @@
+import DeliveryBatch from "../models/DeliveryBatch.js";
+import Order from "../models/Order.js";
+import Rider from "../models/Rider.js";
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import { calculateDistance } from "./helpers.js";
+import { roundAmount } from "./pricing.js";
+import { creditPendingEarnings } from "./settlements.js";
+import { hasLocation } from "./zones.js";
+
+// Most orders one rider carries in a batch
+export const MAX_BATCH_ORDERS = 3;
+
+// Drop-offs further apart than this are not batched together
+const BATCH_MAX_DROP_GAP_KM = 3;
+
+// Drop-offs whose directions from the vendor differ by more than this are
+// not batched together
+const BATCH_MAX_BEARING_DIFF = 45;
+
+// Riders get their usual half of the batch's highest delivery fee, and a
+// quarter of each other order's, the other drop-offs being on the way
+const RIDER_DELIVERY_SHARE = 0.5;
+const BATCH_EXTRA_DROP_SHARE = 0.25;
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const CLOSED_ORDER_STATUSES = ["delivered", "cancelled"];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Compass bearing in degrees from one [longitude, latitude] to another
+const bearing = ([lng1, lat1], [lng2, lat2]) => {
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRadians(lat2));
+  const x =
+    Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+const bearingDiff = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+const dropGapKm = ([lng1, lat1], [lng2, lat2]) =>
+  calculateDistance(lat1, lng1, lat2, lng2);
+
+/**
+ * Ready orders from the same vendor that could be carried with an order:
+ * still waiting for a rider, not batched, and dropped off close by in
+ * roughly the same direction from the vendor. Closest drop-offs first.
+ *
+ * @param {object} order - Order document being dispatched
+ * @returns {Promise<Array>} Up to MAX_BATCH_ORDERS - 1 orders
+ */
+export const findBatchPartners = async (order) => {
+  const dropOff = order.deliveryAddress?.coordinates;
+  if (!hasLocation(dropOff)) return [];
+
+  const candidates = await Order.find({
+    _id: { $ne: order._id },
+    vendor: order.vendor,
+    status: "ready",
+    rider: null,
+    deliveryBatch: null,
+    "dispatch.status": { $in: ["searching", "offering"] },
+    "deliveryAddress.coordinates": {
+      $geoWithin: {
+        $centerSphere: [
+          Array.from(dropOff),
+          BATCH_MAX_DROP_GAP_KM / EARTH_RADIUS_KM,
+        ],
+      },
+    },
+  }).select("deliveryAddress.coordinates");
+
+  // Without a vendor location, nearby drop-offs are batched on distance alone
+  const vendor = await Vendor.findById(order.vendor).select("user");
+  const vendorUser = vendor
+    ? await User.findById(vendor.user).select("location")
+    : null;
+  const origin = vendorUser?.location?.coordinates;
+  const sameDirection = (candidate) =>
+    !hasLocation(origin) ||
+    bearingDiff(
+      bearing(origin, dropOff),
+      bearing(origin, candidate.deliveryAddress.coordinates),
+    ) <= BATCH_MAX_BEARING_DIFF;
+
+  return candidates
+    .filter(sameDirection)
+    .sort(
+      (a, b) =>
+        dropGapKm(dropOff, a.deliveryAddress.coordinates) -
+        dropGapKm(dropOff, b.deliveryAddress.coordinates),
+    )
+    .slice(0, MAX_BATCH_ORDERS - 1);
+};
+
+/**
+ * What the rider earns for a batch's delivered orders.
+ *
+ * @param {Array} orders - Delivered orders in the batch
+ * @returns {number}
+ */
+export const calculateBatchEarnings = (orders) => {
+  const [highest = 0, ...others] = orders
+    .map((order) => order.pricing.deliveryFee || 0)
+    .sort((a, b) => b - a);
+
+  return roundAmount(
+    highest * RIDER_DELIVERY_SHARE +
+      others.reduce((sum, fee) => sum + fee, 0) * BATCH_EXTRA_DROP_SHARE,
+  );
+};
+
+/**
+ * Take an order out of its batch, e.g. when an admin gives it to another
+ * rider. A batch left with no orders is cancelled, and an accepted one
+ * whose other orders are all done is closed out.
+ *
+ * @param {object} order - Order document; saved by the caller
+ */
+export const leaveBatch = async (order) => {
+  const batchId = order.deliveryBatch;
+  if (!batchId) return;
+
+  order.deliveryBatch = null;
+  const batch = await DeliveryBatch.findOneAndUpdate(
+    { _id: batchId },
+    { $pull: { orders: order._id } },
+    { new: true },
+  );
+  if (batch && batch.orders.length === 0) {
+    await DeliveryBatch.updateOne(
+      { _id: batchId, status: { $in: ["ready", "accepted"] } },
+      { $set: { status: "cancelled", completedAt: new Date() } },
+    );
+  } else if (batch?.status === "accepted") {
+    await closeBatchIfDone(batchId);
+  }
+};
+
+/**
+ * Follow up on a batched order being delivered or cancelled. A cancelled
+ * order leaves a batch still waiting for a rider. Once every order of an
+ * accepted batch is delivered or cancelled, the batch is completed and its
+ * rider paid once for it.
+ *
+ * @param {string} batchId - DeliveryBatch id
+ * @returns {Promise<object|null>} The batch, if it was closed
+ */
+export const closeBatchIfDone = async (batchId) => {
+  const batch = await DeliveryBatch.findById(batchId);
+  if (!batch || !["ready", "accepted"].includes(batch.status)) return null;
+
+  const orders = await Order.find({ _id: { $in: batch.orders } });
+
+  if (batch.status === "ready") {
+    const cancelled = orders.filter((order) => order.status === "cancelled");
+    if (cancelled.length === 0) return null;
+
+    for (const order of cancelled) {
+      await leaveBatch(order);
+      await order.save();
+    }
+    return cancelled.length === orders.length ? batch : null;
+  }
+
+  if (orders.some((order) => !CLOSED_ORDER_STATUSES.includes(order.status))) {
+    return null;
+  }
+
+  const delivered = orders.filter((order) => order.status === "delivered");
+  const riderEarnings = calculateBatchEarnings(delivered);
+
+  const closed = await DeliveryBatch.findOneAndUpdate(
+    { _id: batch._id, status: "accepted" },
+    {
+      $set: {
+        status: delivered.length > 0 ? "completed" : "cancelled",
+        riderEarnings,
+        completedAt: new Date(),
+      },
+    },
+    { new: true },
+  );
+  if (!closed) return null;
+
+  const rider = await Rider.findById(closed.rider);
+  const riderUser = rider && (await User.findById(rider.user));
+  if (riderUser && riderEarnings > 0) {
+    // The reference is unique, so a batch cannot be paid twice
+    await creditPendingEarnings(riderUser, {
+      type: "earning",
+      payee: "rider",
+      amount: riderEarnings,
+      description: `Delivery earnings from batch ${closed.batchNumber}`,
+      batch: closed,
+      reference: `batch_earning_${closed._id}`,
+    });
+
+    await Order.updateMany(
+      { _id: { $in: delivered.map((order) => order._id) } },
+      { $set: { "items.$[].riderWithdrawn": true } },
+    );
+  }
+
+  return closed;
+};
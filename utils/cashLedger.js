@@ -0,0 +1,194 @@
+import CashLedgerEntry from "../models/CashLedgerEntry.js";
+import Rider from "../models/Rider.js";
+import User from "../models/User.js";
+import { roundAmount } from "./pricing.js";
+import { syncEarningsBalances } from "./settlements.js";
+import {
+  CASH_CLEARING,
+  INSUFFICIENT_FUNDS,
+  STRIPE_CLEARING,
+  credit,
+  debit,
+  postJournalEntry,
+  recordWalletTransaction,
+  walletAccount,
+  withLedgerTransaction,
+} from "./ledger.js";
+
+export const CASH_PAYMENT_METHOD = "cash";
+
+// Cash orders still waiting for the rider to collect the money
+export const isCashDue = (order) =>
+  order.paymentInfo?.paymentMethod === CASH_PAYMENT_METHOD &&
+  order.paymentStatus !== "completed";
+
+// Move a rider's cashOwed and record the entry that explains it
+const addLedgerEntry = async (riderId, amount, entry, session) => {
+  const rider = await Rider.findByIdAndUpdate(
+    riderId,
+    { $inc: { cashOwed: amount } },
+    { new: true, session },
+  );
+
+  const [created] = await CashLedgerEntry.create(
+    [
+      {
+        ...entry,
+        rider: riderId,
+        amount,
+        balanceAfter: roundAmount(rider.cashOwed),
+      },
+    ],
+    { session },
+  );
+  return created;
+};
+
+/**
+ * Record the cash a rider collected for a cash-on-delivery order. The rider
+ * owes the platform the order total.
+ *
+ * @param {object} order - Delivered cash order
+ * @param {object} rider - Rider document
+ * @param {string} userId - Rider's user id
+ * @returns {Promise<object|null>} Ledger entry, or null if already recorded
+ */
+export const recordCashCollection = async (order, rider, userId) => {
+  const amount = order.pricing.total;
+
+  // One collection per order (unique index), so a retried request cannot
+  // add the cash twice
+  try {
+    return await withLedgerTransaction(async (session) => {
+      const entry = await addLedgerEntry(
+        rider._id,
+        amount,
+        {
+          type: "collection",
+          order: order._id,
+          recordedBy: userId,
+          notes: `Cash collected for order ${order.orderNumber}`,
+        },
+        session,
+      );
+      await postJournalEntry(
+        {
+          reference: `cash_collection_${order._id}`,
+          type: "cash_collection",
+          description: entry.notes,
+          order: order._id,
+          lines: [
+            debit(CASH_CLEARING, amount),
+            credit(STRIPE_CLEARING, amount),
+          ],
+        },
+        session,
+      );
+      return entry;
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Net the cash a rider owes against their wallet earnings, taking as much
+ * from the wallet as both allow.
+ *
+ * @param {string} riderId - Rider id
+ * @returns {Promise<object|null>} Ledger entry, or null if nothing was netted
+ */
+export const netCashOwed = async (riderId) => {
+  const rider = await Rider.findById(riderId);
+  const user = rider && (await User.findById(rider.user).select("role wallet"));
+  if (!user || rider.cashOwed <= 0) return null;
+
+  const amount = roundAmount(Math.min(rider.cashOwed, user.wallet.balance));
+  if (amount <= 0) return null;
+
+  let entry;
+  try {
+    entry = await withLedgerTransaction(async (session) => {
+      const transaction = await recordWalletTransaction(
+        {
+          user: user._id,
+          type: "cash_offset",
+          amount,
+          status: "completed",
+          description: "Earnings netted against cash collected on delivery",
+          processedAt: new Date(),
+        },
+        [debit(walletAccount(user), amount), credit(CASH_CLEARING, amount)],
+        { session },
+      );
+
+      return addLedgerEntry(
+        rider._id,
+        -amount,
+        {
+          type: "wallet_offset",
+          transaction: transaction._id,
+          notes: "Netted against wallet earnings",
+        },
+        session,
+      );
+    });
+  } catch (error) {
+    // The balance changed underneath us; the next delivery nets it instead
+    if (error.code === INSUFFICIENT_FUNDS) return null;
+    throw error;
+  }
+
+  await syncEarningsBalances(user._id);
+  return entry;
+};
+
+/**
+ * Record cash a rider handed in to an admin.
+ *
+ * @param {object} rider - Rider document
+ * @param {number} cash - Cash handed in, at most what the rider owes
+ * @param {object} params
+ * @param {string} params.userId - Admin recording the settlement
+ * @param {string} [params.notes]
+ * @returns {Promise<object|null>} Ledger entry, or null if the amount is
+ * more than the rider owes
+ */
+export const settleCashOwed = async (rider, cash, { userId, notes }) => {
+  const amount = roundAmount(cash);
+
+  return withLedgerTransaction(async (session) => {
+    // Only settle against what is still owed, even with concurrent updates
+    const claimed = await Rider.findOneAndUpdate(
+      { _id: rider._id, cashOwed: { $gte: amount } },
+      { $inc: { cashOwed: -amount } },
+      { new: true, session },
+    );
+    if (!claimed) return null;
+
+    const [entry] = await CashLedgerEntry.create(
+      [
+        {
+          rider: rider._id,
+          type: "settlement",
+          amount: -amount,
+          balanceAfter: roundAmount(claimed.cashOwed),
+          recordedBy: userId,
+          notes: notes || "Cash handed in",
+        },
+      ],
+      { session },
+    );
+    await postJournalEntry(
+      {
+        reference: `cash_settlement_${entry._id}`,
+        type: "cash_settlement",
+        description: entry.notes,
+        lines: [debit(STRIPE_CLEARING, amount), credit(CASH_CLEARING, amount)],
+      },
+      session,
+    );
+    return entry;
+  });
+};
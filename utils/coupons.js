@@ -0,0 +1,112 @@
+import Coupon from "../models/Coupon.js";
+import Order from "../models/Order.js";
+import { roundAmount } from "./pricing.js";
+
+const couponError = (code, message) => ({ error: { code, message } });
+
+// Discount a coupon gives on an item subtotal, never more than the subtotal
+export const calculateCouponDiscount = (coupon, subtotal) => {
+  if (!coupon) return 0;
+
+  let discount =
+    coupon.discountType === "percentage"
+      ? subtotal * (coupon.value / 100)
+      : coupon.value;
+
+  if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return roundAmount(Math.min(discount, subtotal));
+};
+
+// Codes are stored upper-cased
+export const findCouponByCode = (code) =>
+  Coupon.findOne({ code: code.trim().toUpperCase() });
+
+/**
+ * Check whether a customer can use a coupon code on an order from a vendor.
+ *
+ * @param {object} params
+ * @param {string} params.code - Code entered by the customer
+ * @param {object} params.customer - Customer document
+ * @param {object} params.vendor - Vendor document
+ * @param {number} params.subtotal - Item subtotal of the order
+ * @returns {Promise<{coupon?: object, discount?: number, error?: {code: string, message: string}}>}
+ */
+export const validateCoupon = async ({ code, customer, vendor, subtotal }) => {
+  const coupon = await findCouponByCode(code);
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return couponError("COUPON_INVALID", "Coupon code is not valid");
+  }
+
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return couponError("COUPON_NOT_STARTED", "Coupon is not active yet");
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    return couponError("COUPON_EXPIRED", "Coupon has expired");
+  }
+
+  if (coupon.vendor && coupon.vendor.toString() !== vendor._id.toString()) {
+    return couponError(
+      "COUPON_VENDOR_MISMATCH",
+      "Coupon is not valid for this vendor",
+    );
+  }
+
+  if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+    return couponError(
+      "COUPON_USAGE_LIMIT_REACHED",
+      "Coupon has reached its usage limit",
+    );
+  }
+
+  // Cancelled orders give the redemption back
+  const customerRedemptions = await Order.countDocuments({
+    customer: customer._id,
+    "coupon.id": coupon._id,
+    status: { $ne: "cancelled" },
+  });
+  if (customerRedemptions >= coupon.perUserLimit) {
+    return couponError(
+      "COUPON_USER_LIMIT_REACHED",
+      "You have already used this coupon",
+    );
+  }
+
+  if (subtotal < coupon.minimumOrder) {
+    return couponError(
+      "COUPON_BELOW_MINIMUM",
+      `Coupon requires a minimum order of ${coupon.minimumOrder}`,
+    );
+  }
+
+  return { coupon, discount: calculateCouponDiscount(coupon, subtotal) };
+};
+
+// Take one use of a coupon. Returns false when the global limit was hit
+// by a concurrent order after validation.
+export const redeemCoupon = async (coupon) => {
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit !== null) {
+    filter.usageCount = { $lt: coupon.usageLimit };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(filter, {
+    $inc: { usageCount: 1 },
+  });
+  return Boolean(updated);
+};
+
+// Give back a use taken by redeemCoupon, e.g. when the order is cancelled
+export const releaseCoupon = async (couponId) => {
+  if (!couponId) return;
+
+  await Coupon.updateOne(
+    { _id: couponId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+  );
+};
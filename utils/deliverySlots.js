@@ -0,0 +1,303 @@
+import Order from "../models/Order.js";
+import SlotBooking from "../models/SlotBooking.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Delivery slots are whole days; orderDays dates are compared by UTC day
+const getDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const startOfDay = (date) => new Date(`${getDayKey(date)}T00:00:00.000Z`);
+
+// Slots are for end of day, so same-day orders still count when notice
+// allows. Listing and checking a slot both measure notice against this
+const getSlotTime = (date) => new Date(startOfDay(date).getTime() + DAY_MS - 1);
+
+// Hours of notice a meal needs before delivery
+const getLeadTimeHours = (meal) =>
+  Math.max(
+    meal.availability?.minimumNotice ?? 24,
+    meal.availability?.preparationTime ?? 2,
+  );
+
+// orderDays entry for a date, or null when the meal has no entry for it
+const findOrderDay = (meal, date) => {
+  const key = getDayKey(date);
+  return (
+    meal.availability?.orderDays?.find(
+      (day) => day.date && getDayKey(day.date) === key,
+    ) || null
+  );
+};
+
+// Active orders containing each meal, per delivery day
+const countOrdersByDay = async (mealIds, from, to) => {
+  const rows = await Order.aggregate([
+    {
+      $match: {
+        "items.meal": { $in: mealIds },
+        "deliveryInfo.scheduledDate": { $gte: from, $lt: to },
+        status: { $ne: "cancelled" },
+      },
+    },
+    { $unwind: "$items" },
+    { $match: { "items.meal": { $in: mealIds } } },
+    {
+      $group: {
+        _id: {
+          meal: "$items.meal",
+          day: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$deliveryInfo.scheduledDate",
+            },
+          },
+          order: "$_id",
+        },
+      },
+    },
+    {
+      $group: {
+        _id: { meal: "$_id.meal", day: "$_id.day" },
+        orders: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return new Map(
+    rows.map((row) => [`${row._id.meal}_${row._id.day}`, row.orders]),
+  );
+};
+
+/**
+ * Number of orders booked for each meal, per delivery day. Capped slots
+ * count their reservations; other days count active orders.
+ *
+ * @param {Array} mealIds - Meal ids
+ * @param {Date} from - First day (inclusive)
+ * @param {Date} to - Last day (exclusive)
+ * @returns {Promise<Map<string, number>>} Keyed by `${mealId}_${YYYY-MM-DD}`
+ */
+export const getBookedCounts = async (mealIds, from, to) => {
+  const counts = await countOrdersByDay(mealIds, from, to);
+  const bookings = await SlotBooking.find({
+    meal: { $in: mealIds },
+    date: { $gte: from, $lt: to },
+  });
+  bookings.forEach((booking) => {
+    counts.set(`${booking.meal}_${getDayKey(booking.date)}`, booking.booked);
+  });
+  return counts;
+};
+
+// Work out a single meal's slot for a day, given how many orders it holds
+const describeSlot = (meal, date, booked, now = new Date()) => {
+  const orderDay = findOrderDay(meal, date);
+  const hasSchedule = meal.availability?.orderDays?.length > 0;
+  const maxOrders = orderDay?.maxOrders || null;
+  const earliest = new Date(now.getTime() + getLeadTimeHours(meal) * HOUR_MS);
+
+  let reason = null;
+  if (date < earliest) {
+    reason = "MINIMUM_NOTICE";
+  } else if (hasSchedule && (!orderDay || orderDay.isAvailable === false)) {
+    reason = "DAY_UNAVAILABLE";
+  } else if (maxOrders !== null && booked >= maxOrders) {
+    reason = "SLOT_FULL";
+  }
+
+  return {
+    date: getDayKey(date),
+    available: reason === null,
+    reason,
+    maxOrders,
+    remaining: maxOrders === null ? null : Math.max(maxOrders - booked, 0),
+  };
+};
+
+/**
+ * Delivery slots for one or more meals over the coming days.
+ * A meal with no orderDays can be delivered on any day; otherwise only on
+ * its listed, available days. Capacity comes from orderDays[].maxOrders.
+ *
+ * @param {Array<object>} meals - Meal documents
+ * @param {object} [options]
+ * @param {Date} [options.from] - First day to list, defaults to today
+ * @param {number} [options.days] - Number of days to list
+ * @returns {Promise<Array<{date: string, meals: Array<object>}>>}
+ */
+export const getDeliverySlots = async (meals, { from, days = 14 } = {}) => {
+  const firstDay = startOfDay(from || new Date());
+  const lastDay = new Date(firstDay.getTime() + days * DAY_MS);
+  const booked = await getBookedCounts(
+    meals.map((meal) => meal._id),
+    firstDay,
+    lastDay,
+  );
+
+  const slots = [];
+  for (let i = 0; i < days; i++) {
+    const day = new Date(firstDay.getTime() + i * DAY_MS);
+
+    slots.push({
+      date: getDayKey(day),
+      meals: meals.map((meal) => ({
+        meal: meal._id,
+        name: meal.name,
+        ...describeSlot(
+          meal,
+          getSlotTime(day),
+          booked.get(`${meal._id}_${getDayKey(day)}`) || 0,
+        ),
+      })),
+    });
+  }
+
+  return slots;
+};
+
+/**
+ * Check that a meal can be delivered on a date.
+ *
+ * @param {object} meal - Meal document (with availability)
+ * @param {Date|string} deliveryDate - Requested delivery date
+ * @returns {Promise<object|null>} A { code, message, ... } violation, or null
+ */
+export const getSlotViolation = async (meal, deliveryDate) => {
+  const date = new Date(deliveryDate);
+  if (!deliveryDate || Number.isNaN(date.getTime())) {
+    return {
+      code: "INVALID_DELIVERY_DATE",
+      message: "A valid delivery date is required",
+      meal: meal._id,
+    };
+  }
+
+  const dayStart = startOfDay(date);
+  const booked = await getBookedCounts(
+    [meal._id],
+    dayStart,
+    new Date(dayStart.getTime() + DAY_MS),
+  );
+  const slot = describeSlot(
+    meal,
+    getSlotTime(date),
+    booked.get(`${meal._id}_${getDayKey(date)}`) || 0,
+  );
+
+  const messages = {
+    MINIMUM_NOTICE: `${meal.name} needs at least ${getLeadTimeHours(meal)} hours notice`,
+    DAY_UNAVAILABLE: `${meal.name} is not available on ${slot.date}`,
+    SLOT_FULL: `${meal.name} is fully booked on ${slot.date}`,
+  };
+
+  return slot.reason
+    ? {
+        code: slot.reason,
+        message: messages[slot.reason],
+        meal: meal._id,
+        date: slot.date,
+      }
+    : null;
+};
+
+// Start a capped slot's counter from the orders already booked into it
+const startSlotBooking = async (mealId, date) => {
+  if (await SlotBooking.exists({ meal: mealId, date })) return;
+
+  const counts = await countOrdersByDay(
+    [mealId],
+    date,
+    new Date(date.getTime() + DAY_MS),
+  );
+  try {
+    await SlotBooking.create({
+      meal: mealId,
+      date,
+      booked: counts.get(`${mealId}_${getDayKey(date)}`) || 0,
+    });
+  } catch (error) {
+    // Another order started it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Give back places taken with reserveSlots.
+ *
+ * @param {Array} mealIds - Meals to release
+ * @param {Date|string} deliveryDate - Delivery date they were reserved for
+ */
+export const releaseSlots = async (mealIds, deliveryDate) => {
+  if (mealIds.length === 0) return;
+
+  await SlotBooking.updateMany(
+    {
+      meal: { $in: mealIds },
+      date: startOfDay(deliveryDate),
+      booked: { $gt: 0 },
+    },
+    { $inc: { booked: -1 } },
+  );
+};
+
+/**
+ * Take a place in each meal's delivery slot that has a maxOrders cap. Each
+ * place is claimed with a conditional counter update, so concurrent orders
+ * cannot overbook a slot. Either every place is taken or none is. Store
+ * the reserved meals on the order as deliveryInfo.reservedSlots.
+ *
+ * @param {Array<object>} meals - Meal documents (with availability)
+ * @param {Date|string} deliveryDate - Requested delivery date
+ * @returns {Promise<{reserved: Array, error?: object}>} Reserved meal ids,
+ * or a SLOT_FULL violation
+ */
+export const reserveSlots = async (meals, deliveryDate) => {
+  const date = startOfDay(deliveryDate);
+  const reserved = [];
+
+  for (const meal of meals) {
+    const maxOrders = findOrderDay(meal, date)?.maxOrders;
+    if (!maxOrders) continue;
+
+    await startSlotBooking(meal._id, date);
+    const booking = await SlotBooking.findOneAndUpdate(
+      { meal: meal._id, date, booked: { $lt: maxOrders } },
+      { $inc: { booked: 1 } },
+    );
+    if (!booking) {
+      await releaseSlots(reserved, date);
+      return {
+        reserved: [],
+        error: {
+          code: "SLOT_FULL",
+          message: `${meal.name} is fully booked on ${getDayKey(date)}`,
+          meal: meal._id,
+          date: getDayKey(date),
+        },
+      };
+    }
+    reserved.push(meal._id);
+  }
+
+  return { reserved };
+};
+
+/**
+ * Give back the slot places a cancelled order held. Only the first call
+ * for an order releases anything.
+ *
+ * @param {object} order - Order document
+ */
+export const releaseOrderSlots = async (order) => {
+  const released = await Order.findOneAndUpdate(
+    { _id: order._id, "deliveryInfo.reservedSlots.0": { $exists: true } },
+    { $set: { "deliveryInfo.reservedSlots": [] } },
+  );
+  if (!released) return;
+
+  await releaseSlots(
+    released.deliveryInfo.reservedSlots,
+    released.deliveryInfo.scheduledDate,
+  );
+};
@@ -0,0 +1,617 @@
+import DeliveryBatch from "../models/DeliveryBatch.js";
+import Order from "../models/Order.js";
+import Rider from "../models/Rider.js";
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import { hasLocation, riderZoneFilter } from "./zones.js";
+import { MAX_BATCH_ORDERS, findBatchPartners } from "./batches.js";
+import {
+  sendPushToUser,
+  sendPushToUsers,
+  OrderNotifications,
+} from "./pushNotification.js";
+import logger from "../config/logger.js";
+
+// How long a rider has to accept an offer before it moves on
+export const DISPATCH_OFFER_SECONDS =
+  Number(process.env.DISPATCH_OFFER_SECONDS) || 60;
+
+// Riders further than this from the vendor are not offered the order
+export const DISPATCH_RADIUS_KM = Number(process.env.DISPATCH_RADIUS_KM) || 10;
+
+// Riders offered an order before it is left to an admin to assign
+export const MAX_DISPATCH_OFFERS =
+  Number(process.env.MAX_DISPATCH_OFFERS) || 5;
+
+// Riders already carrying this many orders are not offered more
+const MAX_ACTIVE_DELIVERIES = 3;
+
+// Ranking weights, in km of extra distance: each active delivery counts as
+// 2 km further away and each star below 5 as 1 km further away
+const LOAD_PENALTY_KM = 2;
+const RATING_PENALTY_KM = 1;
+
+// Rating assumed for riders nobody has rated yet
+const UNRATED_RIDER_RATING = 4;
+
+const CANDIDATE_LIMIT = 20;
+
+const ACTIVE_DELIVERY_STATUSES = [
+  "accepted",
+  "picked_up",
+  "on_the_way",
+  "arrived",
+];
+
+const offerExpiry = () => new Date(Date.now() + DISPATCH_OFFER_SECONDS * 1000);
+
+// Orders are dispatched on their own or in a DeliveryBatch, which carries
+// the same dispatch state
+const isBatch = (target) => target instanceof DeliveryBatch;
+const modelFor = (target) => (isBatch(target) ? DeliveryBatch : Order);
+const orderIdsOf = (target) => (isBatch(target) ? target.orders : [target._id]);
+
+/**
+ * Online riders who could take an order, best first. Riders are ranked by
+ * distance from the vendor, how many deliveries they are already carrying
+ * and their rating. Without a vendor location, distance is left out.
+ *
+ * @param {number[]} [origin] - Vendor [longitude, latitude]
+ * @param {Array} excludeIds - Riders already offered the order
+ * @returns {Promise<Array<{rider: object, distanceKm: number|null,
+ * activeDeliveries: number, score: number}>>}
+ */
+export const rankRiders = async (origin, excludeIds = []) => {
+  const query = {
+    "availability.isOnline": true,
+    isApproved: true,
+    isActive: true,
+    _id: { $nin: excludeIds },
+  };
+
+  const riders = hasLocation(origin)
+    ? await Rider.aggregate([
+        {
+          $geoNear: {
+            near: { type: "Point", coordinates: Array.from(origin) },
+            distanceField: "distance",
+            maxDistance: DISPATCH_RADIUS_KM * 1000,
+            spherical: true,
+            query,
+          },
+        },
+        { $limit: CANDIDATE_LIMIT },
+      ])
+    : await Rider.find(query).limit(CANDIDATE_LIMIT).lean();
+
+  const loads = await Order.aggregate([
+    {
+      $match: {
+        rider: { $in: riders.map((rider) => rider._id) },
+        status: { $in: ACTIVE_DELIVERY_STATUSES },
+      },
+    },
+    { $group: { _id: "$rider", count: { $sum: 1 } } },
+  ]);
+
+  return riders
+    .map((rider) => {
+      const activeDeliveries =
+        loads.find((load) => load._id.equals(rider._id))?.count || 0;
+      const distanceKm =
+        rider.distance === undefined ? null : rider.distance / 1000;
+      const rating = rider.ratings?.count
+        ? rider.ratings.average
+        : UNRATED_RIDER_RATING;
+
+      return {
+        rider,
+        distanceKm,
+        activeDeliveries,
+        score:
+          (distanceKm || 0) +
+          activeDeliveries * LOAD_PENALTY_KM +
+          (5 - rating) * RATING_PENALTY_KM,
+      };
+    })
+    .filter((candidate) => candidate.activeDeliveries < MAX_ACTIVE_DELIVERIES)
+    .sort((a, b) => a.score - b.score);
+};
+
+// Nobody took the order or batch: leave its orders for an admin to assign.
+// A batch is broken up so they can be assigned one by one.
+const fallBackToAdmin = async (target) => {
+  const unassigned = await modelFor(target).findOneAndUpdate(
+    { _id: target._id, "dispatch.status": "searching" },
+    { $set: { "dispatch.status": "unassigned", "dispatch.expiresAt": null } },
+    { new: true },
+  );
+  if (!unassigned) return null;
+
+  if (isBatch(unassigned)) {
+    unassigned.status = "cancelled";
+    unassigned.completedAt = new Date();
+    await unassigned.save();
+    await Order.updateMany(
+      { deliveryBatch: unassigned._id, status: "ready", rider: null },
+      { $set: { deliveryBatch: null, "dispatch.status": "unassigned" } },
+    );
+  }
+
+  logger.warn("No rider accepted delivery", {
+    [isBatch(unassigned) ? "batchId" : "orderId"]: unassigned._id,
+    offers: unassigned.dispatch.offers.length,
+  });
+
+  const admins = await User.find({
+    role: { $in: ["admin", "manager"] },
+    isActive: true,
+  }).select("_id");
+  const orders = await Order.find({
+    _id: { $in: orderIdsOf(unassigned) },
+    status: "ready",
+  }).select("orderNumber");
+  if (admins.length > 0) {
+    for (const order of orders) {
+      const notif = OrderNotifications.dispatchFailed(order);
+      await sendPushToUsers(admins.map((admin) => admin._id), {
+        title: notif.title,
+        body: notif.body,
+        data: notif.data,
+        type: "system",
+        priority: "high",
+      });
+    }
+  }
+
+  return unassigned;
+};
+
+/**
+ * Offer an order or batch to the best ranked rider not yet offered it, or
+ * leave it for an admin once no one is left or MAX_DISPATCH_OFFERS is
+ * reached. Only acts on one between offers.
+ *
+ * @param {object} target - Order or DeliveryBatch document
+ * @param {object} [io] - Socket.IO server
+ * @returns {Promise<object|null>} The updated order or batch, or null if it
+ * was not waiting for an offer
+ */
+export const offerNextRider = async (target, io) => {
+  const offeredIds = target.dispatch.offers.map((offer) => offer.rider);
+  if (offeredIds.length >= MAX_DISPATCH_OFFERS) {
+    return fallBackToAdmin(target);
+  }
+
+  const vendor = await Vendor.findById(target.vendor).select(
+    "user businessName",
+  );
+  const vendorUser = vendor
+    ? await User.findById(vendor.user).select("location")
+    : null;
+  const candidates = await rankRiders(
+    vendorUser?.location?.coordinates,
+    offeredIds,
+  );
+
+  // Riders limited to zones only get orders delivered inside them
+  const orderIds = orderIdsOf(target);
+  let chosen = null;
+  for (const candidate of candidates) {
+    const inZone = await Order.countDocuments({
+      _id: { $in: orderIds },
+      ...(await riderZoneFilter(candidate.rider)),
+    });
+    if (inZone === orderIds.length) {
+      chosen = candidate;
+      break;
+    }
+  }
+  if (!chosen) return fallBackToAdmin(target);
+
+  const expiresAt = offerExpiry();
+  const offered = await modelFor(target).findOneAndUpdate(
+    {
+      _id: target._id,
+      status: "ready",
+      rider: null,
+      "dispatch.status": "searching",
+    },
+    {
+      $set: {
+        "dispatch.status": "offering",
+        "dispatch.rider": chosen.rider._id,
+        "dispatch.expiresAt": expiresAt,
+      },
+      $push: {
+        "dispatch.offers": {
+          rider: chosen.rider._id,
+          distanceKm: chosen.distanceKm,
+          activeDeliveries: chosen.activeDeliveries,
+          offeredAt: new Date(),
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!offered) return null;
+
+  const notif = isBatch(offered)
+    ? OrderNotifications.batchOffer(
+        offered,
+        vendor?.businessName,
+        DISPATCH_OFFER_SECONDS,
+      )
+    : OrderNotifications.deliveryOffer(
+        offered,
+        vendor?.businessName,
+        DISPATCH_OFFER_SECONDS,
+      );
+  await sendPushToUser(chosen.rider.user, {
+    title: notif.title,
+    body: notif.body,
+    data: notif.data,
+    type: "order_status",
+    priority: "high",
+  });
+
+  if (io) {
+    io.to(`rider_${chosen.rider._id}`).emit(
+      "deliveryOffer",
+      isBatch(offered)
+        ? {
+            batchId: offered._id,
+            batchNumber: offered.batchNumber,
+            orderIds: offered.orders,
+            distanceKm: chosen.distanceKm,
+            expiresAt,
+          }
+        : {
+            orderId: offered._id,
+            orderNumber: offered.orderNumber,
+            distanceKm: chosen.distanceKm,
+            expiresAt,
+          },
+    );
+  }
+
+  return offered;
+};
+
+/**
+ * Put an order in a new batch with other ready orders from its vendor
+ * going the same way. Orders joining the batch stop being offered on
+ * their own.
+ *
+ * @param {object} order - Order document being dispatched
+ * @param {object} [io] - Socket.IO server
+ * @returns {Promise<object|null>} The batch, or null if no other order
+ * could join
+ */
+const formBatch = async (order, io) => {
+  const partners = await findBatchPartners(order);
+  if (partners.length === 0) return null;
+
+  const batch = new DeliveryBatch({
+    vendor: order.vendor,
+    dispatch: {
+      status: "searching",
+      expiresAt: offerExpiry(),
+      startedAt: new Date(),
+      offers: [],
+    },
+  });
+
+  for (const candidate of [order, ...partners]) {
+    if (batch.orders.length >= MAX_BATCH_ORDERS) break;
+
+    // Returns the order as it was, to tell who held an offer for it
+    const joined = await Order.findOneAndUpdate(
+      {
+        _id: candidate._id,
+        status: "ready",
+        rider: null,
+        deliveryBatch: null,
+        "dispatch.status": { $in: ["searching", "offering"] },
+      },
+      {
+        $set: {
+          deliveryBatch: batch._id,
+          "dispatch.status": "batched",
+          "dispatch.rider": null,
+          "dispatch.expiresAt": null,
+          "dispatch.offers.$[offer].outcome": "withdrawn",
+          "dispatch.offers.$[offer].respondedAt": new Date(),
+        },
+      },
+      { arrayFilters: [{ "offer.outcome": "pending" }] },
+    );
+    if (!joined) continue;
+    batch.orders.push(joined._id);
+
+    if (io && joined.dispatch.rider) {
+      io.to(`rider_${joined.dispatch.rider}`).emit("deliveryOfferWithdrawn", {
+        orderId: joined._id,
+      });
+    }
+  }
+
+  // Nothing to batch with after all: dispatch the order on its own
+  if (batch.orders.length < 2) {
+    await Order.updateMany(
+      { _id: { $in: batch.orders }, deliveryBatch: batch._id },
+      {
+        $set: {
+          deliveryBatch: null,
+          "dispatch.status": "searching",
+          "dispatch.expiresAt": offerExpiry(),
+        },
+      },
+    );
+    return null;
+  }
+
+  return batch.save();
+};
+
+/**
+ * Start dispatching an order that has just become ready, batching it with
+ * other orders from its vendor where their drop-offs line up.
+ *
+ * @param {object} order - Order document
+ * @param {object} [io] - Socket.IO server
+ * @returns {Promise<object|null>} The order or batch being offered, or
+ * null if the order already has a rider or is being dispatched
+ */
+export const startDispatch = async (order, io) => {
+  const started = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: "ready",
+      rider: null,
+      "dispatch.status": null,
+    },
+    {
+      $set: {
+        "dispatch.status": "searching",
+        "dispatch.rider": null,
+        "dispatch.expiresAt": offerExpiry(),
+        "dispatch.startedAt": new Date(),
+        "dispatch.offers": [],
+      },
+    },
+    { new: true },
+  );
+  if (!started) return null;
+
+  const batch = await formBatch(started, io);
+  return offerNextRider(batch || started, io);
+};
+
+// Record a rider's answer to their pending offer. Kept apart from the
+// claim itself: orders that were ready before dispatch existed have no
+// offers array, and an array filter on a missing path fails the update
+const recordOfferOutcome = (Model, id, riderId, outcome) =>
+  Model.updateOne(
+    {
+      _id: id,
+      "dispatch.offers": {
+        $elemMatch: { rider: riderId, outcome: "pending" },
+      },
+    },
+    {
+      $set: {
+        "dispatch.offers.$.outcome": outcome,
+        "dispatch.offers.$.respondedAt": new Date(),
+      },
+    },
+  );
+
+// End a rider's offer so the order or batch can be offered to the next
+// rider
+const closeOffer = async (Model, id, riderId, outcome) => {
+  const closed = await Model.findOneAndUpdate(
+    {
+      _id: id,
+      "dispatch.status": "offering",
+      "dispatch.rider": riderId,
+    },
+    {
+      $set: {
+        "dispatch.status": "searching",
+        "dispatch.rider": null,
+        // Retried by the dispatch job if the next offer is never made
+        "dispatch.expiresAt": offerExpiry(),
+      },
+    },
+    { new: true },
+  );
+  if (closed) await recordOfferOutcome(Model, id, riderId, outcome);
+  return closed;
+};
+
+/**
+ * Decline the order offer a rider holds and move on to the next rider.
+ *
+ * @param {string} orderId - Order id
+ * @param {object} rider - Rider document
+ * @param {object} [io] - Socket.IO server
+ * @returns {Promise<object|null>} The order, or null if the rider holds no
+ * offer for it
+ */
+export const declineOffer = async (orderId, rider, io) => {
+  const declined = await closeOffer(Order, orderId, rider._id, "declined");
+  if (!declined) return null;
+
+  await offerNextRider(declined, io);
+  return declined;
+};
+
+/**
+ * Decline the batch offer a rider holds and move on to the next rider.
+ *
+ * @param {string} batchId - DeliveryBatch id
+ * @param {object} rider - Rider document
+ * @param {object} [io] - Socket.IO server
+ * @returns {Promise<object|null>} The batch, or null if the rider holds no
+ * offer for it
+ */
+export const declineBatchOffer = async (batchId, rider, io) => {
+  const declined = await closeOffer(
+    DeliveryBatch,
+    batchId,
+    rider._id,
+    "declined",
+  );
+  if (!declined) return null;
+
+  await offerNextRider(declined, io);
+  return declined;
+};
+
+/**
+ * Atomically give a ready order to a rider: either the rider holding its
+ * offer, or any rider when no one holds one. Riders limited to zones can
+ * only claim orders delivered inside them. Batched orders can only be
+ * claimed with their batch.
+ *
+ * @param {string} orderId - Order id
+ * @param {object} rider - Rider document
+ * @returns {Promise<object|null>} The order with the rider set, or null if
+ * it is not available to this rider
+ */
+export const claimDelivery = async (orderId, rider) => {
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      status: "ready",
+      rider: null,
+      deliveryBatch: null,
+      "dispatch.rider": { $in: [null, rider._id] },
+      ...(await riderZoneFilter(rider)),
+    },
+    {
+      $set: {
+        rider: rider._id,
+        "dispatch.status": "accepted",
+        "dispatch.rider": null,
+        "dispatch.expiresAt": null,
+      },
+    },
+    { new: true },
+  );
+  if (claimed) {
+    await recordOfferOutcome(Order, orderId, rider._id, "accepted");
+  }
+  return claimed;
+};
+
+/**
+ * Atomically give a batch to a rider, on the same terms as claimDelivery,
+ * then assign the rider to each of its orders still waiting. Only one
+ * rider can win the batch, so its orders cannot be split between riders.
+ *
+ * @param {string} batchId - DeliveryBatch id
+ * @param {object} rider - Rider document
+ * @returns {Promise<{batch: object, orders: Array}|null>} The batch and the
+ * orders assigned, or null if it is not available to this rider
+ */
+export const claimBatch = async (batchId, rider) => {
+  const available = {
+    _id: batchId,
+    status: "ready",
+    rider: null,
+    "dispatch.rider": { $in: [null, rider._id] },
+  };
+
+  const batch = await DeliveryBatch.findOne(available);
+  if (!batch) return null;
+
+  const inZone = await Order.countDocuments({
+    _id: { $in: batch.orders },
+    ...(await riderZoneFilter(rider)),
+  });
+  if (inZone < batch.orders.length) return null;
+
+  const claimed = await DeliveryBatch.findOneAndUpdate(
+    available,
+    {
+      $set: {
+        status: "accepted",
+        rider: rider._id,
+        acceptedAt: new Date(),
+        "dispatch.status": "accepted",
+        "dispatch.rider": null,
+        "dispatch.expiresAt": null,
+      },
+    },
+    { new: true },
+  );
+  if (!claimed) return null;
+  await recordOfferOutcome(DeliveryBatch, batchId, rider._id, "accepted");
+
+  const waiting = {
+    _id: { $in: claimed.orders },
+    deliveryBatch: claimed._id,
+    status: "ready",
+    rider: null,
+  };
+  const orders = await Order.find(waiting);
+  await Order.updateMany(waiting, { $set: { rider: rider._id } });
+  orders.forEach((order) => (order.rider = rider._id));
+
+  return { batch: claimed, orders };
+};
+
+/**
+ * Move on from offers nobody answered in time, and retry orders and
+ * batches left between offers (e.g. by a restart).
+ *
+ * @param {object} [io] - Socket.IO server
+ * @returns {Promise<number>} Orders and batches moved on
+ */
+export const advanceDueDispatches = async (io) => {
+  let advanced = 0;
+
+  for (const Model of [Order, DeliveryBatch]) {
+    const due = await Model.find({
+      status: "ready",
+      rider: null,
+      "dispatch.status": { $in: ["searching", "offering"] },
+      "dispatch.expiresAt": { $lte: new Date() },
+    }).select("dispatch");
+
+    for (const target of due) {
+      try {
+        const waiting =
+          target.dispatch.status === "offering"
+            ? await closeOffer(
+                Model,
+                target._id,
+                target.dispatch.rider,
+                "expired",
+              )
+            : await Model.findOneAndUpdate(
+                {
+                  _id: target._id,
+                  "dispatch.status": "searching",
+                  "dispatch.expiresAt": target.dispatch.expiresAt,
+                },
+                { $set: { "dispatch.expiresAt": offerExpiry() } },
+                { new: true },
+              );
+        if (!waiting) continue;
+
+        await offerNextRider(waiting, io);
+        advanced += 1;
+      } catch (error) {
+        logger.error("Failed to advance dispatch", {
+          [Model === Order ? "orderId" : "batchId"]: target._id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return advanced;
+};
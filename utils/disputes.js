@@ -0,0 +1,409 @@
+import Dispute from "../models/Dispute.js";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import Transaction from "../models/Transaction.js";
+import stripe from "../config/stripe.js";
+import logger from "../config/logger.js";
+import { processOrderEarnings } from "../controllers/walletController.js";
+import { roundAmount } from "./pricing.js";
+import { applyRefundToOrder } from "./refunds.js";
+import {
+  INSUFFICIENT_FUNDS,
+  STRIPE_CLEARING,
+  credit,
+  debit,
+  recordWalletTransaction,
+  walletAccount,
+} from "./ledger.js";
+import {
+  cancelPendingEarnings,
+  syncEarningsBalances,
+} from "./settlements.js";
+
+export const OPEN_DISPUTE_STATUSES = [
+  "warning_needs_response",
+  "warning_under_review",
+  "needs_response",
+  "under_review",
+];
+
+export const NEEDS_RESPONSE_STATUSES = [
+  "warning_needs_response",
+  "needs_response",
+];
+
+// An inquiry that closes without becoming a chargeback counts as won
+const WON_STATUSES = ["won", "warning_closed"];
+
+// Evidence fields admins may send to Stripe, by kind
+export const EVIDENCE_TEXT_FIELDS = [
+  "product_description",
+  "customer_name",
+  "customer_email_address",
+  "billing_address",
+  "shipping_address",
+  "service_date",
+  "refund_policy_disclosure",
+  "refund_refusal_explanation",
+  "cancellation_rebuttal",
+  "access_activity_log",
+  "uncategorized_text",
+];
+
+export const EVIDENCE_FILE_FIELDS = [
+  "receipt",
+  "customer_communication",
+  "service_documentation",
+  "shipping_documentation",
+  "refund_policy",
+  "uncategorized_file",
+];
+
+const DESCRIPTIONS = {
+  dispute_hold: (order) =>
+    `Earnings on hold for disputed order ${order.orderNumber}`,
+  dispute_release: (order) =>
+    `Held earnings released for order ${order.orderNumber}`,
+  dispute_loss: (order) =>
+    `Held earnings forfeited for order ${order.orderNumber}`,
+};
+
+const addTimelineNote = (order, notes) =>
+  Order.updateOne(
+    { _id: order._id },
+    {
+      $push: {
+        timeline: { status: order.status, timestamp: new Date(), notes },
+      },
+    },
+  );
+
+const getVendorUser = async (order) => {
+  const vendor = await Vendor.findById(order.vendor).select("user");
+  return vendor ? User.findById(vendor.user).select("role wallet") : null;
+};
+
+// Move earnings between the vendor's wallet balances and record it
+const recordWalletMove = (user, dispute, order, { type, amount, lines }) =>
+  recordWalletTransaction(
+    {
+      user: user._id,
+      type,
+      amount,
+      status: "completed",
+      description: DESCRIPTIONS[type](order),
+      metadata: {
+        orderId: order._id,
+        disputeId: dispute._id,
+      },
+      processedAt: new Date(),
+    },
+    lines,
+  );
+
+/**
+ * Put the vendor's earnings for a disputed order on hold. Earnings already
+ * available move from the available to the held wallet balance, as far as
+ * the vendor still has them. Earnings not credited yet or still pending are
+ * withheld until the outcome.
+ *
+ * @param {object} dispute - Dispute document with hold.status "pending"
+ * @param {object} order - Disputed order
+ */
+export const holdVendorEarnings = async (dispute, order) => {
+  const claimed = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, "hold.status": "pending" },
+    { $set: { "hold.status": "held", "hold.placedAt": new Date() } },
+    { new: true },
+  );
+  if (!claimed) return dispute;
+
+  const vendorUser = await getVendorUser(order);
+  const pendingEarnings =
+    vendorUser &&
+    (await Transaction.exists({
+      user: vendorUser._id,
+      type: "earning",
+      status: "pending",
+      "metadata.orderId": order._id,
+    }));
+
+  if (!order.items.some((item) => item.withdrawn) || pendingEarnings) {
+    claimed.hold.earningsWithheld = true;
+    return claimed.save();
+  }
+
+  if (!vendorUser) return claimed;
+
+  const earnings = roundAmount(order.calculateEarnings().vendorEarnings);
+  let amount = roundAmount(Math.min(earnings, vendorUser.wallet.balance));
+
+  if (amount > 0) {
+    try {
+      await recordWalletMove(vendorUser, claimed, order, {
+        type: "dispute_hold",
+        amount,
+        lines: [
+          debit(walletAccount(vendorUser), amount),
+          credit(walletAccount(vendorUser, "held"), amount),
+        ],
+      });
+      await syncEarningsBalances(vendorUser._id);
+    } catch (error) {
+      // The balance was spent in the meantime
+      if (error.code !== INSUFFICIENT_FUNDS) throw error;
+      amount = 0;
+    }
+  }
+
+  claimed.hold.amount = amount;
+  claimed.hold.shortfall = roundAmount(Math.max(earnings - amount, 0));
+  return claimed.save();
+};
+
+/**
+ * Settle a closed dispute's hold: a won dispute returns the held earnings
+ * (or pays the withheld ones), a lost one forfeits them.
+ *
+ * @param {object} dispute - Dispute document
+ * @param {string} status - Final Stripe dispute status
+ */
+export const resolveDispute = async (dispute, status) => {
+  const won = WON_STATUSES.includes(status);
+  const resolved = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, "hold.status": "held" },
+    {
+      $set: {
+        status,
+        closedAt: new Date(),
+        "hold.status": won ? "released" : "forfeited",
+        "hold.resolvedAt": new Date(),
+      },
+    },
+    { new: true },
+  );
+  if (!resolved) return;
+
+  const order = await Order.findById(resolved.order);
+  if (!order) return;
+  const { amount, earningsWithheld } = resolved.hold;
+
+  if (amount > 0) {
+    const vendorUser = await getVendorUser(order);
+    if (vendorUser) {
+      // A lost dispute's money went back to the customer through Stripe
+      await recordWalletMove(vendorUser, resolved, order, {
+        type: won ? "dispute_release" : "dispute_loss",
+        amount,
+        lines: [
+          debit(walletAccount(vendorUser, "held"), amount),
+          credit(won ? walletAccount(vendorUser) : STRIPE_CLEARING, amount),
+        ],
+      });
+      await syncEarningsBalances(vendorUser._id);
+    }
+  } else if (earningsWithheld && won) {
+    // Credited now if the order was delivered while the dispute was open;
+    // pending earnings are released by the settlement job as usual
+    await processOrderEarnings(order._id);
+  } else if (earningsWithheld) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { "items.$[].withdrawn": true } },
+    );
+    const vendorUser = await getVendorUser(order);
+    if (vendorUser) await cancelPendingEarnings(order._id, vendorUser._id);
+  }
+
+  // The bank returned the disputed amount to the customer, so it can no
+  // longer be refunded
+  if (!won) {
+    const returned = Math.min(
+      resolved.amount,
+      order.pricing.total - (order.refundAmount || 0),
+    );
+    if (returned > 0) await applyRefundToOrder(order._id, returned);
+  }
+
+  await addTimelineNote(
+    order,
+    won ? "Payment dispute won" : "Payment dispute lost",
+  );
+
+  logger.info("Payment dispute closed", {
+    disputeId: resolved.stripeDisputeId,
+    orderId: order._id,
+    status,
+    heldAmount: amount,
+  });
+};
+
+/**
+ * Record a new Stripe dispute against every order its payment covered and
+ * hold the vendors' earnings for them.
+ *
+ * @param {object} stripeDispute - Stripe dispute object
+ */
+export const openDispute = async (stripeDispute) => {
+  const orders = await Order.find({
+    "paymentInfo.stripePaymentIntentId": stripeDispute.payment_intent,
+  });
+  if (orders.length === 0) {
+    logger.warn("Dispute for unknown payment", {
+      disputeId: stripeDispute.id,
+      paymentIntentId: stripeDispute.payment_intent,
+    });
+    return;
+  }
+
+  // Split the disputed amount across the orders the payment covered
+  let remaining = stripeDispute.amount / 100;
+  for (const order of orders) {
+    const amount = roundAmount(
+      Math.min(order.pricing.total - (order.refundAmount || 0), remaining),
+    );
+    remaining = roundAmount(remaining - amount);
+
+    let dispute;
+    try {
+      dispute = await Dispute.create({
+        stripeDisputeId: stripeDispute.id,
+        stripeChargeId: stripeDispute.charge,
+        paymentIntentId: stripeDispute.payment_intent,
+        order: order._id,
+        customer: order.customer,
+        vendor: order.vendor,
+        amount: Math.max(amount, 0),
+        currency: stripeDispute.currency?.toUpperCase(),
+        reason: stripeDispute.reason,
+        status: stripeDispute.status,
+        evidenceDueBy: stripeDispute.evidence_details?.due_by
+          ? new Date(stripeDispute.evidence_details.due_by * 1000)
+          : null,
+      });
+      await addTimelineNote(
+        order,
+        `Payment disputed: ${stripeDispute.reason}`,
+      );
+    } catch (error) {
+      // Already recorded by an earlier delivery of this event
+      if (error.code !== 11000) throw error;
+      dispute = await Dispute.findOne({
+        stripeDisputeId: stripeDispute.id,
+        order: order._id,
+      });
+    }
+
+    dispute = await holdVendorEarnings(dispute, order);
+    if (!OPEN_DISPUTE_STATUSES.includes(stripeDispute.status)) {
+      await resolveDispute(dispute, stripeDispute.status);
+    }
+  }
+
+  logger.warn("Payment disputed", {
+    disputeId: stripeDispute.id,
+    paymentIntentId: stripeDispute.payment_intent,
+    amount: stripeDispute.amount / 100,
+    reason: stripeDispute.reason,
+    orders: orders.length,
+  });
+};
+
+/**
+ * Apply a Stripe dispute update, settling the holds once it closes.
+ *
+ * @param {object} stripeDispute - Stripe dispute object
+ */
+export const syncDispute = async (stripeDispute) => {
+  const disputes = await Dispute.find({ stripeDisputeId: stripeDispute.id });
+  if (disputes.length === 0) {
+    // The created event has not arrived (or failed); record it now
+    await openDispute(stripeDispute);
+    return;
+  }
+
+  if (!OPEN_DISPUTE_STATUSES.includes(stripeDispute.status)) {
+    for (const dispute of disputes) {
+      await resolveDispute(dispute, stripeDispute.status);
+    }
+    return;
+  }
+
+  await Dispute.updateMany(
+    { stripeDisputeId: stripeDispute.id, closedAt: null },
+    {
+      $set: {
+        status: stripeDispute.status,
+        evidenceDueBy: stripeDispute.evidence_details?.due_by
+          ? new Date(stripeDispute.evidence_details.due_by * 1000)
+          : null,
+      },
+    },
+  );
+};
+
+/**
+ * Send evidence for a dispute to Stripe. Files are uploaded to Stripe first
+ * and referenced by id; without `submit` the evidence is only staged.
+ *
+ * @param {object} dispute - Dispute document
+ * @param {object} evidence - Evidence text, keyed by Stripe field name
+ * @param {Array} files - Multer files, fieldname being a Stripe field name
+ * @param {object} options
+ * @param {boolean} options.submit - Submit the evidence to the bank
+ * @param {string} options.userId - Admin submitting the evidence
+ * @returns {Promise<object>} The updated dispute
+ */
+export const submitDisputeEvidence = async (
+  dispute,
+  evidence,
+  files,
+  { submit, userId },
+) => {
+  const stripeEvidence = {};
+  for (const field of EVIDENCE_TEXT_FIELDS) {
+    if (evidence[field]) stripeEvidence[field] = evidence[field];
+  }
+
+  const uploaded = [];
+  for (const file of files) {
+    const stripeFile = await stripe.files.create({
+      purpose: "dispute_evidence",
+      file: {
+        data: file.buffer,
+        name: file.originalname,
+        type: "application/octet-stream",
+      },
+    });
+    stripeEvidence[file.fieldname] = stripeFile.id;
+    uploaded.push({
+      field: file.fieldname,
+      filename: file.originalname,
+      stripeFileId: stripeFile.id,
+    });
+  }
+
+  const stripeDispute = await stripe.disputes.update(dispute.stripeDisputeId, {
+    evidence: stripeEvidence,
+    submit,
+  });
+
+  // Evidence is per Stripe dispute, so it applies to every order it covers
+  await Dispute.updateMany(
+    { stripeDisputeId: dispute.stripeDisputeId },
+    {
+      $set: { status: stripeDispute.status },
+      $push: {
+        evidenceSubmissions: {
+          fields: Object.keys(stripeEvidence),
+          files: uploaded,
+          submitted: submit,
+          submittedBy: userId,
+        },
+      },
+    },
+  );
+
+  return Dispute.findById(dispute._id);
+};
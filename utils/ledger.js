@@ -0,0 +1,408 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import JournalEntry from "../models/JournalEntry.js";
+import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import Rider from "../models/Rider.js";
+import { roundAmount } from "./pricing.js";
+
+// System accounts, the other side of every wallet movement
+export const STRIPE_CLEARING = { account: "stripe_clearing" };
+export const PLATFORM_COMMISSION = { account: "platform_commission" };
+export const CASH_CLEARING = { account: "cash_clearing" };
+export const PAYOUT_CLEARING = { account: "payout_clearing" };
+export const OPENING_BALANCE = { account: "opening_balance" };
+
+export const INSUFFICIENT_FUNDS = "INSUFFICIENT_FUNDS";
+
+const WALLET_ACCOUNTS = {
+  customer: "customer_wallet",
+  vendor: "vendor_wallet",
+  rider: "rider_wallet",
+};
+
+// The User.wallet field caching each bucket's balance
+const WALLET_FIELDS = {
+  available: "balance",
+  pending: "pendingBalance",
+  held: "heldBalance",
+};
+
+const BUCKETS = Object.keys(WALLET_FIELDS);
+
+/**
+ * The wallet account of a user, for one of their wallet balances.
+ *
+ * @param {object} user - User document (needs _id and role)
+ * @param {string} [bucket] - "available", "pending" or "held"
+ * @returns {object}
+ */
+export const walletAccount = (user, bucket = "available") => ({
+  account: WALLET_ACCOUNTS[user.role] || "customer_wallet",
+  user: user._id,
+  bucket,
+});
+
+export const debit = (account, amount) => ({
+  ...account,
+  debit: roundAmount(amount),
+  credit: 0,
+});
+
+export const credit = (account, amount) => ({
+  ...account,
+  debit: 0,
+  credit: roundAmount(amount),
+});
+
+/**
+ * Run fn in a MongoDB transaction, so the journal entry, the cached wallet
+ * balances and the Transaction records are written together or not at all.
+ *
+ * @param {Function} fn - Receives the session; retried on transient errors
+ * @returns {Promise<*>} What fn returned
+ */
+export const withLedgerTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Net change of each user's wallet balances from a set of lines
+const getWalletChanges = (lines) => {
+  const changes = new Map();
+  for (const line of lines) {
+    if (!line.user) continue;
+    const userId = line.user.toString();
+    const field = `wallet.${WALLET_FIELDS[line.bucket]}`;
+    const userChanges = changes.get(userId) || {};
+    userChanges[field] = roundAmount(
+      (userChanges[field] || 0) + line.credit - line.debit
+    );
+    changes.set(userId, userChanges);
+  }
+  return changes;
+};
+
+/**
+ * Post a balanced journal entry and apply it to the cached wallet balances.
+ * Posting the same reference again does nothing. A wallet balance never
+ * goes below zero: the entry is refused instead.
+ *
+ * @param {object} entry
+ * @param {string} entry.reference - Unique reference of the event
+ * @param {string} entry.type - Kind of movement, e.g. "top_up"
+ * @param {string} entry.description
+ * @param {Array} entry.lines - Lines built with debit() and credit()
+ * @param {string} [entry.order] - Order id
+ * @param {string} [entry.transaction] - Transaction id
+ * @param {object} session - Session from withLedgerTransaction
+ * @returns {Promise<{entry: object, wallets: object, duplicate?: boolean}>}
+ * The entry and the updated wallets, keyed by user id
+ */
+export const postJournalEntry = async (entry, session) => {
+  const existing = await JournalEntry.findOne({
+    reference: entry.reference,
+  }).session(session);
+  if (existing) return { entry: existing, wallets: {}, duplicate: true };
+
+  const [created] = await JournalEntry.create([entry], { session });
+
+  const wallets = {};
+  for (const [userId, changes] of getWalletChanges(entry.lines)) {
+    const guard = {};
+    for (const [field, change] of Object.entries(changes)) {
+      if (change < 0) guard[field] = { $gte: -change };
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, ...guard },
+      { $inc: changes },
+      { new: true, session }
+    ).select("wallet");
+
+    if (!user) {
+      const error = new Error("Insufficient wallet balance");
+      error.code = INSUFFICIENT_FUNDS;
+      throw error;
+    }
+    wallets[userId] = user.wallet;
+  }
+
+  return { entry: created, wallets };
+};
+
+/**
+ * Create a wallet Transaction and post the journal entry behind it in one
+ * MongoDB transaction. balanceBefore and balanceAfter are the user's
+ * available balance.
+ *
+ * @param {object} fields - Transaction fields (user, type, amount, ...)
+ * @param {Array} lines - Journal lines
+ * @param {object} [options]
+ * @param {object} [options.session] - Join a transaction already running
+ * @returns {Promise<object>} The Transaction
+ */
+export const recordWalletTransaction = async (
+  fields,
+  lines,
+  { session } = {}
+) => {
+  const run = async (session) => {
+    const [transaction] = await Transaction.create(
+      [
+        {
+          reference: uuidv4(),
+          ...fields,
+          balanceBefore: 0,
+          balanceAfter: 0,
+        },
+      ],
+      { session }
+    );
+
+    const { wallets } = await postJournalEntry(
+      {
+        reference: transaction.reference,
+        type: transaction.type,
+        description: transaction.description,
+        order: transaction.metadata?.orderId,
+        transaction: transaction._id,
+        lines,
+      },
+      session
+    );
+
+    const userId = transaction.user.toString();
+    const wallet =
+      wallets[userId] ||
+      (await User.findById(userId).select("wallet").session(session)).wallet;
+    const change =
+      getWalletChanges(lines).get(userId)?.["wallet.balance"] || 0;
+
+    transaction.balanceAfter = wallet.balance;
+    transaction.balanceBefore = roundAmount(wallet.balance - change);
+    return transaction.save({ session });
+  };
+
+  if (session) return run(session);
+
+  const transaction = await withLedgerTransaction(run);
+  // Detach it from the ended session so it can still be saved later
+  transaction.$session(null);
+  return transaction;
+};
+
+/**
+ * A user's wallet balances as the journal has them.
+ *
+ * @param {string} userId - User id
+ * @returns {Promise<{available: number, pending: number, held: number}>}
+ */
+export const getLedgerBalances = async (userId) => {
+  const totals = await JournalEntry.aggregate([
+    { $match: { "lines.user": new mongoose.Types.ObjectId(userId) } },
+    { $unwind: "$lines" },
+    { $match: { "lines.user": new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: "$lines.bucket",
+        balance: { $sum: { $subtract: ["$lines.credit", "$lines.debit"] } },
+      },
+    },
+  ]);
+
+  const balances = { available: 0, pending: 0, held: 0 };
+  for (const total of totals) balances[total._id] = roundAmount(total.balance);
+  return balances;
+};
+
+/**
+ * Check the journal against itself and against the cached balances: every
+ * entry balances, each wallet on User matches its journal lines, and the
+ * cash clearing account matches what riders owe.
+ *
+ * @returns {Promise<object>} Report with any mismatches found
+ */
+export const verifyLedger = async () => {
+  const unbalancedEntries = await JournalEntry.aggregate([
+    {
+      $project: {
+        reference: 1,
+        type: 1,
+        createdAt: 1,
+        debits: { $sum: "$lines.debit" },
+        credits: { $sum: "$lines.credit" },
+      },
+    },
+    {
+      $match: {
+        $expr: {
+          $gte: [{ $abs: { $subtract: ["$debits", "$credits"] } }, 0.01],
+        },
+      },
+    },
+  ]);
+
+  const accounts = await JournalEntry.aggregate([
+    { $unwind: "$lines" },
+    {
+      $group: {
+        _id: "$lines.account",
+        debits: { $sum: "$lines.debit" },
+        credits: { $sum: "$lines.credit" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const walletTotals = await JournalEntry.aggregate([
+    { $unwind: "$lines" },
+    { $match: { "lines.user": { $ne: null } } },
+    {
+      $group: {
+        _id: { user: "$lines.user", bucket: "$lines.bucket" },
+        balance: { $sum: { $subtract: ["$lines.credit", "$lines.debit"] } },
+      },
+    },
+  ]);
+
+  const ledgerWallets = new Map();
+  for (const { _id, balance } of walletTotals) {
+    const userId = _id.user.toString();
+    const wallet = ledgerWallets.get(userId) || {};
+    wallet[_id.bucket] = roundAmount(balance);
+    ledgerWallets.set(userId, wallet);
+  }
+
+  // Users with journal lines or any cached balance
+  const users = await User.find({
+    $or: [
+      { _id: { $in: [...ledgerWallets.keys()] } },
+      { "wallet.balance": { $ne: 0 } },
+      { "wallet.pendingBalance": { $ne: 0 } },
+      { "wallet.heldBalance": { $ne: 0 } },
+    ],
+  }).select("firstName lastName email role wallet");
+
+  const walletMismatches = [];
+  for (const user of users) {
+    const ledger = ledgerWallets.get(user._id.toString()) || {};
+    const differences = {};
+    for (const bucket of BUCKETS) {
+      const cached = roundAmount(user.wallet[WALLET_FIELDS[bucket]] || 0);
+      const journal = ledger[bucket] || 0;
+      if (Math.abs(cached - journal) >= 0.01) {
+        differences[bucket] = { cached, ledger: journal };
+      }
+    }
+    if (Object.keys(differences).length > 0) {
+      walletMismatches.push({
+        user: {
+          _id: user._id,
+          name: `${user.firstName} ${user.lastName}`,
+          email: user.email,
+          role: user.role,
+        },
+        differences,
+      });
+    }
+  }
+
+  const cashAccount = accounts.find(({ _id }) => _id === "cash_clearing");
+  const cashInLedger = roundAmount(
+    cashAccount ? cashAccount.debits - cashAccount.credits : 0
+  );
+  const [cashOwed] = await Rider.aggregate([
+    { $group: { _id: null, total: { $sum: "$cashOwed" } } },
+  ]);
+  const riderCashOwed = roundAmount(cashOwed?.total || 0);
+
+  return {
+    balanced:
+      unbalancedEntries.length === 0 &&
+      walletMismatches.length === 0 &&
+      Math.abs(cashInLedger - riderCashOwed) < 0.01,
+    entries: await JournalEntry.countDocuments(),
+    walletsChecked: users.length,
+    accounts: accounts.map(({ _id, debits, credits }) => ({
+      account: _id,
+      debits: roundAmount(debits),
+      credits: roundAmount(credits),
+      balance: roundAmount(credits - debits),
+    })),
+    cash: { ledger: cashInLedger, riderCashOwed },
+    unbalancedEntries,
+    walletMismatches,
+  };
+};
+
+// Lines moving an account from the balance it has in the journal to the
+// balance it should have, against the opening balance account
+const openingLines = (account, gap) =>
+  gap > 0
+    ? [credit(account, gap), debit(OPENING_BALANCE, gap)]
+    : [debit(account, -gap), credit(OPENING_BALANCE, -gap)];
+
+/**
+ * Bring balances from before the ledger existed into the journal: each
+ * wallet, and the cash riders owe, gets an opening balance entry for
+ * whatever its journal lines do not explain yet. Running it again only
+ * posts what is still missing.
+ *
+ * @returns {Promise<{wallets: number, cash: number}>} Wallets brought in,
+ * and the cash clearing amount posted
+ */
+export const postOpeningBalances = async () => {
+  const users = await User.find({
+    $or: [
+      { "wallet.balance": { $ne: 0 } },
+      { "wallet.pendingBalance": { $ne: 0 } },
+      { "wallet.heldBalance": { $ne: 0 } },
+    ],
+  }).select("role wallet");
+
+  // The cached balances already hold these amounts, so only the journal
+  // entries are written
+  const stamp = Date.now();
+  let wallets = 0;
+  for (const user of users) {
+    const ledger = await getLedgerBalances(user._id);
+    const lines = BUCKETS.flatMap((bucket) => {
+      const gap = roundAmount(
+        (user.wallet[WALLET_FIELDS[bucket]] || 0) - ledger[bucket]
+      );
+      return gap === 0 ? [] : openingLines(walletAccount(user, bucket), gap);
+    });
+    if (lines.length === 0) continue;
+
+    await JournalEntry.create({
+      reference: `opening_${user._id}_${stamp}`,
+      type: "opening_balance",
+      description: "Wallet balance brought into the ledger",
+      lines,
+    });
+    wallets += 1;
+  }
+
+  const { cash } = await verifyLedger();
+  const gap = roundAmount(cash.riderCashOwed - cash.ledger);
+  if (gap !== 0) {
+    // Cash clearing is an asset, so its lines go the other way round
+    await JournalEntry.create({
+      reference: `opening_cash_${stamp}`,
+      type: "opening_balance",
+      description: "Cash held by riders brought into the ledger",
+      lines: openingLines(CASH_CLEARING, -gap),
+    });
+  }
+
+  return { wallets, cash: gap };
+};
@@ -0,0 +1,268 @@
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import Rider from "../models/Rider.js";
+import { processOrderEarnings } from "../controllers/walletController.js";
+import { releaseCoupon } from "./coupons.js";
+import { releaseOrderSlots } from "./deliverySlots.js";
+import { startDispatch } from "./dispatch.js";
+import { closeBatchIfDone } from "./batches.js";
+import { sendPushToUser, OrderNotifications } from "./pushNotification.js";
+import logger from "../config/logger.js";
+
+// Statuses that only make sense once a rider is assigned
+export const RIDER_STATUSES = [
+  "accepted",
+  "picked_up",
+  "on_the_way",
+  "arrived",
+];
+
+// Allowed transitions per actor role: { fromStatus: [toStatus, ...] }
+export const ORDER_TRANSITIONS = {
+  customer: {
+    pending: ["cancelled"],
+    confirmed: ["cancelled"],
+    preparing: ["cancelled"],
+  },
+  vendor: {
+    pending: ["confirmed", "cancelled"],
+    confirmed: ["preparing", "cancelled"],
+    preparing: ["ready", "cancelled"],
+  },
+  rider: {
+    ready: ["accepted"],
+    accepted: ["picked_up"],
+    picked_up: ["on_the_way"],
+    on_the_way: ["arrived"],
+    arrived: ["delivered"],
+  },
+  // Payment webhooks and background jobs
+  system: {
+    pending: ["confirmed", "cancelled"],
+  },
+};
+
+// Admins can make any vendor or rider move, cancel any open order and
+// close out a delivery the rider could not complete in the app
+ORDER_TRANSITIONS.admin = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["preparing", "cancelled"],
+  preparing: ["ready", "cancelled"],
+  ready: ["accepted", "cancelled"],
+  accepted: ["picked_up", "delivered", "cancelled"],
+  picked_up: ["on_the_way", "delivered", "cancelled"],
+  on_the_way: ["arrived", "delivered", "cancelled"],
+  arrived: ["delivered", "cancelled"],
+};
+ORDER_TRANSITIONS.manager = ORDER_TRANSITIONS.admin;
+
+/**
+ * Check whether an actor may move an order to a new status.
+ *
+ * @param {object} order - Order document
+ * @param {string} status - Target status
+ * @param {string} role - Actor role (customer, vendor, rider, admin, manager, system)
+ * @returns {string|null} Reason the transition is not allowed, or null
+ */
+export const getTransitionError = (order, status, role) => {
+  const allowed = ORDER_TRANSITIONS[role]?.[order.status] || [];
+
+  if (!allowed.includes(status)) {
+    return `Cannot change order from ${order.status} to ${status}`;
+  }
+
+  if (RIDER_STATUSES.includes(status) && !order.rider) {
+    return "Order has no rider assigned";
+  }
+
+  return null;
+};
+
+// Completed delivery: update rider stats and pay out
+const onDelivered = async (order) => {
+  const rider = await Rider.findById(order.rider?._id || order.rider);
+  if (rider) {
+    rider.metrics.completedDeliveries += 1;
+    rider.metrics.totalDeliveries += 1;
+    await rider.save();
+  }
+
+  // Credits rider and vendor earnings as pending. Reads the saved order, so
+  // it must run after the status is persisted
+  await processOrderEarnings(order._id);
+};
+
+const cancelledByLabel = (role) => {
+  if (role === "vendor") return "the vendor";
+  if (role === "customer") return "the customer";
+  if (role === "system") return "the system";
+  return "admin";
+};
+
+const notifyTransition = async (order, status, role) => {
+  // order.customer / order.vendor may be populated by the caller
+  const customerDoc = await Customer.findById(
+    order.customer?._id || order.customer,
+  );
+  const customerUserId = customerDoc?.user;
+  const vendorDoc = await Vendor.findById(order.vendor?._id || order.vendor);
+
+  const notifyCustomer = async (notif, priority = "medium") => {
+    if (!customerUserId) return;
+    await sendPushToUser(customerUserId, {
+      title: notif.title,
+      body: notif.body,
+      data: notif.data,
+      type: "order_status",
+      priority,
+    });
+  };
+
+  const notifyVendor = async (notif) => {
+    if (!vendorDoc) return;
+    await sendPushToUser(vendorDoc.user, {
+      title: notif.title,
+      body: notif.body,
+      data: notif.data,
+      type: "order_status",
+    });
+  };
+
+  switch (status) {
+    case "confirmed":
+      await notifyCustomer(OrderNotifications.orderConfirmed(order));
+      break;
+    case "preparing":
+      await notifyCustomer(OrderNotifications.orderPreparing(order));
+      break;
+    case "ready":
+      await notifyCustomer(OrderNotifications.orderReady(order));
+      break;
+    case "accepted": {
+      const rider = await Rider.findById(order.rider).populate(
+        "user",
+        "firstName lastName",
+      );
+      const riderName = rider?.user
+        ? `${rider.user.firstName} ${rider.user.lastName}`
+        : "A rider";
+      await notifyCustomer(
+        OrderNotifications.riderAccepted(order, riderName),
+        "high",
+      );
+      await notifyVendor(
+        OrderNotifications.riderAcceptedForVendor(order, riderName),
+      );
+      break;
+    }
+    case "picked_up":
+      await notifyCustomer(OrderNotifications.orderPickedUp(order));
+      break;
+    case "on_the_way":
+      await notifyCustomer(OrderNotifications.orderOnTheWay(order));
+      break;
+    case "arrived":
+      await notifyCustomer(OrderNotifications.riderArrived(order), "high");
+      break;
+    case "delivered":
+      await notifyCustomer(OrderNotifications.orderDelivered(order), "high");
+      await notifyVendor(OrderNotifications.orderDeliveredForVendor(order));
+      break;
+    case "cancelled": {
+      const notif = OrderNotifications.orderCancelled(
+        order,
+        cancelledByLabel(role),
+      );
+      if (role !== "customer") await notifyCustomer(notif, "high");
+      if (role !== "vendor") await notifyVendor(notif);
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+/**
+ * Move an order to a new status. Callers check getTransitionError first.
+ * Appends to the timeline, saves, then runs the side effects for the new
+ * status: earnings on delivery, coupon and delivery slot release on
+ * cancellation, closing out the order's delivery batch, rider dispatch
+ * when ready, the orderStatusUpdate socket event and push notifications.
+ *
+ * @param {object} order - Order document
+ * @param {string} status - Target status
+ * @param {object} options
+ * @param {string} options.role - Actor role
+ * @param {string} [options.userId] - User making the change
+ * @param {string} [options.notes] - Timeline note
+ * @param {object} [options.io] - Socket.IO server (req.io)
+ * @returns {Promise<object>} The saved order
+ */
+export const transitionOrder = async (
+  order,
+  status,
+  { role, userId, notes, io },
+) => {
+  const previousStatus = order.status;
+
+  order.status = status;
+  order.timeline.push({
+    status,
+    timestamp: new Date(),
+    updatedBy: userId,
+    notes,
+  });
+  if (status === "delivered") {
+    order.deliveryInfo.actualDeliveryTime = new Date();
+  }
+  await order.save();
+
+  if (status === "delivered") {
+    await onDelivered(order);
+  }
+
+  if (status === "cancelled") {
+    await releaseCoupon(order.coupon?.id);
+    await releaseOrderSlots(order);
+  }
+
+  // A batch's rider is paid once all of its orders are done
+  if (order.deliveryBatch && ["delivered", "cancelled"].includes(status)) {
+    await closeBatchIfDone(order.deliveryBatch);
+  }
+
+  // Offer the order to riders one at a time. The transition has happened
+  // either way; riders can still find the order in their available list
+  if (status === "ready") {
+    try {
+      await startDispatch(order, io);
+    } catch (error) {
+      logger.error("Failed to start dispatch", {
+        error: error.message,
+        orderId: order._id,
+      });
+    }
+  }
+
+  if (io) {
+    io.to(`order_${order._id}`).emit("orderStatusUpdate", {
+      orderId: order._id,
+      status,
+      previousStatus,
+      timestamp: new Date(),
+    });
+  }
+
+  // Notifications are best effort; the transition has already happened
+  try {
+    await notifyTransition(order, status, role);
+  } catch (error) {
+    logger.error("Failed to send order status notifications", {
+      error: error.message,
+      orderId: order._id,
+      status,
+    });
+  }
+
+  return order;
+};
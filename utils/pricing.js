@@ -0,0 +1,202 @@
+import User from "../models/User.js";
+import FeeRule from "../models/FeeRule.js";
+import { calculateDistance } from "./helpers.js";
+import { hasLocation, resolveAddressZone } from "./zones.js";
+
+// Fallback fee rules, used when no FeeRule matches the delivery address
+export const DEFAULT_FEE_RULES = {
+  baseDeliveryFee: 5, // flat fee before distance is applied
+  perKmRate: 2, // charged per started kilometre
+  minimumDeliveryFee: 5,
+  freeDeliveryThreshold: 0, // subtotal above which delivery is free, 0 = off
+  serviceFeePercentage: 3, // % of item subtotal
+  taxPercentage: 5, // % of discounted item subtotal + service fee
+  commissionPercentage: 3, // % of order total kept by the platform
+};
+
+const RULE_FIELDS = Object.keys(DEFAULT_FEE_RULES);
+
+// How specific a rule is; zone beats city, city beats state
+const ruleSpecificity = (rule) =>
+  (rule.zone ? 4 : 0) + (rule.city ? 2 : 0) + (rule.state ? 1 : 0);
+
+const matchesRegion = (ruleValue, addressValue) =>
+  !ruleValue || ruleValue === addressValue?.trim().toLowerCase();
+
+/**
+ * Resolve the fee rules for a delivery address. Picks the most specific
+ * active FeeRule whose zone, city and state all match the address and fills
+ * any gaps from DEFAULT_FEE_RULES. The zone is the delivery Zone the
+ * address's coordinates fall in, unless the address names one.
+ *
+ * @param {object} [address] - Delivery address ({ city, state, zone, coordinates })
+ * @returns {Promise<object>} Fee rules, with feeRule set to the matched rule's _id (or null)
+ * and zone to the delivery Zone's _id (or null)
+ */
+export const getFeeRules = async (address = {}) => {
+  const rules = await FeeRule.find({ isActive: true }).lean();
+  const zone = await resolveAddressZone(address);
+  const zoneCode = address.zone || zone?.code;
+
+  const match = rules
+    .filter(
+      (rule) =>
+        matchesRegion(rule.zone, zoneCode) &&
+        matchesRegion(rule.city, address.city) &&
+        matchesRegion(rule.state, address.state),
+    )
+    .sort((a, b) => ruleSpecificity(b) - ruleSpecificity(a))[0];
+
+  if (!match) {
+    return { ...DEFAULT_FEE_RULES, feeRule: null, zone: zone?._id || null };
+  }
+
+  const resolved = { feeRule: match._id, zone: zone?._id || null };
+  RULE_FIELDS.forEach((field) => {
+    resolved[field] = match[field] ?? DEFAULT_FEE_RULES[field];
+  });
+  return resolved;
+};
+
+// Round a money value to 2 decimal places
+export const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Currency orders are priced in and every Stripe charge is made in
+export const ORDER_CURRENCY = "usd";
+
+// Resolve [longitude, latitude] for a vendor. Vendors have no location of
+// their own, so fall back to the location stored on the vendor's user account.
+export const getVendorCoordinates = async (vendor) => {
+  if (vendor.location?.coordinates) {
+    return vendor.location.coordinates;
+  }
+
+  if (vendor.user?.location?.coordinates) {
+    return vendor.user.location.coordinates;
+  }
+
+  const user = await User.findById(vendor.user).select("location");
+  return user?.location?.coordinates || [0, 0];
+};
+
+// Distance in km between a vendor and a delivery address, or null when
+// either location is unknown
+export const getDeliveryDistance = async (vendor, address) => {
+  const vendorCoordinates = await getVendorCoordinates(vendor);
+  if (!hasLocation(address?.coordinates) || !hasLocation(vendorCoordinates)) {
+    return null;
+  }
+
+  const [customerLng, customerLat] = address.coordinates;
+  const [vendorLng, vendorLat] = vendorCoordinates;
+
+  return calculateDistance(customerLat, customerLng, vendorLat, vendorLng);
+};
+
+// Delivery fee for a given distance: base fee + rate per started km
+export const calculateDeliveryFee = (
+  distance,
+  rules = DEFAULT_FEE_RULES,
+) => {
+  const fee =
+    rules.baseDeliveryFee + Math.ceil(distance || 0) * rules.perKmRate;
+  return roundAmount(Math.max(fee, rules.minimumDeliveryFee));
+};
+
+/**
+ * Build the itemized price quote for a set of items from one vendor.
+ * Checkout and order creation both call this so the price a customer sees
+ * is exactly the price they are charged.
+ *
+ * @param {object} params
+ * @param {Array<{price: number, quantity: number}>} params.items - Cart items
+ * @param {object} params.vendor - Vendor document
+ * @param {object} params.address - Delivery address with [lng, lat] coordinates
+ * @param {object} [params.rules] - Fee rules, resolved from the address when omitted
+ * @param {number} [params.discount] - Coupon discount off the item subtotal
+ * @returns {Promise<{subtotal: number, deliveryFee: number, serviceFee: number, tax: number, discount: number, total: number, distance: number|null, freeDelivery: boolean}>}
+ */
+export const calculateOrderQuote = async ({
+  items,
+  vendor,
+  address,
+  rules,
+  discount = 0,
+}) => {
+  const feeRules = rules || (await getFeeRules(address));
+  const subtotal = roundAmount(
+    items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+  );
+
+  const distance = await getDeliveryDistance(vendor, address);
+
+  // Delivery is free once either the region's or the vendor's threshold is met
+  const vendorThreshold = vendor.deliveryInfo?.freeDeliveryThreshold || 0;
+  const freeDelivery =
+    (feeRules.freeDeliveryThreshold > 0 &&
+      subtotal >= feeRules.freeDeliveryThreshold) ||
+    (vendorThreshold > 0 && subtotal >= vendorThreshold);
+  const deliveryFee = freeDelivery
+    ? 0
+    : calculateDeliveryFee(distance, feeRules);
+  const serviceFee = roundAmount(
+    subtotal * (feeRules.serviceFeePercentage / 100),
+  );
+  // Tax is charged on what the customer actually pays for items
+  const tax = roundAmount(
+    (subtotal - discount + serviceFee) * (feeRules.taxPercentage / 100),
+  );
+
+  return {
+    subtotal,
+    deliveryFee,
+    serviceFee,
+    tax,
+    discount,
+    total: roundAmount(subtotal + deliveryFee + serviceFee + tax - discount),
+    distance: distance === null ? null : roundAmount(distance),
+    freeDelivery,
+  };
+};
+
+/**
+ * Check a quote against the vendor's delivery settings.
+ * Each violation carries a stable code so the app can explain why checkout
+ * failed.
+ *
+ * @param {object} vendor - Vendor document
+ * @param {object} quote - Result of calculateOrderQuote
+ * @returns {Array<{code: string, message: string}>} Empty when the order is allowed
+ */
+export const getDeliveryViolations = (vendor, quote) => {
+  const { minimumOrder = 0, deliveryRadius = 0 } = vendor.deliveryInfo || {};
+  const violations = [];
+
+  if (minimumOrder > 0 && quote.subtotal < minimumOrder) {
+    violations.push({
+      code: "BELOW_MINIMUM_ORDER",
+      message: `Minimum order for ${vendor.businessName} is ${minimumOrder}`,
+      minimumOrder,
+      subtotal: quote.subtotal,
+      shortfall: roundAmount(minimumOrder - quote.subtotal),
+    });
+  }
+
+  // Without both locations the trip can be neither priced nor checked
+  // against the radius, so the order is refused
+  if (quote.distance === null) {
+    violations.push({
+      code: "ADDRESS_LOCATION_REQUIRED",
+      message: `Delivery from ${vendor.businessName} needs a delivery address with a map location`,
+    });
+  } else if (deliveryRadius > 0 && quote.distance > deliveryRadius) {
+    violations.push({
+      code: "OUTSIDE_DELIVERY_RADIUS",
+      message: `${vendor.businessName} only delivers within ${deliveryRadius} km`,
+      deliveryRadius,
+      distance: quote.distance,
+    });
+  }
+
+  return violations;
+};
@@ -221,7 +221,7 @@ export const OrderNotifications = {
     },
   }),
 
-  // Order is ready for pickup → notify customer & riders
+  // Order is ready for pickup → notify customer
   orderReady: (order) => ({
     title: "Order Ready for Pickup 📦",
     body: `Order #${order.orderNumber} is ready and waiting for a rider.`,
@@ -232,14 +232,36 @@ export const OrderNotifications = {
     },
   }),
 
-  // New delivery available → notify nearby riders
-  newDeliveryAvailable: (order, vendorName) => ({
-    title: "New Delivery Available 🚴",
-    body: `A new delivery from ${vendorName} is available near you. Tap to accept.`,
+  // Delivery offered by dispatch → notify the rider it is offered to
+  deliveryOffer: (order, vendorName, seconds) => ({
+    title: "New Delivery Offer 🚴",
+    body: `A delivery from ${vendorName} is waiting for you. Accept within ${seconds} seconds.`,
     data: {
       orderId: order._id?.toString(),
       screen: "AvailableDeliveries",
-      type: "new_delivery",
+      type: "delivery_offer",
+    },
+  }),
+
+  // Batch of orders offered by dispatch → notify the rider it is offered to
+  batchOffer: (batch, vendorName, seconds) => ({
+    title: "New Batch Offer 🚴",
+    body: `${batch.orders.length} deliveries from ${vendorName} are waiting for you. Accept within ${seconds} seconds.`,
+    data: {
+      batchId: batch._id?.toString(),
+      screen: "AvailableDeliveries",
+      type: "batch_offer",
+    },
+  }),
+
+  // No rider accepted a dispatched order → notify admins
+  dispatchFailed: (order) => ({
+    title: "Order Needs a Rider ⚠️",
+    body: `No rider accepted order #${order.orderNumber}. Assign one manually.`,
+    data: {
+      orderId: order._id?.toString(),
+      screen: "OrderDetails",
+      type: "dispatch_failed",
     },
   }),
 
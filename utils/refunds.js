@@ -0,0 +1,399 @@
+import { v4 as uuidv4 } from "uuid";
+import Order from "../models/Order.js";
+import Customer from "../models/Customer.js";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import stripe from "../config/stripe.js";
+import logger from "../config/logger.js";
+import { roundAmount } from "./pricing.js";
+import {
+  STRIPE_CLEARING,
+  credit,
+  debit,
+  postJournalEntry,
+  walletAccount,
+  withLedgerTransaction,
+} from "./ledger.js";
+
+// Minutes to wait before each retry of a failed refund
+const RETRY_DELAYS_MINUTES = [5, 30, 120, 720, 1440];
+
+/**
+ * Amount the customer paid for some units of an order item: the line price
+ * after its share of the discount, plus its share of service fee and tax.
+ * Delivery is only refunded when the whole order is.
+ *
+ * @param {object} order - Order document
+ * @param {object} item - Order item subdocument
+ * @param {number} quantity - Units being refunded
+ * @returns {number}
+ */
+export const calculateItemRefund = (order, item, quantity) => {
+  const { subtotal, discount = 0, serviceFee = 0, tax = 0 } = order.pricing;
+  if (!subtotal) return 0;
+
+  const share = (item.unitPrice * quantity) / subtotal;
+  return roundAmount(share * (subtotal - discount + serviceFee + tax));
+};
+
+// Refunds not yet paid out, including ones waiting in the retry queue
+const getOutstandingRefunds = async (orderId) => {
+  const [result] = await Transaction.aggregate([
+    {
+      $match: {
+        type: "refund",
+        "metadata.orderId": orderId,
+        status: { $in: ["pending", "failed"] },
+      },
+    },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+  return result?.amount || 0;
+};
+
+// How much of an order can still be refunded
+export const getRefundableAmount = async (order) =>
+  roundAmount(
+    order.pricing.total -
+      (order.refundAmount || 0) -
+      (await getOutstandingRefunds(order._id)),
+  );
+
+// Count money returned to the customer against the order; also used for
+// lost chargebacks, which return it outside of a refund
+export const applyRefundToOrder = async (orderId, amount) => {
+  const order = await Order.findById(orderId);
+  if (!order) return;
+
+  order.refundAmount = roundAmount((order.refundAmount || 0) + amount);
+  order.paymentStatus =
+    order.refundAmount >= order.pricing.total
+      ? "refunded"
+      : "partially_refunded";
+  await order.save();
+};
+
+/**
+ * Where a refund for an order should go. Refunds follow the original payment
+ * method, except that card payers may ask for wallet credit instead. Cash
+ * payments are refunded as wallet credit.
+ *
+ * @param {object} order - Order document
+ * @param {string} [requested] - "card" or "wallet", as chosen by the customer
+ * @returns {string|null} "card" or "wallet", or null if the choice is not allowed
+ */
+export const getRefundDestination = (order, requested) => {
+  const paidWith = ["wallet", "cash"].includes(order.paymentInfo?.paymentMethod)
+    ? "wallet"
+    : "card";
+
+  if (!requested || requested === paidWith) return paidWith;
+  if (requested === "wallet") return "wallet";
+  return null;
+};
+
+// A refund from an earlier attempt that reached Stripe despite the error
+const findExistingStripeRefund = async (paymentIntentId, transactionId) => {
+  const refunds = await stripe.refunds.list({
+    payment_intent: paymentIntentId,
+    limit: 100,
+  });
+  return refunds.data.find(
+    (refund) => refund.metadata?.transactionId === transactionId,
+  );
+};
+
+// Mark a refund paid out and apply it to its order. Safe to call twice for
+// the same refund, e.g. from the refund job and the Stripe webhook.
+const completeRefund = async (transaction, updates = {}) => {
+  const changes = {
+    status: "completed",
+    processedAt: new Date(),
+    failureReason: null,
+    nextRetryAt: null,
+    ...updates,
+  };
+  const result = await Transaction.updateOne(
+    { _id: transaction._id, status: { $ne: "completed" } },
+    { $set: changes },
+  );
+  transaction.set(changes);
+  if (result.modifiedCount === 0) return false;
+
+  await applyRefundToOrder(transaction.metadata.orderId, transaction.amount);
+  return true;
+};
+
+const refundToCard = async (transaction, order) => {
+  const paymentIntentId = order?.paymentInfo?.stripePaymentIntentId;
+  const transactionId = transaction._id.toString();
+
+  if (!paymentIntentId) {
+    throw new Error("Order has no card payment to refund");
+  }
+
+  let refund =
+    transaction.retryCount > 0
+      ? await findExistingStripeRefund(paymentIntentId, transactionId)
+      : null;
+
+  if (!refund) {
+    refund = await stripe.refunds.create(
+      {
+        payment_intent: paymentIntentId,
+        amount: Math.round(transaction.amount * 100),
+        metadata: {
+          orderId: order._id.toString(),
+          transactionId,
+        },
+      },
+      { idempotencyKey: `refund_${transactionId}_${transaction.retryCount}` },
+    );
+  }
+
+  return { "metadata.stripeRefundId": refund.id };
+};
+
+// The journal entry is keyed on the refund, so a retry after a crash cannot
+// credit the wallet twice
+const refundToWallet = (transaction) =>
+  withLedgerTransaction(async (session) => {
+    const user = await User.findById(transaction.user)
+      .select("role wallet")
+      .session(session);
+    const { wallets } = await postJournalEntry(
+      {
+        reference: `refund_${transaction._id}`,
+        type: "refund",
+        description: transaction.description,
+        order: transaction.metadata.orderId,
+        transaction: transaction._id,
+        lines: [
+          debit(STRIPE_CLEARING, transaction.amount),
+          credit(walletAccount(user), transaction.amount),
+        ],
+      },
+      session,
+    );
+
+    const balanceAfter = (wallets[user._id.toString()] || user.wallet).balance;
+    return {
+      balanceBefore: roundAmount(balanceAfter - transaction.amount),
+      balanceAfter,
+    };
+  });
+
+/**
+ * Pay out a pending or failed refund Transaction, to Stripe or the wallet.
+ * On failure the transaction is queued for another attempt instead of
+ * being dropped.
+ *
+ * @param {object} transaction - Refund Transaction document
+ * @returns {Promise<boolean>} Whether the refund went through
+ */
+export const processRefund = async (transaction) => {
+  const order = await Order.findById(transaction.metadata.orderId);
+  const transactionId = transaction._id.toString();
+
+  try {
+    const updates =
+      transaction.metadata.refundDestination === "wallet"
+        ? await refundToWallet(transaction)
+        : await refundToCard(transaction, order);
+
+    await completeRefund(transaction, updates);
+    return true;
+  } catch (error) {
+    const delay = RETRY_DELAYS_MINUTES[transaction.retryCount];
+
+    transaction.status = "failed";
+    transaction.failureReason = error.message;
+    transaction.nextRetryAt = delay
+      ? new Date(Date.now() + delay * 60 * 1000)
+      : null;
+    transaction.retryCount += 1;
+    await transaction.save();
+
+    logger.error("Refund failed", {
+      error: error.message,
+      orderId: transaction.metadata.orderId,
+      transactionId,
+      retryCount: transaction.retryCount,
+      willRetry: Boolean(delay),
+    });
+    return false;
+  }
+};
+
+/**
+ * Record a refund against an order and try to pay it out.
+ *
+ * @param {object} order - Order document
+ * @param {object} params
+ * @param {number} params.amount - Amount to refund
+ * @param {string} [params.reason] - Shown on the transaction
+ * @param {Array<{item: string, quantity: number}>} [params.items] - Items covered
+ * @param {string} [params.destination] - "card" or "wallet", see getRefundDestination
+ * @returns {Promise<{transaction: object, succeeded: boolean}>}
+ */
+export const refundOrder = async (
+  order,
+  { amount, reason, items = [], destination = getRefundDestination(order) },
+) => {
+  const customer = await Customer.findById(
+    order.customer?._id || order.customer,
+  );
+  const user = await User.findById(customer.user).select("wallet");
+
+  const transaction = await Transaction.create({
+    user: user._id,
+    type: "refund",
+    amount: roundAmount(amount),
+    status: "pending",
+    description: `Refund for order ${order.orderNumber}`,
+    reference: uuidv4(),
+    metadata: {
+      orderId: order._id,
+      refundReason: reason,
+      refundDestination: destination,
+      items,
+    },
+    // Wallet refunds set the real balances once credited
+    balanceBefore: user.wallet?.balance || 0,
+    balanceAfter: user.wallet?.balance || 0,
+  });
+
+  const succeeded = await processRefund(transaction);
+  return { transaction, succeeded };
+};
+
+/**
+ * Refund a paid order, by default everything not yet refunded.
+ *
+ * @param {object} order - Order document
+ * @param {object} params
+ * @param {number} [params.amount] - Capped at the refundable amount
+ * @param {string} [params.reason]
+ * @param {Array} [params.items] - Items covered, see refundOrder
+ * @param {string} [params.destination] - "card" or "wallet", see refundOrder
+ * @returns {Promise<object|null>} Refund summary, or null when nothing is owed
+ */
+export const refundPaidOrder = async (
+  order,
+  { amount, reason, items, destination },
+) => {
+  if (!["completed", "partially_refunded"].includes(order.paymentStatus)) {
+    return null;
+  }
+
+  const refundable = await getRefundableAmount(order);
+  const refundAmount = Math.min(amount ?? refundable, refundable);
+  if (refundAmount <= 0) return null;
+
+  const { transaction, succeeded } = await refundOrder(order, {
+    amount: refundAmount,
+    reason,
+    items,
+    destination,
+  });
+
+  return {
+    transactionId: transaction._id,
+    amount: transaction.amount,
+    destination: transaction.metadata.refundDestination,
+    status: succeeded ? "completed" : "queued_for_retry",
+  };
+};
+
+/**
+ * Bring refund Transactions in line with the refunds Stripe holds for a
+ * payment. Completes refunds recorded as failed that did go through, and
+ * records refunds made outside the app, e.g. from the Stripe dashboard.
+ *
+ * @param {string} paymentIntentId - Stripe payment intent
+ * @returns {Promise<number>} Number of refunds reconciled
+ */
+export const reconcileStripeRefunds = async (paymentIntentId) => {
+  const orders = await Order.find({
+    "paymentInfo.stripePaymentIntentId": paymentIntentId,
+  });
+  if (orders.length === 0) return 0;
+
+  const refunds = await stripe.refunds.list({
+    payment_intent: paymentIntentId,
+    limit: 100,
+  });
+
+  let reconciled = 0;
+  for (const refund of refunds.data) {
+    if (refund.status !== "succeeded") continue;
+
+    const transactionId = refund.metadata?.transactionId;
+    if (transactionId) {
+      const transaction = await Transaction.findById(transactionId);
+      if (
+        transaction &&
+        (await completeRefund(transaction, {
+          "metadata.stripeRefundId": refund.id,
+        }))
+      ) {
+        reconciled += 1;
+      }
+      continue;
+    }
+
+    const known = await Transaction.exists({
+      type: "refund",
+      "metadata.stripeRefundId": refund.id,
+    });
+    if (known) continue;
+
+    // Made outside the app: record it against an order it fits
+    const amount = roundAmount(refund.amount / 100);
+    let order = orders[0];
+    for (const candidate of orders) {
+      if ((await getRefundableAmount(candidate)) >= amount) {
+        order = candidate;
+        break;
+      }
+    }
+
+    const customer = await Customer.findById(order.customer);
+    const user = await User.findById(customer.user).select("wallet");
+    const transaction = await Transaction.create({
+      user: user._id,
+      type: "refund",
+      amount,
+      status: "pending",
+      description: `Refund for order ${order.orderNumber}`,
+      reference: uuidv4(),
+      metadata: {
+        orderId: order._id,
+        stripeRefundId: refund.id,
+        refundReason: refund.reason || "Refunded in Stripe",
+        refundDestination: "card",
+      },
+      balanceBefore: user.wallet?.balance || 0,
+      balanceAfter: user.wallet?.balance || 0,
+    });
+    await completeRefund(transaction);
+    reconciled += 1;
+  }
+
+  return reconciled;
+};
+
+// Retry queued refunds that are due. Run periodically by the refund job.
+export const retryFailedRefunds = async () => {
+  const due = await Transaction.find({
+    type: "refund",
+    status: "failed",
+    nextRetryAt: { $ne: null, $lte: new Date() },
+  }).limit(50);
+
+  for (const transaction of due) {
+    await processRefund(transaction);
+  }
+
+  return due.length;
+};
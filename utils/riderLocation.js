@@ -0,0 +1,131 @@
+import Order from "../models/Order.js";
+import Rider from "../models/Rider.js";
+import RiderBreadcrumb from "../models/RiderBreadcrumb.js";
+import { RIDER_STATUSES } from "./orderLifecycle.js";
+
+// Location updates closer together than this are dropped
+export const LOCATION_UPDATE_INTERVAL_MS = 5 * 1000;
+
+// Most breadcrumbs returned when tracking an order
+const MAX_ROUTE_POINTS = 500;
+
+const locationError = (code, message) => ({ error: { code, message } });
+
+// Optional readings sent with a position, kept only when numeric
+const optionalNumber = (value) =>
+  value === undefined || value === null || !Number.isFinite(Number(value))
+    ? undefined
+    : Number(value);
+
+const toPoint = (breadcrumb) => ({
+  latitude: breadcrumb.location.coordinates[1],
+  longitude: breadcrumb.location.coordinates[0],
+  heading: breadcrumb.heading,
+  speed: breadcrumb.speed,
+  recordedAt: breadcrumb.recordedAt,
+});
+
+/**
+ * Save a rider's position. Updates arriving within
+ * LOCATION_UPDATE_INTERVAL_MS of the last saved one are dropped. While the
+ * rider is carrying orders (accepted to arrived) the position is kept as a
+ * breadcrumb and sent to each order's room as a rider_location event.
+ *
+ * @param {string} riderId - Rider id
+ * @param {object} update
+ * @param {number} update.latitude
+ * @param {number} update.longitude
+ * @param {number} [update.heading] - Degrees from north
+ * @param {number} [update.speed] - Metres per second
+ * @param {number} [update.accuracy] - Metres
+ * @param {object} [io] - Socket.IO server
+ * @returns {Promise<{throttled?: boolean, orders?: Array, error?: object}>}
+ */
+export const recordRiderLocation = async (riderId, update, io) => {
+  const latitude = Number(update?.latitude);
+  const longitude = Number(update?.longitude);
+
+  if (
+    !Number.isFinite(latitude) ||
+    !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return locationError(
+      "LOCATION_INVALID",
+      "Valid latitude and longitude are required",
+    );
+  }
+
+  const now = new Date();
+
+  // Claiming the update by its timestamp throttles every connection the
+  // rider has, not just this one
+  const saved = await Rider.findOneAndUpdate(
+    {
+      _id: riderId,
+      $or: [
+        { "location.lastUpdated": null },
+        {
+          "location.lastUpdated": {
+            $lte: new Date(now.getTime() - LOCATION_UPDATE_INTERVAL_MS),
+          },
+        },
+      ],
+    },
+    {
+      $set: {
+        location: {
+          type: "Point",
+          coordinates: [longitude, latitude],
+          lastUpdated: now,
+        },
+      },
+    },
+  );
+  if (!saved) return { throttled: true };
+
+  const orders = await Order.find({
+    rider: riderId,
+    status: { $in: RIDER_STATUSES },
+  }).select("_id");
+  if (orders.length === 0) return { throttled: false, orders: [] };
+
+  const breadcrumb = await RiderBreadcrumb.create({
+    rider: riderId,
+    orders: orders.map((order) => order._id),
+    location: { type: "Point", coordinates: [longitude, latitude] },
+    heading: optionalNumber(update.heading),
+    speed: optionalNumber(update.speed),
+    accuracy: optionalNumber(update.accuracy),
+    recordedAt: now,
+  });
+
+  if (io) {
+    for (const order of orders) {
+      io.to(`order_${order._id}`).emit("rider_location", {
+        orderId: order._id,
+        riderId,
+        ...toPoint(breadcrumb),
+      });
+    }
+  }
+
+  return { throttled: false, orders };
+};
+
+/**
+ * The route a rider has taken with an order, oldest point first.
+ *
+ * @param {string} orderId - Order id
+ * @returns {Promise<Array<{latitude: number, longitude: number,
+ * heading?: number, speed?: number, recordedAt: Date}>>}
+ */
+export const getOrderRoute = async (orderId) => {
+  const breadcrumbs = await RiderBreadcrumb.find({ orders: orderId })
+    .sort({ recordedAt: -1 })
+    .limit(MAX_ROUTE_POINTS)
+    .select("location heading speed recordedAt");
+
+  return breadcrumbs.reverse().map(toPoint);
+};
@@ -0,0 +1,311 @@
+import { v4 as uuidv4 } from "uuid";
+import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import Rider from "../models/Rider.js";
+import Order from "../models/Order.js";
+import Dispute from "../models/Dispute.js";
+import { roundAmount } from "./pricing.js";
+import {
+  PLATFORM_COMMISSION,
+  STRIPE_CLEARING,
+  credit,
+  debit,
+  postJournalEntry,
+  recordWalletTransaction,
+  walletAccount,
+  withLedgerTransaction,
+} from "./ledger.js";
+
+// How long earnings stay pending after delivery before they can be
+// withdrawn, leaving time for refunds and disputes to come in
+export const EARNINGS_HOLD_HOURS =
+  Number(process.env.EARNINGS_HOLD_HOURS) || 48;
+
+// Pending earnings looked at again later while their order is disputed
+const DISPUTE_RECHECK_MS = 60 * 60 * 1000;
+
+const BATCH_SIZE = 100;
+
+const EARNING_TYPES = ["earning", "tip"];
+
+const profileModels = { vendor: Vendor, rider: Rider };
+
+/**
+ * Copy a vendor's or rider's wallet balances onto their profile, whose
+ * earnings.pendingBalance and earnings.availableBalance mirror the wallet.
+ *
+ * @param {string} userId - User id
+ */
+export const syncEarningsBalances = async (userId) => {
+  const user = await User.findById(userId).select("role wallet");
+  const Profile = profileModels[user?.role];
+  if (!Profile) return;
+
+  await Profile.updateOne(
+    { user: user._id },
+    {
+      $set: {
+        "earnings.pendingBalance": roundAmount(user.wallet.pendingBalance),
+        "earnings.availableBalance": roundAmount(user.wallet.balance),
+      },
+    },
+  );
+};
+
+/**
+ * Credit earnings to a wallet's pending balance. They become available once
+ * the hold period has passed (see releaseDueEarnings).
+ *
+ * @param {object} user - User document of the vendor or rider
+ * @param {object} params
+ * @param {string} params.type - "earning" or "tip"
+ * @param {string} params.payee - "vendor" or "rider"
+ * @param {number} params.amount - Amount earned
+ * @param {string} params.description - Transaction description
+ * @param {object} [params.order] - Order the earnings come from
+ * @param {object} [params.batch] - Delivery batch the earnings come from,
+ * for rider earnings paid per batch
+ * @param {string} [params.reference] - Unique reference, to credit only once
+ * @param {number} [params.commission] - Platform commission kept on the
+ * order, journaled alongside the earnings
+ * @returns {Promise<object|null>} Pending transaction, or null if the
+ * reference was already credited
+ */
+export const creditPendingEarnings = async (
+  user,
+  {
+    type,
+    payee,
+    amount: earned,
+    description,
+    order,
+    batch,
+    reference,
+    commission,
+  },
+) => {
+  const amount = roundAmount(earned);
+  const kept = roundAmount(Math.max(commission || 0, 0));
+
+  const lines = [
+    debit(STRIPE_CLEARING, amount + kept),
+    credit(walletAccount(user, "pending"), amount),
+  ];
+  if (kept > 0) lines.push(credit(PLATFORM_COMMISSION, kept));
+
+  let transaction;
+  try {
+    transaction = await recordWalletTransaction(
+      {
+        user: user._id,
+        type,
+        amount,
+        status: "pending",
+        description,
+        reference: reference || uuidv4(),
+        metadata: {
+          orderId: order?._id,
+          batchId: batch?._id,
+          payee,
+        },
+        availableAt: new Date(
+          Date.now() + EARNINGS_HOLD_HOURS * 60 * 60 * 1000,
+        ),
+      },
+      lines,
+    );
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await profileModels[payee].updateOne(
+    { user: user._id },
+    { $inc: { "earnings.totalEarnings": amount } },
+  );
+  await syncEarningsBalances(user._id);
+
+  return transaction;
+};
+
+// What a vendor's pending earnings are still worth after refunds made
+// during the hold
+const getVendorAmountDue = (transaction, order) => {
+  if (!order || order.paymentStatus === "refunded") return 0;
+  const { vendorEarnings } = order.calculateEarnings();
+  return roundAmount(
+    Math.min(transaction.amount, Math.max(vendorEarnings, 0)),
+  );
+};
+
+// What a rider's pending delivery pay or tip is still worth. Refunds of
+// some items leave it alone, as the delivery still happened, but an order
+// refunded in full (tips included) or cancelled pays the rider nothing
+const getRiderAmountDue = (transaction, order) =>
+  !order || order.paymentStatus === "refunded" || order.status === "cancelled"
+    ? 0
+    : transaction.amount;
+
+/**
+ * Move one pending earning to the available balance. Vendor earnings wait
+ * while the order has an open dispute, and shrink by any refunds. Rider
+ * earnings for an order are dropped if it was refunded in full.
+ *
+ * @param {object} transaction - Pending earning transaction
+ * @returns {Promise<boolean>} Whether the earning was settled
+ */
+export const releaseEarning = async (transaction) => {
+  let amount = transaction.amount;
+
+  if (transaction.metadata.payee === "vendor") {
+    const orderId = transaction.metadata.orderId;
+    const disputed = await Dispute.exists({
+      order: orderId,
+      "hold.status": { $in: ["pending", "held"] },
+    });
+    if (disputed) {
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { $set: { availableAt: new Date(Date.now() + DISPUTE_RECHECK_MS) } },
+      );
+      return false;
+    }
+
+    amount = getVendorAmountDue(transaction, await Order.findById(orderId));
+  } else if (
+    transaction.metadata.payee === "rider" &&
+    transaction.metadata.orderId
+  ) {
+    // Batch earnings have no single order; the batch pays only for its
+    // delivered orders
+    amount = getRiderAmountDue(
+      transaction,
+      await Order.findById(transaction.metadata.orderId),
+    );
+  }
+
+  // Whatever refunds took off the earning goes back to the platform
+  const settled = await withLedgerTransaction(async (session) => {
+    const claimed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: "pending" },
+      {
+        $set: {
+          status: amount > 0 ? "completed" : "cancelled",
+          processedAt: new Date(),
+        },
+      },
+      { new: true, session },
+    );
+    if (!claimed) return null;
+
+    const user = await User.findById(claimed.user)
+      .select("role")
+      .session(session);
+    const lines = [debit(walletAccount(user, "pending"), claimed.amount)];
+    if (amount > 0) lines.push(credit(walletAccount(user), amount));
+    if (amount < claimed.amount) {
+      lines.push(credit(STRIPE_CLEARING, claimed.amount - amount));
+    }
+
+    const { wallets } = await postJournalEntry(
+      {
+        reference: `release_${claimed._id}`,
+        type: "earning_release",
+        description: `${claimed.description} released`,
+        order: claimed.metadata.orderId,
+        transaction: claimed._id,
+        lines,
+      },
+      session,
+    );
+
+    const balance = wallets[user._id.toString()].balance;
+    if (amount < claimed.amount) {
+      claimed.failureReason = `Reduced by refunds from ${claimed.amount}`;
+      claimed.amount = amount;
+    }
+    claimed.balanceBefore = roundAmount(balance - amount);
+    claimed.balanceAfter = balance;
+    return claimed.save({ session });
+  });
+  if (!settled) return false;
+
+  await syncEarningsBalances(settled.user);
+  return true;
+};
+
+/**
+ * Release the pending earnings whose hold period is over.
+ *
+ * @param {object} [options]
+ * @param {string} [options.userId] - Only release this user's earnings
+ * @returns {Promise<number>} Number of earnings released
+ */
+export const releaseDueEarnings = async ({ userId } = {}) => {
+  const filter = {
+    type: { $in: EARNING_TYPES },
+    status: "pending",
+    availableAt: { $lte: new Date() },
+  };
+  if (userId) filter.user = userId;
+
+  const due = await Transaction.find(filter)
+    .sort({ availableAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let released = 0;
+  for (const transaction of due) {
+    if (await releaseEarning(transaction)) released += 1;
+  }
+  return released;
+};
+
+/**
+ * Cancel the pending earnings a user has from an order, e.g. when a dispute
+ * on it is lost.
+ *
+ * @param {string} orderId - Order id
+ * @param {string} userId - Vendor's or rider's user id
+ * @returns {Promise<number>} Amount cancelled
+ */
+export const cancelPendingEarnings = async (orderId, userId) => {
+  const pending = await Transaction.find({
+    user: userId,
+    type: { $in: EARNING_TYPES },
+    status: "pending",
+    "metadata.orderId": orderId,
+  });
+
+  let cancelled = 0;
+  for (const transaction of pending) {
+    cancelled += await withLedgerTransaction(async (session) => {
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: "pending" },
+        { $set: { status: "cancelled", processedAt: new Date() } },
+        { session },
+      );
+      if (!claimed) return 0;
+
+      const user = await User.findById(userId).select("role").session(session);
+      await postJournalEntry(
+        {
+          reference: `cancel_${claimed._id}`,
+          type: "earning_cancel",
+          description: `${claimed.description} cancelled`,
+          order: orderId,
+          transaction: claimed._id,
+          lines: [
+            debit(walletAccount(user, "pending"), claimed.amount),
+            credit(STRIPE_CLEARING, claimed.amount),
+          ],
+        },
+        session,
+      );
+      return claimed.amount;
+    });
+  }
+
+  if (cancelled > 0) await syncEarningsBalances(userId);
+  return roundAmount(cancelled);
+};
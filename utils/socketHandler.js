@@ -0,0 +1,168 @@
+import mongoose from "mongoose";
+import Customer from "../models/Customer.js";
+import Order from "../models/Order.js";
+import Rider from "../models/Rider.js";
+import Vendor from "../models/Vendor.js";
+import {
+  getBearerToken,
+  getUserFromToken,
+} from "../middleware/authMiddleware.js";
+import { recordRiderLocation } from "./riderLocation.js";
+import logger from "../config/logger.js";
+
+// Channel every admin and manager may join
+export const ADMIN_ROOM = "admin";
+
+const ADMIN_ROLES = ["admin", "manager"];
+
+const profileModels = { customer: Customer, vendor: Vendor, rider: Rider };
+
+const isAdmin = (socket) => ADMIN_ROLES.includes(socket.data.user.role);
+
+/**
+ * Socket.IO middleware authenticating a connection with the same JWT and
+ * checks as the REST API's protect middleware. The token is sent as
+ * auth.token in the handshake, or in a Bearer Authorization header.
+ * Connections without a valid token are refused.
+ */
+export const authenticateSocket = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const token = auth.token || getBearerToken(headers.authorization);
+
+  if (!token) {
+    return next(new Error("Not authorized, no token"));
+  }
+
+  try {
+    const { user, error } = await getUserFromToken(token);
+    if (error) return next(new Error(error));
+
+    socket.data.user = user;
+
+    // The customer, vendor or rider profile the user's rooms belong to
+    const Profile = profileModels[user.role];
+    if (Profile) {
+      const profile = await Profile.findOne({ user: user._id }).select("_id");
+      socket.data.profileId = profile?._id;
+    }
+
+    next();
+  } catch (error) {
+    next(new Error("Not authorized, token failed"));
+  }
+};
+
+const ownsProfile = (socket, role, id) =>
+  socket.data.user.role === role && !!socket.data.profileId?.equals(id);
+
+// Customers, vendors and riders may follow their own orders
+const canFollowOrder = async (socket, orderId) => {
+  const order = await Order.findById(orderId).select("customer vendor rider");
+  if (!order) return false;
+
+  return (
+    ownsProfile(socket, "customer", order.customer) ||
+    ownsProfile(socket, "vendor", order.vendor) ||
+    (!!order.rider && ownsProfile(socket, "rider", order.rider))
+  );
+};
+
+/**
+ * Whether a socket's user may join a room: order_<id> for their own
+ * orders, vendor_<id> or rider_<id> for their own profile, and the admin
+ * room for admins. Admins may join any of them.
+ *
+ * @param {object} socket - Authenticated socket
+ * @param {string} room - Room name
+ * @returns {Promise<boolean>}
+ */
+export const canJoinRoom = async (socket, room) => {
+  if (room === ADMIN_ROOM) return isAdmin(socket);
+
+  const [, type, id] = /^(order|vendor|rider)_(.+)$/.exec(room) || [];
+  if (!type || !mongoose.isValidObjectId(id)) return false;
+  if (isAdmin(socket)) return true;
+
+  if (type === "order") return canFollowOrder(socket, id);
+  return ownsProfile(socket, type, new mongoose.Types.ObjectId(id));
+};
+
+// Join a room if allowed; refusals are sent as a room_error event and
+// through the ack callback when one is given
+const handleJoinRoom = (socket) => async (room, ack) => {
+  const reply = typeof ack === "function" ? ack : () => {};
+
+  try {
+    if (typeof room !== "string" || !(await canJoinRoom(socket, room))) {
+      const message = "Not authorized to join this room";
+      logger.warn("Socket room join refused", {
+        socketId: socket.id,
+        userId: socket.data.user._id,
+        room,
+      });
+      socket.emit("room_error", { room, message });
+      return reply({ success: false, message });
+    }
+
+    socket.join(room);
+    logger.debug("User joined room", { socketId: socket.id, room });
+    reply({ success: true });
+  } catch (error) {
+    logger.error("Socket join room error", { error: error.message });
+    socket.emit("room_error", { room, message: "Server error" });
+    reply({ success: false, message: "Server error" });
+  }
+};
+
+// Live position from a rider's app; replies through the ack callback
+const handleLocationUpdate = (io, socket) => async (update, ack) => {
+  const reply = typeof ack === "function" ? ack : () => {};
+
+  try {
+    if (socket.data.user.role !== "rider" || !socket.data.profileId) {
+      return reply({
+        success: false,
+        message: "Only riders can send location updates",
+      });
+    }
+
+    const { throttled, error } = await recordRiderLocation(
+      socket.data.profileId,
+      update,
+      io,
+    );
+    if (error) {
+      return reply({ success: false, message: error.message });
+    }
+
+    reply({ success: true, throttled });
+  } catch (error) {
+    logger.error("Socket location update error", { error: error.message });
+    reply({ success: false, message: "Server error" });
+  }
+};
+
+// Register connection handlers on the Socket.IO server
+export const registerSocketHandlers = (io) => {
+  io.use(authenticateSocket);
+
+  io.on("connection", (socket) => {
+    const { user, profileId } = socket.data;
+    logger.info("User connected", { socketId: socket.id, userId: user._id });
+
+    // Vendors get new orders and riders delivery offers in their own room
+    if (isAdmin(socket)) {
+      socket.join(ADMIN_ROOM);
+    } else if (profileId && ["vendor", "rider"].includes(user.role)) {
+      socket.join(`${user.role}_${profileId}`);
+    }
+
+    socket.on("join_room", handleJoinRoom(socket));
+
+    socket.on("location_update", handleLocationUpdate(io, socket));
+
+    socket.on("disconnect", () => {
+      logger.info("User disconnected", { socketId: socket.id });
+    });
+  });
+};
@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import StripeEvent from "../models/StripeEvent.js";
+import { creditWalletTopUp } from "../controllers/walletController.js";
+import { openDispute, syncDispute } from "./disputes.js";
+import { completeTipPayment, failTipPayment } from "./tips.js";
+import { getTransitionError, transitionOrder } from "./orderLifecycle.js";
+import { ORDER_CURRENCY } from "./pricing.js";
+import { reconcileStripeRefunds, refundPaidOrder } from "./refunds.js";
+import logger from "../config/logger.js";
+
+// An event still "processing" after this long is assumed to have crashed
+const STALE_EVENT_MS = 5 * 60 * 1000;
+
+const PAID_STATUSES = ["completed", "partially_refunded", "refunded"];
+
+/**
+ * Record a webhook event before handling it. Stripe retries deliveries, so
+ * an event is only handled again if the earlier attempt failed or stalled.
+ *
+ * @param {object} event - Verified Stripe event
+ * @returns {Promise<boolean>} Whether this delivery should be handled
+ */
+export const claimStripeEvent = async (event) => {
+  try {
+    await StripeEvent.create({ eventId: event.id, type: event.type });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const reclaimed = await StripeEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: "failed" },
+        {
+          status: "processing",
+          updatedAt: { $lt: new Date(Date.now() - STALE_EVENT_MS) },
+        },
+      ],
+    },
+    { $set: { status: "processing", error: null } },
+    { new: true },
+  );
+  return Boolean(reclaimed);
+};
+
+export const markStripeEvent = (eventId, status, error) =>
+  StripeEvent.updateOne(
+    { eventId },
+    {
+      $set: {
+        status,
+        error: error || null,
+        processedAt: status === "processed" ? new Date() : null,
+      },
+    },
+  );
+
+// Orders paid by a payment intent; a multi-vendor checkout has several.
+// Intents from /api/payment/create-intent name their order in metadata and
+// are linked here, provided they cover the order total in the order's
+// currency.
+const findOrdersForPayment = async (paymentIntent) => {
+  const orders = await Order.find({
+    "paymentInfo.stripePaymentIntentId": paymentIntent.id,
+  });
+  const orderId = paymentIntent.metadata?.orderId;
+  if (orders.length > 0 || !mongoose.isValidObjectId(orderId)) return orders;
+
+  const order = await Order.findById(orderId);
+  if (
+    !order ||
+    order.paymentInfo?.stripePaymentIntentId ||
+    paymentIntent.currency !== ORDER_CURRENCY ||
+    paymentIntent.amount < Math.round(order.pricing.total * 100)
+  ) {
+    return [];
+  }
+
+  order.paymentInfo.stripePaymentIntentId = paymentIntent.id;
+  return [order];
+};
+
+/**
+ * Mark the orders behind a successful payment as paid and confirm them.
+ * A payment that lands after its order was cancelled is refunded.
+ *
+ * @param {object} paymentIntent - Stripe payment intent
+ */
+export const reconcilePaymentSucceeded = async (paymentIntent) => {
+  if (paymentIntent.metadata?.type === "wallet_top_up") {
+    await creditWalletTopUp(paymentIntent);
+    return;
+  }
+  if (paymentIntent.metadata?.type === "tip") {
+    await completeTipPayment(paymentIntent);
+    return;
+  }
+
+  const orders = await findOrdersForPayment(paymentIntent);
+  for (const order of orders) {
+    if (PAID_STATUSES.includes(order.paymentStatus)) continue;
+    order.paymentStatus = "completed";
+
+    if (order.status === "cancelled") {
+      await order.save();
+      await refundPaidOrder(order, {
+        reason: "Payment received after the order was cancelled",
+      });
+      continue;
+    }
+
+    // Already confirmed when the order was placed
+    if (getTransitionError(order, "confirmed", "system")) {
+      await order.save();
+      continue;
+    }
+
+    await transitionOrder(order, "confirmed", {
+      role: "system",
+      notes: "Payment completed successfully",
+    });
+  }
+};
+
+/**
+ * Fail and cancel the orders behind a failed payment.
+ *
+ * @param {object} paymentIntent - Stripe payment intent
+ */
+export const reconcilePaymentFailed = async (paymentIntent) => {
+  if (paymentIntent.metadata?.type === "tip") {
+    await failTipPayment(paymentIntent);
+    return;
+  }
+
+  // The subscription job retries its own charges; top-ups have no order
+  if (
+    ["subscription", "wallet_top_up"].includes(paymentIntent.metadata?.type)
+  ) {
+    return;
+  }
+
+  const orders = await Order.find({
+    "paymentInfo.stripePaymentIntentId": paymentIntent.id,
+  });
+  for (const order of orders) {
+    if (PAID_STATUSES.includes(order.paymentStatus)) continue;
+    order.paymentStatus = "failed";
+
+    if (getTransitionError(order, "cancelled", "system")) {
+      await order.save();
+      continue;
+    }
+
+    order.cancellationReason = "Payment failed";
+    await transitionOrder(order, "cancelled", {
+      role: "system",
+      notes: "Payment failed",
+    });
+  }
+};
+
+// Invoices are paid through a payment intent; reconcile that intent
+const invoicePayment = (invoice) => ({
+  id: invoice.payment_intent,
+  amount: invoice.amount_paid,
+  metadata: {},
+});
+
+const handlers = {
+  "payment_intent.succeeded": reconcilePaymentSucceeded,
+  "payment_intent.payment_failed": reconcilePaymentFailed,
+  "charge.refunded": (charge) => reconcileStripeRefunds(charge.payment_intent),
+  "charge.dispute.created": openDispute,
+  "charge.dispute.updated": syncDispute,
+  "charge.dispute.closed": syncDispute,
+  "invoice.payment_succeeded": (invoice) =>
+    invoice.payment_intent &&
+    reconcilePaymentSucceeded(invoicePayment(invoice)),
+  "invoice.payment_failed": (invoice) =>
+    invoice.payment_intent && reconcilePaymentFailed(invoicePayment(invoice)),
+};
+
+/**
+ * Apply a verified Stripe event to Orders and Transactions.
+ *
+ * @param {object} event - Verified Stripe event
+ * @returns {Promise<boolean>} Whether the event type is handled
+ */
+export const handleStripeEvent = async (event) => {
+  const handler = handlers[event.type];
+  if (!handler) {
+    logger.info("Unhandled Stripe event type", { type: event.type });
+    return false;
+  }
+
+  await handler(event.data.object);
+  return true;
+};
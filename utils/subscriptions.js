@@ -0,0 +1,874 @@
+import Subscription from "../models/Subscription.js";
+import Order from "../models/Order.js";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import { Meal } from "../models/Meal.js";
+import stripe from "../config/stripe.js";
+import logger from "../config/logger.js";
+import { generateDeliveryCode, generateOrderNumber } from "./helpers.js";
+import {
+  calculateOrderQuote,
+  getDeliveryViolations,
+  getFeeRules,
+  ORDER_CURRENCY,
+  roundAmount,
+} from "./pricing.js";
+import { getSlotViolation } from "./deliverySlots.js";
+import { getTransitionError, transitionOrder } from "./orderLifecycle.js";
+import { sendPushToUser } from "./pushNotification.js";
+
+export const SUBSCRIPTION_INTERVALS = [
+  "daily",
+  "weekly",
+  "biweekly",
+  "monthly",
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Orders are generated and charged this long before delivery
+const ORDER_AHEAD_HOURS = 48;
+
+// Hours to wait before each retry of a failed charge; once these run out
+// the subscription is paused
+const RETRY_DELAYS_HOURS = [1, 6, 24];
+
+// How far ahead a single delivery can be skipped
+const SKIP_HORIZON_DAYS = 365;
+
+// How long the job holds a subscription while processing it
+const LEASE_MS = 15 * 60 * 1000;
+
+/**
+ * Delivery date that follows another for an interval.
+ *
+ * @param {Date} date - Current delivery date
+ * @param {string} interval - daily, weekly, biweekly or monthly
+ * @returns {Date}
+ */
+export const getNextDeliveryDate = (date, interval) => {
+  const next = new Date(date);
+  if (interval === "monthly") {
+    // Clamp to the month's last day so Jan 31 is followed by Feb 28/29
+    const day = next.getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    const lastDay = new Date(
+      Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0),
+    ).getUTCDate();
+    next.setUTCDate(Math.min(day, lastDay));
+  } else {
+    const days = { daily: 1, weekly: 7, biweekly: 14 }[interval];
+    next.setUTCDate(next.getUTCDate() + days);
+  }
+  return next;
+};
+
+const getDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Whether a delivery date has been skipped or falls in a pause window.
+ *
+ * @param {object} subscription - Subscription document
+ * @param {Date} date - Delivery date
+ * @returns {boolean}
+ */
+export const isDeliveryOff = (subscription, date) => {
+  const key = getDayKey(date);
+  if (
+    subscription.skippedDates?.some((skipped) => getDayKey(skipped) === key)
+  ) {
+    return true;
+  }
+  if (!subscription.pausedFrom) return false;
+
+  return (
+    key >= getDayKey(subscription.pausedFrom) &&
+    (!subscription.pausedUntil || key <= getDayKey(subscription.pausedUntil))
+  );
+};
+
+/**
+ * Scheduled deliveries from nextDelivery up to a date.
+ *
+ * @param {object} subscription - Subscription document
+ * @param {Date} until - Last date to include
+ * @param {object} [options]
+ * @param {boolean} [options.includeOff] - Keep skipped and paused deliveries
+ * @returns {Array<Date>}
+ */
+export const getUpcomingDeliveries = (
+  subscription,
+  until,
+  { includeOff = false } = {},
+) => {
+  const dates = [];
+  let date = new Date(subscription.nextDelivery);
+  while (date <= until) {
+    if (includeOff || !isDeliveryOff(subscription, date)) dates.push(date);
+    date = getNextDeliveryDate(date, subscription.interval);
+  }
+  return dates;
+};
+
+/**
+ * Check that a meal can be subscribed to at an interval. A meal that lists
+ * no intervals is offered at all of them.
+ *
+ * @param {object} meal - Meal document
+ * @param {string} interval - Subscription interval
+ * @returns {object|null} A { code, message, meal } error, or null
+ */
+export const getMealSubscriptionError = (meal, interval) => {
+  if (meal.status !== "active") {
+    return {
+      code: "MEAL_UNAVAILABLE",
+      message: `${meal.name} is not available`,
+      meal: meal._id,
+    };
+  }
+
+  if (!meal.subscription?.isAvailable) {
+    return {
+      code: "MEAL_NOT_SUBSCRIBABLE",
+      message: `${meal.name} is not available for subscription`,
+      meal: meal._id,
+    };
+  }
+
+  const intervals = meal.subscription.intervals || [];
+  if (intervals.length > 0 && !intervals.includes(interval)) {
+    return {
+      code: "INTERVAL_NOT_OFFERED",
+      message: `${meal.name} is only offered ${intervals.join(", ")}`,
+      meal: meal._id,
+      intervals,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Subscription discount for a set of items, from each meal's
+ * subscription.discountPercentage.
+ *
+ * @param {Array<{meal: object, quantity: number, price: number}>} items
+ * @returns {{amount: number, breakdown: Array<object>}} Total and per-meal lines
+ */
+export const calculateSubscriptionDiscount = (items) => {
+  const breakdown = items
+    .filter((item) => item.meal.subscription?.discountPercentage > 0)
+    .map((item) => {
+      const percentage = item.meal.subscription.discountPercentage;
+      return {
+        source: "subscription",
+        meal: item.meal._id,
+        name: item.meal.name,
+        percentage,
+        amount: roundAmount(item.price * item.quantity * (percentage / 100)),
+      };
+    });
+
+  return {
+    amount: roundAmount(breakdown.reduce((sum, line) => sum + line.amount, 0)),
+    breakdown,
+  };
+};
+
+// Load a subscription's meals for pricing, checking each is still offered
+const loadSubscriptionItems = async (subscription) => {
+  const meals = await Meal.find({
+    _id: { $in: subscription.items.map((item) => item.meal) },
+  });
+  const mealsById = new Map(meals.map((meal) => [meal._id.toString(), meal]));
+
+  const items = [];
+  for (const item of subscription.items) {
+    const meal = mealsById.get(item.meal.toString());
+    if (!meal) {
+      return {
+        error: {
+          code: "MEAL_UNAVAILABLE",
+          message: "A meal in this subscription no longer exists",
+          meal: item.meal,
+        },
+      };
+    }
+
+    const error = getMealSubscriptionError(meal, subscription.interval);
+    if (error) return { error };
+
+    items.push({ meal, quantity: item.quantity, price: meal.price });
+  }
+
+  return { items };
+};
+
+/**
+ * Check an interval change against the subscription's meals.
+ *
+ * @param {object} subscription - Subscription document
+ * @param {string} interval - New interval
+ * @returns {Promise<object|null>} A { code, message } error, or null
+ */
+export const getIntervalChangeError = async (subscription, interval) => {
+  const meals = await Meal.find({
+    _id: { $in: subscription.items.map((item) => item.meal) },
+  });
+  for (const meal of meals) {
+    const error = getMealSubscriptionError(meal, interval);
+    if (error) return error;
+  }
+  return null;
+};
+
+// When to generate the order for a delivery: ahead of time, but never in the past
+export const getChargeTime = (deliveryDate) =>
+  new Date(
+    Math.max(
+      new Date(deliveryDate).getTime() - ORDER_AHEAD_HOURS * HOUR_MS,
+      Date.now(),
+    ),
+  );
+
+// Move on to the following delivery date
+const advanceDelivery = (subscription) => {
+  subscription.nextDelivery = getNextDeliveryDate(
+    subscription.nextDelivery,
+    subscription.interval,
+  );
+  subscription.nextChargeAt = getChargeTime(subscription.nextDelivery);
+  // Skips for dates already passed are no longer needed
+  subscription.skippedDates = subscription.skippedDates.filter(
+    (date) => getDayKey(date) >= getDayKey(subscription.nextDelivery),
+  );
+};
+
+/**
+ * Cancel the unpaid order generated for the next delivery, if there is one.
+ * The caller saves the subscription.
+ *
+ * @param {object} subscription - Subscription document
+ * @param {object} options
+ * @param {string} options.role - Actor role
+ * @param {string} [options.userId]
+ * @param {string} options.reason - Cancellation reason
+ * @param {object} [options.io] - Socket.IO server (req.io)
+ */
+export const cancelPendingOrder = async (
+  subscription,
+  { role, userId, reason, io },
+) => {
+  if (!subscription.pendingOrder) return;
+
+  const order = await Order.findById(subscription.pendingOrder);
+  if (order && !getTransitionError(order, "cancelled", role)) {
+    order.cancellationReason = reason;
+    await transitionOrder(order, "cancelled", {
+      role,
+      userId,
+      notes: reason,
+      io,
+    });
+  }
+
+  subscription.pendingOrder = null;
+  subscription.failedAttempts = 0;
+  subscription.lastPaymentError = undefined;
+};
+
+/**
+ * Skip one upcoming delivery. It is neither made nor charged.
+ *
+ * @param {object} subscription - Subscription document
+ * @param {Date|string} date - Scheduled delivery date to skip
+ * @param {object} actor - { role, userId, io } for cancelling an unpaid order
+ * @returns {Promise<{error?: {code: string, message: string}}>}
+ */
+export const skipDelivery = async (subscription, date, actor) => {
+  const skipDate = new Date(date);
+  if (!date || Number.isNaN(skipDate.getTime())) {
+    return {
+      error: {
+        code: "INVALID_DELIVERY_DATE",
+        message: "A valid delivery date is required",
+      },
+    };
+  }
+
+  if (skipDate > new Date(Date.now() + SKIP_HORIZON_DAYS * 24 * HOUR_MS)) {
+    return {
+      error: {
+        code: "NOT_SCHEDULED",
+        message: `Deliveries can be skipped up to ${SKIP_HORIZON_DAYS} days ahead`,
+      },
+    };
+  }
+
+  const scheduled = getUpcomingDeliveries(
+    subscription,
+    new Date(skipDate.getTime() + 24 * HOUR_MS),
+    { includeOff: true },
+  ).find((delivery) => getDayKey(delivery) === getDayKey(skipDate));
+  if (!scheduled) {
+    return {
+      error: {
+        code: "NOT_SCHEDULED",
+        message: "Only upcoming scheduled deliveries can be skipped",
+      },
+    };
+  }
+
+  if (isDeliveryOff(subscription, scheduled)) {
+    return {
+      error: {
+        code: "ALREADY_SKIPPED",
+        message: "This delivery is already skipped or paused",
+      },
+    };
+  }
+
+  if (getDayKey(scheduled) === getDayKey(subscription.nextDelivery)) {
+    await cancelPendingOrder(subscription, {
+      ...actor,
+      reason: "Subscription delivery skipped",
+    });
+  }
+
+  subscription.skippedDates.push(scheduled);
+  await subscription.save();
+  return {};
+};
+
+/**
+ * Pause deliveries. With no dates the subscription is paused from now
+ * until resumed; otherwise deliveries between the dates are left out.
+ *
+ * @param {object} subscription - Subscription document
+ * @param {object} params
+ * @param {Date|string} [params.from] - First day of the pause, defaults to now
+ * @param {Date|string} [params.until] - Last day of the pause
+ * @param {object} actor - { role, userId, io } for cancelling an unpaid order
+ * @returns {Promise<{error?: {code: string, message: string}}>}
+ */
+export const pauseSubscription = async (
+  subscription,
+  { from, until },
+  actor,
+) => {
+  const pausedFrom = from ? new Date(from) : new Date();
+  const pausedUntil = until ? new Date(until) : null;
+
+  if (
+    Number.isNaN(pausedFrom.getTime()) ||
+    (pausedUntil &&
+      (Number.isNaN(pausedUntil.getTime()) || pausedUntil < pausedFrom))
+  ) {
+    return {
+      error: {
+        code: "INVALID_PAUSE_DATES",
+        message: "Pause dates are invalid",
+      },
+    };
+  }
+
+  if (pausedUntil && pausedUntil < new Date()) {
+    return {
+      error: {
+        code: "INVALID_PAUSE_DATES",
+        message: "Pause must end in the future",
+      },
+    };
+  }
+
+  if (!from && !until) {
+    subscription.status = "paused";
+    subscription.pauseReason = "customer";
+    subscription.pausedAt = new Date();
+    subscription.nextChargeAt = null;
+  } else {
+    subscription.pausedFrom = pausedFrom;
+    subscription.pausedUntil = pausedUntil;
+  }
+
+  if (
+    subscription.status === "paused" ||
+    isDeliveryOff(subscription, subscription.nextDelivery)
+  ) {
+    await cancelPendingOrder(subscription, {
+      ...actor,
+      reason: "Subscription paused",
+    });
+  }
+
+  await subscription.save();
+  return {};
+};
+
+/**
+ * Resume a paused subscription, including one paused after failed payments.
+ * Deliveries that fell inside the pause are not made up.
+ *
+ * @param {object} subscription - Subscription document
+ * @returns {Promise<{error?: {code: string, message: string}}>}
+ */
+export const resumeSubscription = async (subscription) => {
+  if (subscription.status !== "paused" && !subscription.pausedFrom) {
+    return {
+      error: { code: "NOT_PAUSED", message: "Subscription is not paused" },
+    };
+  }
+
+  subscription.pausedFrom = null;
+  subscription.pausedUntil = null;
+
+  if (subscription.status === "paused") {
+    subscription.status = "active";
+    subscription.pauseReason = null;
+    subscription.pausedAt = undefined;
+    subscription.failedAttempts = 0;
+    subscription.lastPaymentError = undefined;
+
+    // Restart at the first delivery the vendor still has notice for
+    const earliest = new Date(Date.now() + ORDER_AHEAD_HOURS * HOUR_MS);
+    while (subscription.nextDelivery < earliest) {
+      advanceDelivery(subscription);
+    }
+    subscription.nextChargeAt = getChargeTime(subscription.nextDelivery);
+  }
+
+  await subscription.save();
+  return {};
+};
+
+/**
+ * Validate a subscription request and create it.
+ *
+ * @param {object} customer - Customer document
+ * @param {object} params
+ * @param {Array<{mealId: string, quantity: number}>} params.items - Meals from one vendor
+ * @param {string} params.interval - daily, weekly, biweekly or monthly
+ * @param {Date|string} params.startDate - First delivery date
+ * @param {object} [params.deliveryAddress] - Defaults to the customer's default address
+ * @param {string} [params.paymentMethodId] - Defaults to the customer's default card
+ * @param {string} [params.specialInstructions]
+ * @returns {Promise<{subscription: object, pricing: object}|{error: {code: string, message: string}}>}
+ */
+export const createSubscription = async (
+  customer,
+  {
+    items,
+    interval,
+    startDate,
+    deliveryAddress,
+    paymentMethodId,
+    specialInstructions,
+  },
+) => {
+  if (!SUBSCRIPTION_INTERVALS.includes(interval)) {
+    return {
+      error: {
+        code: "INVALID_INTERVAL",
+        message: `Interval must be one of: ${SUBSCRIPTION_INTERVALS.join(", ")}`,
+      },
+    };
+  }
+
+  if (
+    !Array.isArray(items) ||
+    items.length === 0 ||
+    items.some(
+      (item) =>
+        !item.mealId ||
+        !Number.isInteger(Number(item.quantity)) ||
+        Number(item.quantity) < 1,
+    )
+  ) {
+    return {
+      error: {
+        code: "INVALID_ITEMS",
+        message: "Each item needs a mealId and a quantity of at least 1",
+      },
+    };
+  }
+
+  const meals = await Meal.find({
+    _id: { $in: items.map((item) => item.mealId) },
+  });
+  const mealsById = new Map(meals.map((meal) => [meal._id.toString(), meal]));
+  if (items.some((item) => !mealsById.has(item.mealId.toString()))) {
+    return {
+      error: {
+        code: "MEAL_UNAVAILABLE",
+        message: "One or more meals are not available",
+      },
+    };
+  }
+
+  for (const meal of meals) {
+    const error = getMealSubscriptionError(meal, interval);
+    if (error) return { error };
+  }
+
+  const vendorIds = new Set(meals.map((meal) => meal.vendor.toString()));
+  if (vendorIds.size > 1) {
+    return {
+      error: {
+        code: "MULTIPLE_VENDORS",
+        message: "A subscription can only include meals from one vendor",
+      },
+    };
+  }
+  const vendor = await Vendor.findById(meals[0].vendor);
+
+  const address =
+    deliveryAddress ||
+    customer.addresses.find((addr) => addr.isDefault) ||
+    customer.addresses[0];
+  if (!address) {
+    return {
+      error: { code: "NO_ADDRESS", message: "No delivery address found" },
+    };
+  }
+
+  // Charges happen off-session, so a saved card is required
+  const cardId =
+    paymentMethodId ||
+    customer.paymentMethods.find((pm) => pm.isDefault)?.stripePaymentMethodId;
+  if (!cardId || !customer.stripeCustomerId) {
+    return {
+      error: {
+        code: "PAYMENT_METHOD_REQUIRED",
+        message: "Add a saved card before subscribing",
+      },
+    };
+  }
+
+  for (const meal of meals) {
+    const violation = await getSlotViolation(meal, startDate);
+    if (violation) return { error: violation };
+  }
+
+  const pricedItems = items.map((item) => {
+    const meal = mealsById.get(item.mealId.toString());
+    return { meal, quantity: Number(item.quantity), price: meal.price };
+  });
+  const discount = calculateSubscriptionDiscount(pricedItems);
+  const quote = await calculateOrderQuote({
+    items: pricedItems,
+    vendor,
+    address,
+    discount: discount.amount,
+  });
+  const [violation] = getDeliveryViolations(vendor, quote);
+  if (violation) return { error: violation };
+
+  const subscription = await Subscription.create({
+    customer: customer._id,
+    vendor: vendor._id,
+    items: items.map((item) => ({
+      meal: item.mealId,
+      quantity: Number(item.quantity),
+    })),
+    interval,
+    deliveryAddress: address,
+    specialInstructions,
+    paymentMethodId: cardId,
+    startDate: new Date(startDate),
+    nextDelivery: new Date(startDate),
+    nextChargeAt: getChargeTime(startDate),
+  });
+
+  // Price of each delivery at today's meal prices
+  return {
+    subscription,
+    pricing: { ...quote, discountBreakdown: discount.breakdown },
+  };
+};
+
+// Create the unpaid order for a subscription's next delivery
+const createPendingOrder = async (subscription, items) => {
+  const vendor = await Vendor.findById(subscription.vendor);
+
+  const feeRules = await getFeeRules(subscription.deliveryAddress);
+  const discount = calculateSubscriptionDiscount(items);
+  const quote = await calculateOrderQuote({
+    items,
+    vendor,
+    address: subscription.deliveryAddress,
+    rules: feeRules,
+    discount: discount.amount,
+  });
+
+  return Order.create({
+    orderNumber: generateOrderNumber(),
+    customer: subscription.customer,
+    vendor: subscription.vendor,
+    items: items.map((item) => ({
+      meal: item.meal._id,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      totalPrice: item.price * item.quantity,
+    })),
+    type: "subscription",
+    subscription: {
+      id: subscription._id,
+      interval: subscription.interval,
+      nextDelivery: getNextDeliveryDate(
+        subscription.nextDelivery,
+        subscription.interval,
+      ),
+    },
+    totalItemsPrice: quote.subtotal,
+    pricing: {
+      subtotal: quote.subtotal,
+      deliveryFee: quote.deliveryFee,
+      serviceFee: quote.serviceFee,
+      tax: quote.tax,
+      discount: quote.discount,
+      discountBreakdown: discount.breakdown,
+      total: quote.total,
+      commissionPercentage: feeRules.commissionPercentage,
+      feeRule: feeRules.feeRule,
+    },
+    deliveryAddress: subscription.deliveryAddress,
+    deliveryInfo: {
+      scheduledDate: subscription.nextDelivery,
+    },
+    paymentInfo: {
+      paymentMethod: subscription.paymentMethodId,
+    },
+    specialInstructions: subscription.specialInstructions,
+    timeline: [
+      {
+        status: "pending",
+        timestamp: new Date(),
+        notes: "Subscription order created",
+      },
+    ],
+    deliveryCode: generateDeliveryCode(),
+    pickupCode: generateDeliveryCode(),
+  });
+};
+
+const notifyCustomer = async (customer, title, body, subscription) => {
+  try {
+    await sendPushToUser(customer.user, {
+      title,
+      body,
+      data: { subscriptionId: subscription._id.toString() },
+      type: "payment",
+      priority: "high",
+    });
+  } catch (error) {
+    logger.error("Subscription notification error", {
+      error: error.message,
+      subscriptionId: subscription._id,
+    });
+  }
+};
+
+const onChargeSucceeded = async (subscription, order, paymentIntent) => {
+  order.paymentStatus = "completed";
+  order.paymentInfo.stripePaymentIntentId = paymentIntent.id;
+  // The payment webhook may already have confirmed it
+  if (getTransitionError(order, "confirmed", "system")) {
+    await order.save();
+  } else {
+    await transitionOrder(order, "confirmed", {
+      role: "system",
+      notes: "Subscription payment completed, order confirmed",
+    });
+  }
+
+  await Customer.findByIdAndUpdate(subscription.customer, {
+    $inc: {
+      "orderHistory.totalOrders": 1,
+      "orderHistory.totalSpent": order.pricing.total,
+    },
+  });
+  await Vendor.findByIdAndUpdate(subscription.vendor, {
+    $inc: { "metrics.totalOrders": 1 },
+  });
+  for (const item of order.items) {
+    await Meal.findByIdAndUpdate(item.meal, {
+      $inc: { "metrics.totalOrders": item.quantity },
+    });
+  }
+
+  subscription.lastOrder = order._id;
+  subscription.pendingOrder = null;
+  subscription.orderCount += 1;
+  subscription.failedAttempts = 0;
+  subscription.lastPaymentError = undefined;
+  advanceDelivery(subscription);
+  await subscription.save();
+};
+
+const onChargeFailed = async (subscription, order, customer, error) => {
+  subscription.failedAttempts += 1;
+  subscription.lastPaymentError = error.message;
+
+  const delay = RETRY_DELAYS_HOURS[subscription.failedAttempts - 1];
+  if (delay) {
+    subscription.nextChargeAt = new Date(Date.now() + delay * HOUR_MS);
+    await subscription.save();
+
+    await notifyCustomer(
+      customer,
+      "Subscription payment failed",
+      `We couldn't charge your card for order ${order.orderNumber}. We'll try again in ${delay} hour(s).`,
+      subscription,
+    );
+    return;
+  }
+
+  // Out of retries: drop this delivery and pause until the customer acts
+  order.paymentStatus = "failed";
+  order.cancellationReason = "Subscription payment failed";
+  await transitionOrder(order, "cancelled", {
+    role: "system",
+    notes: order.cancellationReason,
+  });
+
+  subscription.status = "paused";
+  subscription.pauseReason = "payment_failed";
+  subscription.pausedAt = new Date();
+  subscription.pendingOrder = null;
+  subscription.nextChargeAt = null;
+  await subscription.save();
+
+  await notifyCustomer(
+    customer,
+    "Subscription paused",
+    "We couldn't charge your card, so your meal subscription has been paused. Update your payment method to resume it.",
+    subscription,
+  );
+};
+
+// A meal was withdrawn or no longer offers this interval
+const pauseForUnavailableMeal = async (subscription, customer, error) => {
+  subscription.status = "paused";
+  subscription.pauseReason = "meal_unavailable";
+  subscription.pausedAt = new Date();
+  subscription.nextChargeAt = null;
+  await subscription.save();
+
+  logger.warn("Subscription paused, meal unavailable", {
+    subscriptionId: subscription._id,
+    reason: error.code,
+  });
+  await notifyCustomer(
+    customer,
+    "Subscription paused",
+    `${error.message}, so your meal subscription has been paused.`,
+    subscription,
+  );
+};
+
+/**
+ * Create (if needed) and charge the order for a subscription's next
+ * delivery. A failed charge is retried a few times, then the delivery is
+ * cancelled and the subscription paused. Skipped and paused deliveries
+ * are passed over without an order.
+ *
+ * @param {object} subscription - Subscription document
+ * @returns {Promise<boolean>} Whether a charge went through
+ */
+export const processSubscription = async (subscription) => {
+  if (isDeliveryOff(subscription, subscription.nextDelivery)) {
+    advanceDelivery(subscription);
+    await subscription.save();
+    return false;
+  }
+
+  const customer = await Customer.findById(subscription.customer);
+
+  let order = subscription.pendingOrder
+    ? await Order.findById(subscription.pendingOrder)
+    : null;
+  if (!order) {
+    const { items, error } = await loadSubscriptionItems(subscription);
+    if (error) {
+      await pauseForUnavailableMeal(subscription, customer, error);
+      return false;
+    }
+
+    order = await createPendingOrder(subscription, items);
+    subscription.pendingOrder = order._id;
+    await subscription.save();
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: Math.round(order.pricing.total * 100),
+        currency: ORDER_CURRENCY,
+        customer: customer.stripeCustomerId,
+        payment_method: subscription.paymentMethodId,
+        off_session: true,
+        confirm: true,
+        metadata: {
+          customerId: customer._id.toString(),
+          vendorId: subscription.vendor.toString(),
+          subscriptionId: subscription._id.toString(),
+          orderId: order._id.toString(),
+          type: "subscription",
+        },
+      },
+      {
+        idempotencyKey: `subscription_${order._id}_${subscription.failedAttempts}`,
+      },
+    );
+
+    if (paymentIntent.status !== "succeeded") {
+      throw new Error(`Payment ${paymentIntent.status}`);
+    }
+  } catch (error) {
+    logger.error("Subscription charge failed", {
+      error: error.message,
+      subscriptionId: subscription._id,
+      orderId: order._id,
+      attempt: subscription.failedAttempts + 1,
+    });
+    await onChargeFailed(subscription, order, customer, error);
+    return false;
+  }
+
+  // The customer has paid, so errors from here on are not payment failures.
+  // They are left to the job's lease to retry, which reuses the idempotency
+  // key and gets back this same charge
+  await onChargeSucceeded(subscription, order, paymentIntent);
+  return true;
+};
+
+// Process every active subscription that is due. Run periodically by the
+// subscription job.
+export const processDueSubscriptions = async () => {
+  let processed = 0;
+
+  for (let i = 0; i < 50; i++) {
+    // Claim one due subscription at a time so parallel runs never share one
+    const subscription = await Subscription.findOneAndUpdate(
+      { status: "active", nextChargeAt: { $ne: null, $lte: new Date() } },
+      { $set: { nextChargeAt: new Date(Date.now() + LEASE_MS) } },
+      { new: true, sort: { nextChargeAt: 1 } },
+    );
+    if (!subscription) break;
+
+    try {
+      await processSubscription(subscription);
+    } catch (error) {
+      // Left to the lease to retry, e.g. when a meal was removed
+      logger.error("Subscription processing error", {
+        error: error.message,
+        subscriptionId: subscription._id,
+      });
+    }
+    processed += 1;
+  }
+
+  return processed;
+};
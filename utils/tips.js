@@ -0,0 +1,142 @@
+import Order from "../models/Order.js";
+import stripe from "../config/stripe.js";
+import { creditRiderTip } from "../controllers/walletController.js";
+import { ORDER_CURRENCY, roundAmount } from "./pricing.js";
+
+// Guards against typos such as 500 for 5.00
+export const MAX_TIP = 100;
+
+const tipError = (code, message) => ({ error: { code, message } });
+
+/**
+ * Check a tip amount sent by a customer.
+ *
+ * @param {*} tip - Tip from the request body
+ * @returns {{tip?: number, error?: {code: string, message: string}}}
+ */
+export const validateTip = (tip) => {
+  const amount = roundAmount(Number(tip));
+
+  if (!Number.isFinite(amount) || amount < 0) {
+    return tipError("TIP_INVALID", "Tip must be a positive amount");
+  }
+
+  if (amount > MAX_TIP) {
+    return tipError("TIP_TOO_LARGE", `Tip cannot be more than ${MAX_TIP}`);
+  }
+
+  return { tip: amount };
+};
+
+/**
+ * Mark a post-delivery tip as paid and credit it to the rider. Called when
+ * the charge succeeds straight away and again from the webhook, so the
+ * order update only applies once.
+ *
+ * @param {object} paymentIntent - Stripe payment intent for the tip
+ * @returns {Promise<object|null>} The rider's tip transaction, if credited
+ */
+export const completeTipPayment = async (paymentIntent) => {
+  const amount = paymentIntent.amount / 100;
+
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: paymentIntent.metadata.orderId,
+      "tipPayment.stripePaymentIntentId": paymentIntent.id,
+      "tipPayment.status": { $ne: "completed" },
+    },
+    {
+      $set: {
+        "tipPayment.status": "completed",
+        "tipPayment.paidAt": new Date(),
+      },
+      $inc: { "pricing.tip": amount },
+    },
+    { new: true },
+  );
+  if (!order) return null;
+
+  return creditRiderTip(order, amount, `tip_${paymentIntent.id}`);
+};
+
+export const failTipPayment = (paymentIntent) =>
+  Order.updateOne(
+    {
+      _id: paymentIntent.metadata.orderId,
+      "tipPayment.stripePaymentIntentId": paymentIntent.id,
+      "tipPayment.status": "pending",
+    },
+    { $set: { "tipPayment.status": "failed" } },
+  );
+
+/**
+ * Charge a tip on a delivered order. The tip is claimed as pending before
+ * the charge, so concurrent or repeated requests cannot charge it twice,
+ * and credited once the charge succeeds; a card needing authentication is
+ * completed by the webhook.
+ *
+ * @param {object} order - Delivered order with a rider
+ * @param {object} params
+ * @param {number} params.amount - Validated tip amount
+ * @param {string} params.paymentMethodId - Stripe payment method to charge
+ * @param {object} params.customer - Customer document
+ * @param {object} [params.stripeOptions] - Request options, e.g. idempotency
+ * @returns {Promise<object|null>} The Stripe payment intent, or null when
+ * the order already has a pending or completed tip
+ */
+export const chargeTip = async (
+  order,
+  { amount, paymentMethodId, customer, stripeOptions },
+) => {
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      "tipPayment.status": { $nin: ["pending", "completed"] },
+    },
+    { $set: { tipPayment: { amount, status: "pending" } } },
+  );
+  if (!claimed) return null;
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: Math.round(amount * 100),
+        currency: ORDER_CURRENCY,
+        payment_method: paymentMethodId,
+        customer: customer.stripeCustomerId,
+        confirmation_method: "manual",
+        confirm: true,
+        return_url: `${process.env.FRONTEND_URL}/orders`,
+        metadata: {
+          type: "tip",
+          orderId: order._id.toString(),
+          customerId: customer._id.toString(),
+        },
+      },
+      stripeOptions,
+    );
+  } catch (error) {
+    // Let the customer try again
+    await Order.updateOne(
+      {
+        _id: order._id,
+        "tipPayment.status": "pending",
+        "tipPayment.stripePaymentIntentId": null,
+      },
+      { $set: { "tipPayment.status": "failed" } },
+    );
+    throw error;
+  }
+
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { "tipPayment.stripePaymentIntentId": paymentIntent.id } },
+  );
+
+  if (paymentIntent.status === "succeeded") {
+    await completeTipPayment(paymentIntent);
+  }
+
+  return paymentIntent;
+};
@@ -0,0 +1,409 @@
+import { v4 as uuidv4 } from "uuid";
+import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import { roundAmount } from "./pricing.js";
+import { sendPushToUser } from "./pushNotification.js";
+import { syncEarningsBalances } from "./settlements.js";
+import {
+  INSUFFICIENT_FUNDS,
+  PAYOUT_CLEARING,
+  PLATFORM_COMMISSION,
+  STRIPE_CLEARING,
+  credit,
+  debit,
+  postJournalEntry,
+  walletAccount,
+  withLedgerTransaction,
+} from "./ledger.js";
+
+const withdrawalError = (code, message) => ({ error: { code, message } });
+
+// 2% of the amount, at least 1
+export const calculateWithdrawalFee = (amount) =>
+  roundAmount(Math.max(amount * 0.02, 1));
+
+const totalDeduction = (transaction) =>
+  roundAmount(
+    transaction.amount +
+      (transaction.metadata.withdrawalDetails?.processingFee || 0),
+  );
+
+const notify = (transaction, title, body) =>
+  sendPushToUser(transaction.user, {
+    title,
+    body,
+    data: { transactionId: transaction._id.toString() },
+    type: "payment",
+  });
+
+/**
+ * Amount of a user's available balance already promised to withdrawals
+ * waiting for review. Approved withdrawals have left the balance already.
+ *
+ * @param {string} userId - User id
+ * @returns {Promise<number>}
+ */
+export const getReservedForWithdrawals = async (userId) => {
+  const pending = await Transaction.find({
+    user: userId,
+    type: "withdrawal",
+    status: "pending",
+  }).select("amount metadata.withdrawalDetails.processingFee");
+
+  return roundAmount(
+    pending.reduce((sum, transaction) => sum + totalDeduction(transaction), 0),
+  );
+};
+
+/**
+ * Queue a withdrawal for admin review. Nothing leaves the wallet until it
+ * is approved, but the amount cannot be promised to another withdrawal.
+ *
+ * @param {object} user - User document of the vendor or rider
+ * @param {number} amount - Amount to pay out
+ * @param {object} bankDetails - Verified bank details to pay to
+ * @returns {Promise<{transaction?: object, error?: object}>}
+ */
+export const requestWithdrawal = async (user, amount, bankDetails) => {
+  const processingFee = calculateWithdrawalFee(amount);
+  const reserved = await getReservedForWithdrawals(user._id);
+  const withdrawable = roundAmount(user.wallet.balance - reserved);
+
+  if (withdrawable < roundAmount(amount + processingFee)) {
+    return withdrawalError(
+      "INSUFFICIENT_FUNDS",
+      "Insufficient balance to cover withdrawal and processing fee",
+    );
+  }
+
+  const transaction = await Transaction.create({
+    user: user._id,
+    type: "withdrawal",
+    amount: roundAmount(amount),
+    status: "pending",
+    description: `Withdrawal to bank account ${bankDetails.accountNumber.slice(
+      -4,
+    )}`,
+    reference: uuidv4(),
+    metadata: {
+      withdrawalDetails: {
+        accountName: bankDetails.accountName,
+        accountNumber: bankDetails.accountNumber,
+        bankName: bankDetails.bankName,
+        routingNumber: bankDetails.routingNumber,
+        processingFee,
+      },
+    },
+    balanceBefore: user.wallet.balance,
+    balanceAfter: user.wallet.balance,
+  });
+
+  return { transaction };
+};
+
+/**
+ * Approve a pending withdrawal: the amount and fee leave the wallet, the
+ * amount waiting in payout clearing until it is paid out.
+ *
+ * @param {object} transaction - Pending withdrawal Transaction
+ * @param {string} adminId - Admin approving it
+ * @returns {Promise<{transaction?: object, error?: object}>}
+ */
+export const approveWithdrawal = async (transaction, adminId) => {
+  let approved;
+  try {
+    approved = await withLedgerTransaction(async (session) => {
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, type: "withdrawal", status: "pending" },
+        {
+          $set: {
+            status: "approved",
+            "metadata.withdrawalDetails.reviewedBy": adminId,
+            "metadata.withdrawalDetails.reviewedAt": new Date(),
+          },
+        },
+        { new: true, session },
+      );
+      if (!claimed) return null;
+
+      const user = await User.findById(claimed.user)
+        .select("role")
+        .session(session);
+      const { wallets } = await postJournalEntry(
+        {
+          reference: `withdrawal_${claimed._id}`,
+          type: "withdrawal",
+          description: claimed.description,
+          transaction: claimed._id,
+          lines: [
+            debit(walletAccount(user), totalDeduction(claimed)),
+            credit(PAYOUT_CLEARING, claimed.amount),
+            credit(
+              PLATFORM_COMMISSION,
+              claimed.metadata.withdrawalDetails.processingFee,
+            ),
+          ],
+        },
+        session,
+      );
+
+      const balance = wallets[user._id.toString()].balance;
+      claimed.balanceBefore = roundAmount(balance + totalDeduction(claimed));
+      claimed.balanceAfter = balance;
+      return claimed.save({ session });
+    });
+  } catch (error) {
+    if (error.code === INSUFFICIENT_FUNDS) {
+      return withdrawalError(
+        "INSUFFICIENT_FUNDS",
+        "The wallet no longer covers this withdrawal",
+      );
+    }
+    throw error;
+  }
+
+  if (!approved) {
+    return withdrawalError(
+      "WITHDRAWAL_NOT_PENDING",
+      "Only pending withdrawals can be approved",
+    );
+  }
+
+  await syncEarningsBalances(approved.user);
+  await notify(
+    approved,
+    "Withdrawal approved",
+    `Your withdrawal of ${approved.amount} has been approved and will be ` +
+      "paid out shortly.",
+  );
+  return { transaction: approved };
+};
+
+/**
+ * Reject a withdrawal that has not been sent for payout. An approved one
+ * has its amount and fee returned to the wallet.
+ *
+ * @param {object} transaction - Pending or approved withdrawal Transaction
+ * @param {string} adminId - Admin rejecting it
+ * @param {string} [reason] - Shown to the user
+ * @returns {Promise<{transaction?: object, error?: object}>}
+ */
+export const rejectWithdrawal = async (transaction, adminId, reason) => {
+  const rejected = await withLedgerTransaction(async (session) => {
+    const claimed = await Transaction.findOneAndUpdate(
+      {
+        _id: transaction._id,
+        type: "withdrawal",
+        status: { $in: ["pending", "approved"] },
+        "metadata.withdrawalDetails.payoutBatchId": null,
+      },
+      {
+        $set: {
+          status: "cancelled",
+          failureReason: reason || "Rejected by admin",
+          processedAt: new Date(),
+          "metadata.withdrawalDetails.reviewedBy": adminId,
+          "metadata.withdrawalDetails.reviewedAt": new Date(),
+          "metadata.withdrawalDetails.rejectionReason": reason,
+        },
+      },
+      { session },
+    );
+    // claimed is the withdrawal as it was; only an approved one has moved
+    // money that needs returning
+    if (!claimed || claimed.status === "pending") return claimed;
+
+    const user = await User.findById(claimed.user)
+      .select("role")
+      .session(session);
+    await postJournalEntry(
+      {
+        reference: `withdrawal_reversal_${claimed._id}`,
+        type: "withdrawal_reversal",
+        description: `${claimed.description} rejected`,
+        transaction: claimed._id,
+        lines: [
+          debit(PAYOUT_CLEARING, claimed.amount),
+          debit(
+            PLATFORM_COMMISSION,
+            claimed.metadata.withdrawalDetails.processingFee,
+          ),
+          credit(walletAccount(user), totalDeduction(claimed)),
+        ],
+      },
+      session,
+    );
+    return claimed;
+  });
+
+  if (!rejected) {
+    return withdrawalError(
+      "WITHDRAWAL_NOT_REJECTABLE",
+      "Only withdrawals not yet sent for payout can be rejected",
+    );
+  }
+
+  await syncEarningsBalances(rejected.user);
+  await notify(
+    rejected,
+    "Withdrawal rejected",
+    reason
+      ? `Your withdrawal of ${rejected.amount} was rejected: ${reason}`
+      : `Your withdrawal of ${rejected.amount} was rejected.`,
+  );
+  return { transaction: await Transaction.findById(rejected._id) };
+};
+
+/**
+ * Put every approved withdrawal not yet in a batch into a new payout batch.
+ *
+ * @returns {Promise<{batchId: string, withdrawals: Array}>} The batch, with
+ * no withdrawals if none were waiting
+ */
+export const createPayoutBatch = async () => {
+  const batchId = `PAYOUT-${Date.now()}`;
+
+  await Transaction.updateMany(
+    {
+      type: "withdrawal",
+      status: "approved",
+      "metadata.withdrawalDetails.payoutBatchId": null,
+    },
+    { $set: { "metadata.withdrawalDetails.payoutBatchId": batchId } },
+  );
+
+  return { batchId, withdrawals: await getPayoutBatch(batchId) };
+};
+
+export const getPayoutBatch = (batchId) =>
+  Transaction.find({
+    type: "withdrawal",
+    "metadata.withdrawalDetails.payoutBatchId": batchId,
+  })
+    .populate("user", "firstName lastName email role")
+    .sort({ createdAt: 1 });
+
+// Text a spreadsheet would read as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a CSV value when it holds a comma, quote or line break. Text that
+// could run as a formula when opened in a spreadsheet is prefixed with '
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Payout batch file for the bank: one row per withdrawal.
+ *
+ * @param {string} batchId - Payout batch id
+ * @param {Array} withdrawals - Withdrawal Transactions, user populated
+ * @returns {string} CSV
+ */
+export const buildPayoutCsv = (batchId, withdrawals) => {
+  const header = [
+    "Batch",
+    "Transaction ID",
+    "Reference",
+    "Payee",
+    "Email",
+    "Role",
+    "Account Name",
+    "Account Number",
+    "Routing Number",
+    "Bank Name",
+    "Amount",
+    "Currency",
+    "Status",
+  ];
+
+  const rows = withdrawals.map((transaction) => {
+    const details = transaction.metadata.withdrawalDetails;
+    return [
+      batchId,
+      transaction._id,
+      transaction.reference,
+      transaction.user
+        ? `${transaction.user.firstName} ${transaction.user.lastName}`
+        : "",
+      transaction.user?.email,
+      transaction.user?.role,
+      details.accountName,
+      details.accountNumber,
+      details.routingNumber,
+      details.bankName,
+      transaction.amount.toFixed(2),
+      transaction.currency,
+      transaction.status,
+    ];
+  });
+
+  return [header, ...rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\n");
+};
+
+/**
+ * Mark approved withdrawals as paid out, completing their Transactions.
+ *
+ * @param {object} filter - Which withdrawals, e.g. by payout batch
+ * @param {object} params
+ * @param {string} params.adminId - Admin marking them paid
+ * @param {string} [params.reference] - Bank or payout reference
+ * @returns {Promise<Array>} Withdrawals marked paid
+ */
+export const markWithdrawalsPaid = async (filter, { adminId, reference }) => {
+  const approved = await Transaction.find({
+    ...filter,
+    type: "withdrawal",
+    status: "approved",
+  });
+
+  const paid = [];
+  for (const transaction of approved) {
+    const completed = await withLedgerTransaction(async (session) => {
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: "approved" },
+        {
+          $set: {
+            status: "completed",
+            processedAt: new Date(),
+            "metadata.withdrawalDetails.paidBy": adminId,
+            "metadata.withdrawalDetails.payoutReference": reference,
+          },
+        },
+        { new: true, session },
+      );
+      if (!claimed) return null;
+
+      await postJournalEntry(
+        {
+          reference: `payout_${claimed._id}`,
+          type: "payout",
+          description: `${claimed.description} paid out`,
+          transaction: claimed._id,
+          lines: [
+            debit(PAYOUT_CLEARING, claimed.amount),
+            credit(STRIPE_CLEARING, claimed.amount),
+          ],
+        },
+        session,
+      );
+      return claimed;
+    });
+
+    if (completed) {
+      paid.push(completed);
+      await notify(
+        completed,
+        "Withdrawal paid",
+        `Your withdrawal of ${completed.amount} has been paid out.`,
+      );
+    }
+  }
+
+  return paid;
+};
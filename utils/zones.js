@@ -0,0 +1,167 @@
+import Zone from "../models/Zone.js";
+import Rider from "../models/Rider.js";
+import Vendor from "../models/Vendor.js";
+import User from "../models/User.js";
+import Customer from "../models/Customer.js";
+
+const zoneError = (code, message) => ({ error: { code, message } });
+
+// [0, 0] is the schema default, i.e. the location was never set
+export const hasLocation = (coordinates) =>
+  Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  !(coordinates[0] === 0 && coordinates[1] === 0);
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length === 2 &&
+  position.every(Number.isFinite) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90;
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// Close an open ring and check it has enough distinct points
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) return null;
+  const closed = samePosition(ring[0] || [], ring.at(-1) || [])
+    ? ring
+    : [...ring, ring[0]];
+  return closed.length >= 4 ? closed : null;
+};
+
+/**
+ * Check a zone boundary sent by an admin. Accepts a GeoJSON Polygon or
+ * MultiPolygon, closing any ring left open. MongoDB checks the rest (e.g.
+ * self-intersections) when the zone is saved.
+ *
+ * @param {object} boundary - GeoJSON geometry
+ * @returns {{boundary?: object, error?: {code: string, message: string}}}
+ */
+export const validateBoundary = (boundary) => {
+  const invalid = zoneError(
+    "ZONE_BOUNDARY_INVALID",
+    "Boundary must be a GeoJSON Polygon or MultiPolygon of " +
+      "[longitude, latitude] rings",
+  );
+  if (!boundary || !Array.isArray(boundary.coordinates)) return invalid;
+
+  const isPolygon = boundary.type === "Polygon";
+  if (!isPolygon && boundary.type !== "MultiPolygon") return invalid;
+
+  const polygons = isPolygon ? [boundary.coordinates] : boundary.coordinates;
+  if (polygons.length === 0) return invalid;
+
+  const normalized = [];
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) return invalid;
+    const rings = polygon.map(normalizeRing);
+    if (rings.some((ring) => !ring)) return invalid;
+    normalized.push(rings);
+  }
+
+  return {
+    boundary: {
+      type: boundary.type,
+      coordinates: isPolygon ? normalized[0] : normalized,
+    },
+  };
+};
+
+/**
+ * Active zones containing a point. A point intersecting a polygon is the
+ * same test as the point being within it, but can be asked of the zones.
+ *
+ * @param {number[]} coordinates - [longitude, latitude]
+ * @returns {Promise<Array>} Matching zones, or none for an unset location
+ */
+export const findZonesForPoint = (coordinates) => {
+  if (!hasLocation(coordinates)) return Promise.resolve([]);
+
+  return Zone.find({
+    isActive: true,
+    boundary: {
+      $geoIntersects: {
+        $geometry: { type: "Point", coordinates: Array.from(coordinates) },
+      },
+    },
+  });
+};
+
+/**
+ * The zone an address is in. Where zones overlap, the oldest wins.
+ *
+ * @param {object} [address] - Address with coordinates
+ * @returns {Promise<object|null>}
+ */
+export const resolveAddressZone = async (address) => {
+  const zones = await findZonesForPoint(address?.coordinates);
+  return zones.sort((a, b) => a.createdAt - b.createdAt)[0] || null;
+};
+
+/**
+ * A $geoWithin filter matching anything inside any of the zones.
+ *
+ * @param {Array} zones - Zone documents
+ * @returns {object}
+ */
+export const withinZones = (zones) => ({
+  $geoWithin: {
+    $geometry: {
+      type: "MultiPolygon",
+      coordinates: zones.flatMap((zone) =>
+        zone.boundary.type === "Polygon"
+          ? [zone.boundary.coordinates]
+          : zone.boundary.coordinates,
+      ),
+    },
+  },
+});
+
+/**
+ * Who is in a zone: riders assigned to it and riders currently inside it,
+ * vendors located in it, and how many customer addresses it covers.
+ *
+ * @param {object} zone - Zone document
+ * @returns {Promise<object>}
+ */
+export const getZoneMembers = async (zone) => {
+  const inside = withinZones([zone]);
+
+  const [assignedRiders, ridersInside, vendorUsers, customerAddresses] =
+    await Promise.all([
+      Rider.find({ deliveryZones: zone._id })
+        .populate("user", "firstName lastName phone")
+        .select("user availability.isOnline isActive"),
+      Rider.find({ location: inside })
+        .populate("user", "firstName lastName phone")
+        .select("user availability.isOnline location.lastUpdated"),
+      User.find({ role: "vendor", location: inside }).select("_id"),
+      Customer.countDocuments({ "addresses.coordinates": inside }),
+    ]);
+
+  const vendors = await Vendor.find({
+    user: { $in: vendorUsers.map((user) => user._id) },
+  }).select("businessName status");
+
+  return { assignedRiders, ridersInside, vendors, customerAddresses };
+};
+
+/**
+ * Order filter limiting a rider to deliveries into their assigned zones.
+ * A rider with no active zones assigned may deliver anywhere.
+ *
+ * @param {object} rider - Rider document
+ * @returns {Promise<object>} Filter to merge into an Order query
+ */
+export const riderZoneFilter = async (rider) => {
+  if (!rider.deliveryZones?.length) return {};
+
+  const zones = await Zone.find({
+    _id: { $in: rider.deliveryZones },
+    isActive: true,
+  });
+  return zones.length > 0
+    ? { "deliveryAddress.coordinates": withinZones(zones) }
+    : {};
+};